@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, ChannelType, MessageFlags } = require('discord.js');
+const { SERVER_DATA_DIR } = require('../lib/storage');
+const { NO_CONTENT_WARNING, parseSince, archiveChannel } = require('../lib/transcripts');
+const { getConfig } = require('../lib/config');
+
+const ARCHIVABLE_CHANNEL_TYPES = [
+    ChannelType.GuildText,
+    ChannelType.GuildAnnouncement,
+    ChannelType.GuildVoice,
+    ChannelType.PublicThread,
+    ChannelType.PrivateThread,
+    ChannelType.AnnouncementThread
+];
+// Larger transcripts stay on disk only
+const MAX_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+const READ_HISTORY = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory];
+
+module.exports = {
+    cooldown: { user: 30, guild: 60 },
+    data: new SlashCommandBuilder()
+        .setName('archive')
+        .setDescription('Save a channel\'s message history as a JSON and HTML transcript')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Channel or thread to archive')
+            .addChannelTypes(...ARCHIVABLE_CHANNEL_TYPES)
+            .setRequired(true))
+        .addStringOption(option => option
+            .setName('since')
+            .setDescription('Only messages from this date (2025-01-08) or period (7d, 4w) on')),
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        const channel = ctx.options.getChannel('channel', true);
+        const sinceOption = ctx.options.getString('since');
+        const since = sinceOption ? parseSince(sinceOption) : 0;
+
+        if (since === null) {
+            await ctx.reply({ content: '❌ `since` must be a date such as `2025-01-08` or a period such as `7d`.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+        // Transcripts must not reveal channels the moderator cannot read themselves
+        if (!channel.permissionsFor(ctx.member)?.has(READ_HISTORY)) {
+            await ctx.reply({ content: `❌ You cannot read the history of <#${channel.id}>.`, flags: MessageFlags.Ephemeral });
+            return;
+        }
+        if (!channel.permissionsFor(guild.members.me)?.has(READ_HISTORY)) {
+            await ctx.reply({ content: `❌ The bot needs **View Channel** and **Read Message History** in <#${channel.id}>.`, flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await ctx.defer();
+        const { transcript, jsonPath, htmlPath } = await archiveChannel(channel, { since, reason: `Requested by ${ctx.user.tag}` });
+        const htmlSize = fs.statSync(htmlPath).size;
+        const lines = [
+            `🗄️ Archived **${transcript.messageCount}** message(s) from <#${channel.id}>${since ? ` since <t:${Math.floor(since / 1000)}:d>` : ''}.`,
+            transcript.messageContent ? null : `⚠️ ${NO_CONTENT_WARNING}`,
+            transcript.truncated ? `⚠️ Stopped at the ${getConfig().transcriptMaxMessages} message limit; use \`since\` to archive a shorter range.` : null,
+            `📁 Saved as \`${path.relative(path.dirname(SERVER_DATA_DIR), jsonPath)}\` and \`.html\`.`
+        ].filter(Boolean);
+        await ctx.reply({
+            content: lines.join('\n'),
+            files: htmlSize <= MAX_ATTACHMENT_BYTES ? [{ attachment: htmlPath, name: `${channel.name}_transcript.html` }] : []
+        });
+    }
+};
@@ -0,0 +1,54 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, ChannelType, MessageFlags } = require('discord.js');
+const { getAuditLogConfig, updateAuditLogConfig } = require('../lib/auditLog');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('auditlog')
+        .setDescription('Configure the channel that receives server change logs')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(sub => sub
+            .setName('set-channel')
+            .setDescription('Post change logs to a channel (also enables them)')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Log channel')
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('disable')
+            .setDescription('Stop posting change logs'))
+        .addSubcommand(sub => sub
+            .setName('show')
+            .setDescription('Show the current log channel configuration')),
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        const subcommand = ctx.options.getSubcommand();
+
+        if (subcommand === 'set-channel') {
+            const channel = ctx.options.getChannel('channel', true);
+            updateAuditLogConfig(guild.id, { enabled: true, channelId: channel.id });
+
+            const canReadAuditLog = guild.members.me?.permissions.has(PermissionFlagsBits.ViewAuditLog);
+            await ctx.reply(`✅ Server changes will be logged in <#${channel.id}>.${canReadAuditLog
+                ? ''
+                : '\n⚠️ Grant the bot **View Audit Log** to include who made each change.'}`);
+            return;
+        }
+
+        if (subcommand === 'disable') {
+            updateAuditLogConfig(guild.id, { enabled: false });
+            await ctx.reply('✅ Change logging disabled.');
+            return;
+        }
+
+        const config = getAuditLogConfig(guild.id);
+        await ctx.reply({
+            content: config.enabled && config.channelId
+                ? `📋 Change logs are posted in <#${config.channelId}>.`
+                : '📋 Change logging is disabled. Use `/auditlog set-channel` to enable it.',
+            flags: MessageFlags.Ephemeral
+        });
+    }
+};
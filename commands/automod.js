@@ -0,0 +1,273 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, ChannelType, GatewayIntentBits, MessageFlags } = require('discord.js');
+const { FILTERS, ACTIONS, getAutomodConfig, updateAutomodConfig, updateAutomodFilter } = require('../lib/automod');
+
+const TEXT_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+const MAX_BANNED_WORDS = 200;
+
+const addEnabledOption = sub => sub.addBooleanOption(option => option
+    .setName('enabled')
+    .setDescription('Turn the filter on or off')
+    .setRequired(true));
+
+const addActionOption = sub => sub.addStringOption(option => option
+    .setName('action')
+    .setDescription('What happens to matching messages (default: unchanged)')
+    .addChoices(...ACTIONS.map(action => ({ name: action, value: action }))));
+
+const FILTER_LABELS = { invites: 'Invite links', mentions: 'Mass mentions', flood: 'Flooding', words: 'Banned words' };
+// Integer options each filter subcommand accepts, named after the filter's settings
+const TUNING_OPTIONS = { mentions: ['limit'], flood: ['repeats', 'messages', 'seconds'] };
+
+function describeFilter(name, filter) {
+    const details = {
+        mentions: () => `${filter.limit}+ mentions`,
+        flood: () => `${filter.repeats} repeats or ${filter.messages} messages in ${filter.seconds}s`,
+        words: () => `${filter.list.length} word(s)`
+    };
+    const state = filter.enabled ? `on, ${filter.action}` : 'off';
+    return `**${FILTER_LABELS[name]}:** ${state}${details[name] ? ` · ${details[name]()}` : ''}`;
+}
+
+function describeConfig(config) {
+    const ids = (list, render) => (list.length > 0 ? list.map(render).join(', ') : 'none');
+    return [
+        `**Enabled:** ${config.enabled ? 'yes' : 'no'}`,
+        ...FILTERS.map(name => describeFilter(name, config[name])),
+        `**Timeout length:** ${config.timeoutMinutes} minutes`,
+        `**Escalation:** ${config.escalateTimeoutAt > 0 ? `timeout at ${config.escalateTimeoutAt} warnings` : 'no timeout'}, ` +
+            `${config.escalateKickAt > 0 ? `kick at ${config.escalateKickAt}` : 'no kick'}`,
+        `**Exempt roles:** ${ids(config.exemptRoleIds, id => `<@&${id}>`)}`,
+        `**Exempt channels:** ${ids(config.exemptChannelIds, id => `<#${id}>`)}`,
+        `**Log channel:** ${config.logChannelId ? `<#${config.logChannelId}>` : 'not set'}`
+    ].join('\n');
+}
+
+// Most filters read message text, which needs the MessageContent intent
+function contentWarning(client) {
+    return client.options.intents.has(GatewayIntentBits.MessageContent)
+        ? ''
+        : '\n⚠️ The bot runs without the Message Content intent (`PREFIX_COMMANDS=false`), so only the mention filter can see messages.';
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('automod')
+        .setDescription('Filter invite links, mass mentions, flooding and banned words')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(sub => sub
+            .setName('enable')
+            .setDescription('Start checking messages against the enabled filters'))
+        .addSubcommand(sub => sub
+            .setName('disable')
+            .setDescription('Stop checking messages'))
+        .addSubcommand(sub => sub
+            .setName('show')
+            .setDescription('Show the current automod configuration'))
+        .addSubcommand(sub => addActionOption(addEnabledOption(sub
+            .setName('invites')
+            .setDescription('Filter Discord invite links'))))
+        .addSubcommand(sub => addActionOption(addEnabledOption(sub
+            .setName('mentions')
+            .setDescription('Filter messages that mention many users or roles')))
+            .addIntegerOption(option => option
+                .setName('limit')
+                .setDescription('Mentions in one message that trigger the filter')
+                .setMinValue(2)
+                .setMaxValue(50)))
+        .addSubcommand(sub => addActionOption(addEnabledOption(sub
+            .setName('flood')
+            .setDescription('Filter repeated messages and message bursts')))
+            .addIntegerOption(option => option
+                .setName('repeats')
+                .setDescription('Identical messages that trigger the filter')
+                .setMinValue(2)
+                .setMaxValue(20))
+            .addIntegerOption(option => option
+                .setName('messages')
+                .setDescription('Messages of any kind that trigger the filter')
+                .setMinValue(3)
+                .setMaxValue(50))
+            .addIntegerOption(option => option
+                .setName('seconds')
+                .setDescription('Time window in seconds')
+                .setMinValue(2)
+                .setMaxValue(120)))
+        .addSubcommand(sub => addActionOption(addEnabledOption(sub
+            .setName('words')
+            .setDescription('Filter messages containing banned words'))))
+        .addSubcommand(sub => sub
+            .setName('add-word')
+            .setDescription('Add a banned word or phrase')
+            .addStringOption(option => option
+                .setName('word')
+                .setDescription('Word or phrase, matched as a whole word and ignoring case')
+                .setMaxLength(100)
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('remove-word')
+            .setDescription('Remove a banned word or phrase')
+            .addStringOption(option => option
+                .setName('word')
+                .setDescription('Word or phrase')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('escalation')
+            .setDescription('Timeout length and the warning counts that escalate to a timeout or kick')
+            .addIntegerOption(option => option
+                .setName('timeout-minutes')
+                .setDescription('Length of automod timeouts')
+                .setMinValue(1)
+                .setMaxValue(40320))
+            .addIntegerOption(option => option
+                .setName('timeout-at')
+                .setDescription('Warnings before the escalate action times out (0 to never)')
+                .setMinValue(0)
+                .setMaxValue(100))
+            .addIntegerOption(option => option
+                .setName('kick-at')
+                .setDescription('Warnings before the escalate action kicks (0 to never)')
+                .setMinValue(0)
+                .setMaxValue(100)))
+        .addSubcommand(sub => sub
+            .setName('exempt-role')
+            .setDescription('Exempt a role from automod, or remove the exemption')
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Role')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('exempt-channel')
+            .setDescription('Exempt a channel from automod, or remove the exemption')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel (threads follow their parent)')
+                .addChannelTypes(...TEXT_CHANNEL_TYPES, ChannelType.GuildForum)
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('log-channel')
+            .setDescription('Channel for automod reports (omit to only log them)')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Log channel')
+                .addChannelTypes(...TEXT_CHANNEL_TYPES))),
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        const subcommand = ctx.options.getSubcommand();
+        const config = getAutomodConfig(guild.id);
+
+        switch (subcommand) {
+            case 'enable': {
+                updateAutomodConfig(guild.id, { enabled: true });
+                const enabledFilters = FILTERS.filter(filter => config[filter].enabled);
+                await ctx.reply(`✅ Automod enabled.${enabledFilters.length === 0
+                    ? '\n💡 No filters are on yet; turn them on with `/automod invites`, `mentions`, `flood` or `words`.'
+                    : ''}${contentWarning(ctx.client)}`);
+                break;
+            }
+            case 'disable': {
+                updateAutomodConfig(guild.id, { enabled: false });
+                await ctx.reply('✅ Automod disabled. Warnings already given are kept.');
+                break;
+            }
+            case 'show': {
+                await ctx.reply({
+                    content: `🛡️ **Automod for ${guild.name}**\n${describeConfig(config)}`,
+                    allowedMentions: { parse: [] },
+                    flags: MessageFlags.Ephemeral
+                });
+                break;
+            }
+            case 'invites':
+            case 'mentions':
+            case 'flood':
+            case 'words': {
+                const patch = { enabled: ctx.options.getBoolean('enabled', true) };
+                const action = ctx.options.getString('action');
+                if (action) patch.action = action;
+                for (const name of TUNING_OPTIONS[subcommand] || []) {
+                    const value = ctx.options.getInteger(name);
+                    if (value !== null) patch[name] = value;
+                }
+                const filter = updateAutomodFilter(guild.id, subcommand, patch);
+                const notes = [];
+                if (filter.enabled && !config.enabled) notes.push('💡 Automod itself is off; turn it on with `/automod enable`.');
+                if (subcommand === 'words' && filter.enabled && filter.list.length === 0) notes.push('💡 Add words with `/automod add-word`.');
+                await ctx.reply([`✅ ${describeFilter(subcommand, filter)}`, ...notes].join('\n'));
+                break;
+            }
+            case 'add-word': {
+                const word = ctx.options.getString('word', true).trim().toLowerCase();
+                if (!word) {
+                    await ctx.reply({ content: '❌ The word cannot be empty.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                if (!config.words.list.includes(word) && config.words.list.length >= MAX_BANNED_WORDS) {
+                    await ctx.reply({ content: `❌ The banned word list is limited to ${MAX_BANNED_WORDS} entries.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                updateAutomodFilter(guild.id, 'words', { list: [...new Set([...config.words.list, word])] });
+                await ctx.reply({ content: `✅ Added \`${word}\` to the banned words.`, flags: MessageFlags.Ephemeral });
+                break;
+            }
+            case 'remove-word': {
+                const word = ctx.options.getString('word', true).trim().toLowerCase();
+                if (!config.words.list.includes(word)) {
+                    await ctx.reply({ content: `❌ \`${word}\` is not a banned word.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                updateAutomodFilter(guild.id, 'words', { list: config.words.list.filter(entry => entry !== word) });
+                await ctx.reply({ content: `✅ Removed \`${word}\` from the banned words.`, flags: MessageFlags.Ephemeral });
+                break;
+            }
+            case 'escalation': {
+                const patch = {};
+                const timeoutMinutes = ctx.options.getInteger('timeout-minutes');
+                const timeoutAt = ctx.options.getInteger('timeout-at');
+                const kickAt = ctx.options.getInteger('kick-at');
+                if (timeoutMinutes !== null) patch.timeoutMinutes = timeoutMinutes;
+                if (timeoutAt !== null) patch.escalateTimeoutAt = timeoutAt;
+                if (kickAt !== null) patch.escalateKickAt = kickAt;
+                const updated = updateAutomodConfig(guild.id, patch);
+
+                const me = guild.members.me;
+                const missing = [
+                    !me?.permissions.has(PermissionFlagsBits.ModerateMembers) && '**Timeout Members**',
+                    updated.escalateKickAt > 0 && !me?.permissions.has(PermissionFlagsBits.KickMembers) && '**Kick Members**'
+                ].filter(Boolean);
+                await ctx.reply(`✅ Timeouts last ${updated.timeoutMinutes} minutes. The escalate action ` +
+                    `${updated.escalateTimeoutAt > 0 ? `times out at ${updated.escalateTimeoutAt} warnings` : 'never times out'} and ` +
+                    `${updated.escalateKickAt > 0 ? `kicks at ${updated.escalateKickAt}` : 'never kicks'}.` +
+                    `${missing.length > 0 ? `\n⚠️ Grant the bot ${missing.join(' and ')} for this to work.` : ''}`);
+                break;
+            }
+            case 'exempt-role': {
+                const role = ctx.options.getRole('role', true);
+                const exempt = !config.exemptRoleIds.includes(role.id);
+                updateAutomodConfig(guild.id, {
+                    exemptRoleIds: exempt ? [...config.exemptRoleIds, role.id] : config.exemptRoleIds.filter(id => id !== role.id)
+                });
+                await ctx.reply({ content: `✅ ${role} is ${exempt ? 'now' : 'no longer'} exempt from automod.`, allowedMentions: { parse: [] } });
+                break;
+            }
+            case 'exempt-channel': {
+                const channel = ctx.options.getChannel('channel', true);
+                const exempt = !config.exemptChannelIds.includes(channel.id);
+                updateAutomodConfig(guild.id, {
+                    exemptChannelIds: exempt ? [...config.exemptChannelIds, channel.id] : config.exemptChannelIds.filter(id => id !== channel.id)
+                });
+                await ctx.reply(`✅ <#${channel.id}> is ${exempt ? 'now' : 'no longer'} exempt from automod.`);
+                break;
+            }
+            case 'log-channel': {
+                const channel = ctx.options.getChannel('channel');
+                updateAutomodConfig(guild.id, { logChannelId: channel?.id || null });
+                await ctx.reply(channel
+                    ? `✅ Automod reports will be posted in <#${channel.id}>.`
+                    : '✅ Automod reports will only be logged.');
+                break;
+            }
+        }
+    }
+};
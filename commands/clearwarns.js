@@ -0,0 +1,28 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { clearWarnings } = require('../lib/warnings');
+const { logger } = require('../lib/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('clearwarns')
+        .setDescription('Remove all of a member\'s warnings')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addUserOption(option => option
+            .setName('user')
+            .setDescription('Member whose warnings to clear')
+            .setRequired(true)),
+
+    async execute(ctx) {
+        const user = ctx.options.getUser('user', true);
+        const removed = clearWarnings(ctx.guild.id, user.id);
+
+        if (removed > 0) {
+            logger.info('Cleared warnings', { guildId: ctx.guild.id, command: 'clearwarns', userId: user.id, moderatorId: ctx.user.id, count: removed });
+        }
+        await ctx.reply({
+            content: removed > 0 ? `✅ Cleared ${removed} warning(s) for ${user}.` : `ℹ️ ${user} has no warnings.`,
+            allowedMentions: { parse: [] }
+        });
+    }
+};
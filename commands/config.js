@@ -0,0 +1,166 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const { commands, PREFIX } = require('../lib/commandRegistry');
+const { ALL_COMMANDS, getCommandPolicies, editCommandPolicy } = require('../lib/commandPolicy');
+const { NO_CONTENT_WARNING, hasMessageContent, getTranscriptConfig, updateTranscriptConfig } = require('../lib/transcripts');
+const { isTrackedServer } = require('../lib/tracking');
+
+// subcommand -> [policy list, kind of target]
+const LIST_SUBCOMMANDS = {
+    'allow-role': ['allowRoles', 'role'],
+    'deny-role': ['denyRoles', 'role'],
+    'allow-channel': ['allowChannels', 'channel'],
+    'deny-channel': ['denyChannels', 'channel']
+};
+
+function addCommandOption(sub) {
+    return sub.addStringOption(option => option
+        .setName('command')
+        .setDescription(`Command name, or ${ALL_COMMANDS} for every command`)
+        .setAutocomplete(true)
+        .setRequired(true));
+}
+
+function formatPolicy(policy) {
+    const mentions = (ids, format) => (ids?.length ? ids.map(format).join(', ') : '—');
+    return [
+        `Allowed roles: ${mentions(policy.allowRoles, id => `<@&${id}>`)}`,
+        `Denied roles: ${mentions(policy.denyRoles, id => `<@&${id}>`)}`,
+        `Allowed channels: ${mentions(policy.allowChannels, id => `<#${id}>`)}`,
+        `Denied channels: ${mentions(policy.denyChannels, id => `<#${id}>`)}`
+    ].join('\n');
+}
+
+function describeTarget(commandName) {
+    return commandName === ALL_COMMANDS ? 'all commands' : `\`${commandName}\``;
+}
+
+async function configureTranscripts(ctx) {
+    const { guild } = ctx;
+    const enabled = ctx.options.getBoolean('enabled');
+    const config = enabled === null ? getTranscriptConfig(guild.id) : updateTranscriptConfig(guild.id, { autoArchive: enabled });
+    const untracked = config.autoArchive && !isTrackedServer(guild.id)
+        ? `\n⚠️ Only tracked servers are archived automatically; run \`${PREFIX}track\` first.`
+        : '';
+    const noContent = config.autoArchive && !hasMessageContent(ctx.client) ? `\n⚠️ ${NO_CONTENT_WARNING}` : '';
+    await ctx.reply(`${enabled === null ? '🗄️' : '✅'} Automatic transcripts are ${config.autoArchive ? 'on' : 'off'}.${untracked}${noContent}`);
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('config')
+        .setDescription('Configure bot behaviour for this server')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommandGroup(group => group
+            .setName('commands')
+            .setDescription('Restrict which roles and channels can use commands')
+            .addSubcommand(sub => sub
+                .setName('show')
+                .setDescription('Show the command policy for this server'))
+            .addSubcommand(sub => addCommandOption(sub
+                .setName('allow-role')
+                .setDescription('Only members with an allowed role can use the command'))
+                .addRoleOption(option => option.setName('role').setDescription('Role to allow').setRequired(true)))
+            .addSubcommand(sub => addCommandOption(sub
+                .setName('deny-role')
+                .setDescription('Members with this role cannot use the command'))
+                .addRoleOption(option => option.setName('role').setDescription('Role to deny').setRequired(true)))
+            .addSubcommand(sub => addCommandOption(sub
+                .setName('allow-channel')
+                .setDescription('The command only works in allowed channels'))
+                .addChannelOption(option => option.setName('channel').setDescription('Channel to allow').setRequired(true)))
+            .addSubcommand(sub => addCommandOption(sub
+                .setName('deny-channel')
+                .setDescription('The command does not work in this channel'))
+                .addChannelOption(option => option.setName('channel').setDescription('Channel to deny').setRequired(true)))
+            .addSubcommand(sub => addCommandOption(sub
+                .setName('remove-role')
+                .setDescription('Remove a role from the allow and deny lists'))
+                .addRoleOption(option => option.setName('role').setDescription('Role to remove').setRequired(true)))
+            .addSubcommand(sub => addCommandOption(sub
+                .setName('remove-channel')
+                .setDescription('Remove a channel from the allow and deny lists'))
+                .addChannelOption(option => option.setName('channel').setDescription('Channel to remove').setRequired(true)))
+            .addSubcommand(sub => addCommandOption(sub
+                .setName('reset')
+                .setDescription('Clear every restriction for a command'))))
+        .addSubcommandGroup(group => group
+            .setName('transcripts')
+            .setDescription('Automatic channel transcripts')
+            .addSubcommand(sub => sub
+                .setName('auto-archive')
+                .setDescription('Archive threads when archived or locked, and channels and threads when deleted')
+                .addBooleanOption(option => option
+                    .setName('enabled')
+                    .setDescription('Archive automatically (omit to show the current setting)')))),
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const names = [ALL_COMMANDS, ...commands.keys()];
+        await interaction.respond(names
+            .filter(name => name.includes(focused))
+            .slice(0, 25)
+            .map(name => ({ name: name === ALL_COMMANDS ? `${ALL_COMMANDS} (all commands)` : name, value: name })));
+    },
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        const subcommand = ctx.options.getSubcommand();
+
+        if (ctx.options.getSubcommandGroup() === 'transcripts') {
+            await configureTranscripts(ctx);
+            return;
+        }
+
+        if (subcommand === 'show') {
+            const policies = Object.entries(getCommandPolicies(guild.id)).filter(([, policy]) => policy);
+            const embed = new EmbedBuilder()
+                .setColor('#3498db')
+                .setTitle(`⚙️ Command policy for ${guild.name}`)
+                .setDescription(policies.length === 0
+                    ? `No restrictions. Members with **Manage Server** always bypass role and channel lists.\nUse \`${PREFIX}config commands allow-role <command> <role>\` to add one.`
+                    : 'Members with **Manage Server** always bypass role and channel lists.')
+                .setTimestamp();
+            for (const [commandName, policy] of policies.slice(0, 25)) {
+                embed.addFields({ name: describeTarget(commandName), value: formatPolicy(policy) });
+            }
+            await ctx.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+            return;
+        }
+
+        const commandName = ctx.options.getString('command', true).toLowerCase();
+        if (commandName !== ALL_COMMANDS && !commands.has(commandName)) {
+            await ctx.reply(`❌ Unknown command \`${commandName}\`.`);
+            return;
+        }
+
+        if (subcommand === 'reset') {
+            editCommandPolicy(guild.id, commandName, () => ({ allowRoles: [], denyRoles: [], allowChannels: [], denyChannels: [] }));
+            await ctx.reply(`✅ Cleared every restriction for ${describeTarget(commandName)}.`);
+            return;
+        }
+
+        if (subcommand === 'remove-role' || subcommand === 'remove-channel') {
+            const target = subcommand === 'remove-role' ? ctx.options.getRole('role', true) : ctx.options.getChannel('channel', true);
+            const keys = subcommand === 'remove-role' ? ['allowRoles', 'denyRoles'] : ['allowChannels', 'denyChannels'];
+            const policy = editCommandPolicy(guild.id, commandName, current => {
+                for (const key of keys) current[key] = current[key].filter(id => id !== target.id);
+                return current;
+            });
+            await ctx.reply({ content: `✅ Updated ${describeTarget(commandName)}:\n${formatPolicy(policy)}`, allowedMentions: { parse: [] } });
+            return;
+        }
+
+        const [key, kind] = LIST_SUBCOMMANDS[subcommand];
+        const target = kind === 'role' ? ctx.options.getRole('role', true) : ctx.options.getChannel('channel', true);
+        const policy = editCommandPolicy(guild.id, commandName, current => {
+            // A target sits in at most one of the allow/deny lists of its kind
+            const opposite = key.startsWith('allow') ? key.replace('allow', 'deny') : key.replace('deny', 'allow');
+            current[opposite] = current[opposite].filter(id => id !== target.id);
+            if (!current[key].includes(target.id)) current[key].push(target.id);
+            return current;
+        });
+
+        await ctx.reply({ content: `✅ Updated ${describeTarget(commandName)}:\n${formatPolicy(policy)}`, allowedMentions: { parse: [] } });
+    }
+};
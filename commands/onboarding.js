@@ -0,0 +1,197 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, ChannelType, MessageFlags } = require('discord.js');
+const { TIMEOUT_ACTIONS, getOnboardingConfig, updateOnboardingConfig, isOnboardingActive } = require('../lib/onboarding');
+const { describeRoleProblem } = require('../lib/rolePanels');
+
+const TEXT_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+
+function describeConfig(config) {
+    return [
+        `**Enabled:** ${config.enabled ? 'yes' : 'no'}`,
+        `**Unverified role:** ${config.unverifiedRoleId ? `<@&${config.unverifiedRoleId}>` : 'not set'}`,
+        `**Verification channel:** ${config.channelId ? `<#${config.channelId}>` : 'not set'}`,
+        `**Member roles:** ${config.memberRoleIds.length > 0 ? config.memberRoleIds.map(id => `<@&${id}>`).join(', ') : 'none'}`,
+        `**Minimum account age:** ${config.minAccountAgeDays > 0 ? `${config.minAccountAgeDays} days` : 'none'}`,
+        `**Challenge:** ${config.challenge ? 'on' : 'off'}`,
+        `**Timeout:** ${config.timeoutMinutes > 0 ? `${config.timeoutMinutes} minutes, then ${config.timeoutAction}` : 'none'}`,
+        `**Alert channel:** ${config.alertChannelId ? `<#${config.alertChannelId}>` : 'not set'}`
+    ].join('\n');
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('onboarding')
+        .setDescription('Hold new members until they verify')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(sub => sub
+            .setName('setup')
+            .setDescription('Set the unverified role and verification channel (also enables onboarding)')
+            .addRoleOption(option => option
+                .setName('unverified-role')
+                .setDescription('Role given to new members until they verify')
+                .setRequired(true))
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel the verification prompts are posted in')
+                .addChannelTypes(...TEXT_CHANNEL_TYPES)
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('add-role')
+            .setDescription('Grant a role to members once they verify')
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Member role')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('remove-role')
+            .setDescription('Stop granting a role on verification')
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Member role')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('set-min-age')
+            .setDescription('Minimum account age in days to pass verification (0 to disable)')
+            .addIntegerOption(option => option
+                .setName('days')
+                .setDescription('Account age in days')
+                .setMinValue(0)
+                .setMaxValue(3650)
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('set-challenge')
+            .setDescription('Ask a simple sum before verifying')
+            .addBooleanOption(option => option
+                .setName('enabled')
+                .setDescription('Ask the challenge')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('set-timeout')
+            .setDescription('What happens to members who do not verify in time (0 minutes to disable)')
+            .addIntegerOption(option => option
+                .setName('minutes')
+                .setDescription('Minutes to verify in')
+                .setMinValue(0)
+                .setMaxValue(10080)
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('action')
+                .setDescription('Kick them or report them in the alert channel (default: kick)')
+                .addChoices(...TIMEOUT_ACTIONS.map(action => ({ name: action, value: action })))))
+        .addSubcommand(sub => sub
+            .setName('set-alert-channel')
+            .setDescription('Channel for kick/flag reports (omit to only log them)')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Alert channel')
+                .addChannelTypes(...TEXT_CHANNEL_TYPES)))
+        .addSubcommand(sub => sub
+            .setName('enable')
+            .setDescription('Hold new members for verification'))
+        .addSubcommand(sub => sub
+            .setName('disable')
+            .setDescription('Welcome new members straight away'))
+        .addSubcommand(sub => sub
+            .setName('show')
+            .setDescription('Show the current onboarding configuration')),
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        const subcommand = ctx.options.getSubcommand();
+        const config = getOnboardingConfig(guild.id);
+
+        switch (subcommand) {
+            case 'setup': {
+                const role = ctx.options.getRole('unverified-role', true);
+                const channel = ctx.options.getChannel('channel', true);
+                const problem = describeRoleProblem(role);
+                if (problem) {
+                    await ctx.reply({ content: `❌ ${problem}`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                updateOnboardingConfig(guild.id, { enabled: true, unverifiedRoleId: role.id, channelId: channel.id });
+                await ctx.reply({
+                    content: `✅ New members will get ${role} and a verification prompt in <#${channel.id}>. Welcome messages are sent once they verify.\n` +
+                        `💡 Deny ${role} **View Channel** everywhere except <#${channel.id}>, and add member roles with \`/onboarding add-role\`.`,
+                    allowedMentions: { parse: [] }
+                });
+                break;
+            }
+            case 'add-role': {
+                const role = ctx.options.getRole('role', true);
+                const problem = describeRoleProblem(role);
+                if (problem) {
+                    await ctx.reply({ content: `❌ ${problem}`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                if (role.id === config.unverifiedRoleId) {
+                    await ctx.reply({ content: '❌ That is the unverified role.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                updateOnboardingConfig(guild.id, { memberRoleIds: [...new Set([...config.memberRoleIds, role.id])] });
+                await ctx.reply({ content: `✅ Verified members will get ${role}.`, allowedMentions: { parse: [] } });
+                break;
+            }
+            case 'remove-role': {
+                const role = ctx.options.getRole('role', true);
+                updateOnboardingConfig(guild.id, { memberRoleIds: config.memberRoleIds.filter(id => id !== role.id) });
+                await ctx.reply({ content: `✅ ${role} is no longer granted on verification.`, allowedMentions: { parse: [] } });
+                break;
+            }
+            case 'set-min-age': {
+                const days = ctx.options.getInteger('days', true);
+                updateOnboardingConfig(guild.id, { minAccountAgeDays: days });
+                await ctx.reply(days > 0
+                    ? `✅ Accounts younger than ${days} days cannot verify.`
+                    : '✅ Minimum account age disabled.');
+                break;
+            }
+            case 'set-challenge': {
+                const enabled = ctx.options.getBoolean('enabled', true);
+                updateOnboardingConfig(guild.id, { challenge: enabled });
+                await ctx.reply(enabled ? '✅ Members must answer a simple sum to verify.' : '✅ Verification challenge disabled.');
+                break;
+            }
+            case 'set-timeout': {
+                const minutes = ctx.options.getInteger('minutes', true);
+                const action = ctx.options.getString('action') || 'kick';
+                updateOnboardingConfig(guild.id, { timeoutMinutes: minutes, timeoutAction: action });
+                const canKick = guild.members.me?.permissions.has(PermissionFlagsBits.KickMembers);
+                await ctx.reply(minutes > 0
+                    ? `✅ Members who have not verified after ${minutes} minutes will be ${action === 'kick' ? 'kicked' : 'flagged'}.${action === 'kick' && !canKick ? '\n⚠️ Grant the bot **Kick Members** for this to work.' : ''}`
+                    : '✅ Verification timeout disabled.');
+                break;
+            }
+            case 'set-alert-channel': {
+                const channel = ctx.options.getChannel('channel');
+                updateOnboardingConfig(guild.id, { alertChannelId: channel?.id || null });
+                await ctx.reply(channel
+                    ? `✅ Onboarding alerts will be posted in <#${channel.id}>.`
+                    : '✅ Onboarding alerts will only be logged.');
+                break;
+            }
+            case 'enable': {
+                if (!config.unverifiedRoleId || !config.channelId) {
+                    await ctx.reply({ content: '❌ Run `/onboarding setup` first.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                updateOnboardingConfig(guild.id, { enabled: true });
+                await ctx.reply('✅ New members will be held for verification.');
+                break;
+            }
+            case 'disable': {
+                updateOnboardingConfig(guild.id, { enabled: false });
+                await ctx.reply('✅ Onboarding disabled. Members still holding the unverified role keep it until removed.');
+                break;
+            }
+            case 'show': {
+                await ctx.reply({
+                    content: `🛂 **Onboarding for ${guild.name}**${isOnboardingActive(guild.id) ? '' : ' (inactive)'}\n${describeConfig(config)}`,
+                    allowedMentions: { parse: [] },
+                    flags: MessageFlags.Ephemeral
+                });
+                break;
+            }
+        }
+    }
+};
@@ -0,0 +1,177 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, PermissionsBitField, EmbedBuilder, OverwriteType } = require('discord.js');
+const { getCachedGuildInfo } = require('../lib/guildInfo');
+const {
+    computeChannelPermissions,
+    rolePermissionsIn,
+    summarizeKeyPermissions,
+    sortedRoles,
+    buildPermissionMatrix,
+    matrixToCsv,
+    auditPermissions
+} = require('../lib/permissions');
+
+function truncateLines(lines, limit = 1000) {
+    let value = '';
+    for (let i = 0; i < lines.length; i++) {
+        if (value.length + lines[i].length + 1 > limit) {
+            return `${value}… and ${lines.length - i} more`;
+        }
+        value += `${lines[i]}\n`;
+    }
+    return value || '_None_';
+}
+
+function roleLabel(snapshot, role) {
+    return role.id === snapshot.basicInfo.id ? '@everyone' : `@${role.name}`;
+}
+
+async function reportChannel(ctx, snapshot, channel) {
+    const channelData = snapshot.channels.find(entry => entry.id === channel.id);
+    const fullReport = [];
+    const lines = [];
+
+    for (const role of sortedRoles(snapshot)) {
+        const permissions = rolePermissionsIn(snapshot, channelData, role);
+        const key = summarizeKeyPermissions(permissions);
+        fullReport.push(`${roleLabel(snapshot, role)}: ${new PermissionsBitField(permissions).toArray().join(', ') || 'none'}`);
+        if (key.length > 0) lines.push(`**${roleLabel(snapshot, role)}** — ${key.join(', ')}`);
+    }
+
+    // Member overwrites apply on top of the member's roles
+    const memberLines = [];
+    for (const overwrite of channelData.permissionOverwrites.filter(entry => entry.type === OverwriteType.Member)) {
+        const member = ctx.guild.members.cache.get(overwrite.id);
+        const roleIds = member ? member.roles.cache.map(role => role.id).filter(id => id !== ctx.guild.id) : [];
+        const permissions = member?.id === ctx.guild.ownerId
+            ? PermissionsBitField.All
+            : computeChannelPermissions(snapshot, channelData, { roleIds, memberId: overwrite.id });
+        const key = summarizeKeyPermissions(permissions);
+        memberLines.push(`<@${overwrite.id}> — ${key.join(', ') || 'no access'}`);
+        fullReport.push(`member ${member?.user.tag || overwrite.id}: ${new PermissionsBitField(permissions).toArray().join(', ') || 'none'}`);
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor('#3498db')
+        .setTitle(`🔐 Effective permissions in #${channel.name}`)
+        .addFields({ name: 'Roles with access', value: truncateLines(lines) })
+        .setFooter({ text: 'Roles not listed cannot see this channel' })
+        .setTimestamp();
+    if (memberLines.length > 0) {
+        embed.addFields({ name: 'Member overwrites', value: truncateLines(memberLines) });
+    }
+
+    await ctx.reply({
+        embeds: [embed],
+        allowedMentions: { parse: [] },
+        files: [{ attachment: Buffer.from(fullReport.join('\n') + '\n'), name: `permissions_${channel.name}.txt` }]
+    });
+}
+
+async function reportRole(ctx, snapshot, role) {
+    const roleData = snapshot.roles.find(entry => entry.id === role.id);
+    const canSend = [];
+    const viewOnly = [];
+    const hidden = [];
+
+    for (const channel of [...snapshot.channels].sort((a, b) => a.position - b.position)) {
+        const permissions = rolePermissionsIn(snapshot, channel, roleData);
+        if (!(permissions & PermissionFlagsBits.ViewChannel)) {
+            hidden.push(`#${channel.name}`);
+        } else if (permissions & (PermissionFlagsBits.SendMessages | PermissionFlagsBits.Connect)) {
+            const extra = summarizeKeyPermissions(permissions).filter(label => !['View', 'Send', 'Connect', 'Speak'].includes(label));
+            canSend.push(`#${channel.name}${extra.length ? ` (${extra.join(', ')})` : ''}`);
+        } else {
+            viewOnly.push(`#${channel.name}`);
+        }
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(role.color || '#3498db')
+        .setTitle(`🔐 Effective permissions for ${roleLabel(snapshot, roleData)}`)
+        .setDescription(`Server permissions: ${roleData.permissions.join(', ') || 'none'}`.slice(0, 4096))
+        .addFields(
+            { name: 'Can post / connect', value: truncateLines(canSend) },
+            { name: 'View only', value: truncateLines(viewOnly) },
+            { name: 'Hidden', value: truncateLines(hidden) }
+        )
+        .setFooter({ text: 'As seen by a member with only this role (plus @everyone)' })
+        .setTimestamp();
+
+    await ctx.reply({ embeds: [embed] });
+}
+
+async function reportAudit(ctx, snapshot) {
+    const findings = auditPermissions(snapshot);
+    const icons = { high: '🔴', medium: '🟠' };
+    const embed = new EmbedBuilder()
+        .setColor(findings.some(finding => finding.severity === 'high') ? '#e74c3c' : findings.length ? '#f39c12' : '#2ecc71')
+        .setTitle(`🛡️ Permission audit for ${ctx.guild.name}`)
+        .setDescription(findings.length === 0
+            ? '✅ No risky permission configurations found.'
+            : truncateLines(findings.map(finding => `${icons[finding.severity]} ${finding.message}`), 4000))
+        .setTimestamp();
+
+    await ctx.reply({ embeds: [embed] });
+}
+
+async function reportMatrix(ctx, snapshot) {
+    const matrix = buildPermissionMatrix(snapshot);
+    await ctx.reply({
+        content: `📊 Effective permission matrix for **${ctx.guild.name}** (${matrix.rows.length} roles × ${matrix.channels.length} channels)`,
+        files: [{ attachment: Buffer.from(matrixToCsv(matrix)), name: `${ctx.guild.id}_permission_matrix.csv` }]
+    });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('perms')
+        .setDescription('Inspect effective permissions and audit risky configurations')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+        .addSubcommand(sub => sub
+            .setName('channel')
+            .setDescription('Which roles can see and post in a channel')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel to inspect')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('role')
+            .setDescription('Where a role can see and post')
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Role to inspect')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('audit')
+            .setDescription('Flag risky permission configurations'))
+        .addSubcommand(sub => sub
+            .setName('matrix')
+            .setDescription('Export the role × channel permission matrix as CSV')),
+
+    async execute(ctx) {
+        const snapshot = getCachedGuildInfo(ctx.guild);
+        const subcommand = ctx.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'channel': {
+                const channel = ctx.options.getChannel('channel', true);
+                if (!snapshot.channels.some(entry => entry.id === channel.id)) {
+                    await ctx.reply('❌ Permissions can only be inspected for server channels, not threads.');
+                    return;
+                }
+                await reportChannel(ctx, snapshot, channel);
+                break;
+            }
+            case 'role':
+                await reportRole(ctx, snapshot, ctx.options.getRole('role', true));
+                break;
+            case 'audit':
+                await reportAudit(ctx, snapshot);
+                break;
+            case 'matrix':
+                await reportMatrix(ctx, snapshot);
+                break;
+        }
+    }
+};
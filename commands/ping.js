@@ -0,0 +1,12 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+module.exports = {
+    allowDM: true,
+    data: new SlashCommandBuilder()
+        .setName('ping')
+        .setDescription('Test bot connectivity'),
+
+    async execute(ctx) {
+        await ctx.reply('Pong!');
+    }
+};
@@ -0,0 +1,48 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, MessageFlags } = require('discord.js');
+const { isTrackedServer } = require('../lib/tracking');
+const { MIN_INTERVAL_MINUTES, MAX_INTERVAL_MINUTES, refreshNow, setRefreshInterval, getRefreshStatus } = require('../lib/refreshScheduler');
+
+module.exports = {
+    // Builds a full snapshot, including the archived thread crawl
+    cooldown: { user: 10, guild: 60 },
+    data: new SlashCommandBuilder()
+        .setName('refresh')
+        .setDescription('Rebuild this server\'s tracked data now, or change how often it is refreshed')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addIntegerOption(option => option
+            .setName('interval')
+            .setDescription(`Refresh every this many minutes instead (${MIN_INTERVAL_MINUTES}-${MAX_INTERVAL_MINUTES}, 0 for the default)`)
+            .setMinValue(0)
+            .setMaxValue(MAX_INTERVAL_MINUTES)),
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        if (!isTrackedServer(guild.id)) {
+            await ctx.reply({ content: '❌ This server is not being tracked. Use `/track` first.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const interval = ctx.options.getInteger('interval');
+        if (interval !== null) {
+            if (interval > 0 && interval < MIN_INTERVAL_MINUTES) {
+                await ctx.reply({ content: `❌ The interval must be at least ${MIN_INTERVAL_MINUTES} minutes.`, flags: MessageFlags.Ephemeral });
+                return;
+            }
+            setRefreshInterval(guild.id, interval || null);
+            const status = getRefreshStatus(guild.id);
+            await ctx.reply(`✅ **${guild.name}** will be refreshed every ${status.intervalMinutes} minutes${status.customInterval ? '' : ' (the default)'}. Next refresh <t:${Math.floor(status.nextRunAt / 1000)}:R>.`);
+            return;
+        }
+
+        await ctx.defer();
+        const result = await refreshNow(ctx.client, guild.id, 'Requested via /refresh');
+        if (!result) {
+            await ctx.reply('⏳ A refresh of this server is already running.');
+        } else if (result.ok) {
+            await ctx.reply(`✅ Rebuilt the tracked data for **${guild.name}**.`);
+        } else {
+            await ctx.reply(`❌ Refresh failed: ${result.error.message}\nIt will be retried automatically; see \`/tracked\` for its status.`);
+        }
+    }
+};
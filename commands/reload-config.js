@@ -0,0 +1,36 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { evalOnShards } = require('../lib/sharding');
+const { logger } = require('../lib/logger');
+
+const listKeys = keys => keys.map(key => `\`${key}\``).join(', ');
+
+module.exports = {
+    allowDM: true,
+    ownerOnly: true,
+    data: new SlashCommandBuilder()
+        .setName('reload-config')
+        .setDescription('Reload config.json and .env without restarting (bot owner only)'),
+
+    async execute(ctx) {
+        let results;
+        try {
+            // Every shard process holds its own copy of the configuration
+            results = await evalOnShards(ctx.client, require.resolve('../lib/config'), 'reloadConfig');
+        } catch (error) {
+            logger.warn('Configuration reload failed', { command: 'reload-config', reason: error.message });
+            await ctx.reply({
+                content: `❌ The configuration was not reloaded; the current one is still in use.\n\`\`\`\n${error.message.slice(0, 1800)}\n\`\`\``,
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        // All shards read the same files, so the first result speaks for every one
+        const { changed, restartRequired } = results[0];
+        const lines = [changed.length > 0 ? `✅ Configuration reloaded. Changed: ${listKeys(changed)}.` : '✅ Configuration reloaded, nothing changed.'];
+        if (restartRequired.length > 0) {
+            lines.push(`⚠️ Restart the bot to apply: ${listKeys(restartRequired)}.`);
+        }
+        await ctx.reply({ content: lines.join('\n'), flags: MessageFlags.Ephemeral });
+    }
+};
@@ -0,0 +1,161 @@
+const {
+    SlashCommandBuilder,
+    InteractionContextType,
+    PermissionFlagsBits,
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ComponentType
+} = require('discord.js');
+const { listSnapshots, loadSnapshot, resolveSnapshotRef } = require('../lib/snapshots');
+const { buildRestorePlan, countPlanChanges, applyRestorePlan } = require('../lib/restore');
+const { logger } = require('../lib/logger');
+
+const CONFIRM_TIMEOUT_MS = 60 * 1000;
+
+function formatList(items, render) {
+    if (items.length === 0) return '_None_';
+    const lines = items.slice(0, 15).map(render);
+    if (items.length > 15) lines.push(`… and ${items.length - 15} more`);
+    const value = lines.join('\n');
+    return value.length > 1024 ? `${value.slice(0, 1020)}...` : value;
+}
+
+function buildPlanEmbed(guild, sourceName, snapshotId, plan, dryRun) {
+    const embed = new EmbedBuilder()
+        .setColor(dryRun ? '#3498db' : '#e67e22')
+        .setTitle(`${dryRun ? '🧪 Restore dry run' : '♻️ Restore plan'} for ${guild.name}`)
+        .setDescription(`Snapshot \`${snapshotId}\` from **${sourceName}**\n**${countPlanChanges(plan)}** change(s)`)
+        .addFields(
+            { name: 'Roles to create', value: formatList(plan.roles.create, role => `+ @${role.name}`) },
+            { name: 'Roles to update', value: formatList(plan.roles.update, role => `~ @${role.name}: ${role.changes.join(', ')}`) },
+            { name: 'Categories to create', value: formatList(plan.categories.create, category => `+ ${category.name}`) },
+            {
+                name: 'Channels to create',
+                value: formatList(plan.channels.create, channel => `+ #${channel.name}${channel.parentName ? ` (in ${channel.parentName})` : ''}`)
+            },
+            { name: 'Overwrites to remap', value: formatList(plan.channels.overwrites, channel => `~ #${channel.name}`) },
+            { name: 'Channels to reorder', value: formatList(plan.channels.reorder, channel => `~ #${channel.name}: ${channel.from} → ${channel.to}`) }
+        )
+        .setTimestamp();
+
+    if (plan.roles.order) {
+        embed.addFields({ name: 'Role order', value: 'Roles will be reordered to match the snapshot' });
+    }
+    if (plan.roles.everyonePermissions) {
+        embed.addFields({ name: '@everyone', value: `Permissions set to \`${plan.roles.everyonePermissions}\`` });
+    }
+    if (plan.skipped.length > 0) {
+        embed.addFields({ name: 'Skipped', value: formatList(plan.skipped, reason => `• ${reason}`) });
+    }
+    return embed;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('restore')
+        .setDescription('Recreate roles, channels and permissions from a saved snapshot')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addStringOption(option => option
+            .setName('snapshot')
+            .setDescription('Snapshot to restore: latest, previous, ~N or a timestamp')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addBooleanOption(option => option
+            .setName('dry-run')
+            .setDescription('Only show the plan, change nothing'))
+        .addStringOption(option => option
+            .setName('source')
+            .setDescription('ID of the server the snapshot belongs to (default: this server)')),
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const sourceId = interaction.options.getString('source') || interaction.guildId;
+        const choices = listSnapshots(sourceId)
+            .reverse()
+            .filter(id => id.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(id => ({ name: id, value: id }));
+        await interaction.respond(choices);
+    },
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        const ref = ctx.options.getString('snapshot', true);
+        const dryRun = ctx.options.getBoolean('dry-run') ?? false;
+        const sourceId = ctx.options.getString('source') || guild.id;
+
+        // Restoring from another server exposes its layout, so require admin rights there too
+        if (sourceId !== guild.id) {
+            const sourceGuild = ctx.client.guilds.cache.get(sourceId);
+            const sourceMember = await sourceGuild?.members.fetch(ctx.user.id).catch(() => null);
+            if (!sourceMember?.permissions.has(PermissionFlagsBits.ManageGuild)) {
+                await ctx.reply('❌ You need **Manage Server** in the source server to restore from its snapshots.');
+                return;
+            }
+        }
+
+        const snapshotId = resolveSnapshotRef(sourceId, ref);
+        if (!snapshotId) {
+            await ctx.reply(`❌ No snapshot matches \`${ref}\` for server ${sourceId}.`);
+            return;
+        }
+
+        const snapshot = loadSnapshot(sourceId, snapshotId);
+        const sourceName = snapshot.basicInfo?.name || sourceId;
+        const plan = buildRestorePlan(guild, snapshot);
+        const embed = buildPlanEmbed(guild, sourceName, snapshotId, plan, dryRun);
+        const planFile = {
+            attachment: Buffer.from(JSON.stringify({ source: sourceId, snapshot: snapshotId, plan }, null, 2)),
+            name: `${guild.id}_restore_plan_${snapshotId}.json`
+        };
+
+        if (dryRun || countPlanChanges(plan) === 0) {
+            await ctx.reply({ embeds: [embed], files: [planFile] });
+            return;
+        }
+
+        const botPermissions = guild.members.me?.permissions;
+        if (!botPermissions?.has([PermissionFlagsBits.ManageRoles, PermissionFlagsBits.ManageChannels])) {
+            await ctx.reply({
+                content: '❌ I need **Manage Roles** and **Manage Channels** to restore this snapshot.',
+                embeds: [embed]
+            });
+            return;
+        }
+
+        const buttons = new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId('restore_confirm').setLabel('Apply restore').setStyle(ButtonStyle.Danger),
+            new ButtonBuilder().setCustomId('restore_cancel').setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+        );
+        const prompt = await ctx.reply({ embeds: [embed], files: [planFile], components: [buttons] });
+
+        let confirmation;
+        try {
+            confirmation = await prompt.awaitMessageComponent({
+                componentType: ComponentType.Button,
+                filter: interaction => interaction.user.id === ctx.user.id,
+                time: CONFIRM_TIMEOUT_MS
+            });
+        } catch {
+            await prompt.edit({ content: '⌛ Restore cancelled (no confirmation received).', components: [] }).catch(() => {});
+            return;
+        }
+
+        if (confirmation.customId === 'restore_cancel') {
+            await confirmation.update({ content: '❌ Restore cancelled.', components: [] });
+            return;
+        }
+
+        await confirmation.update({ content: '⏳ Restoring...', components: [] });
+        logger.info('Restoring guild from snapshot', { guildId: guild.id, command: 'restore', snapshotId, source: sourceName });
+
+        const result = await applyRestorePlan(guild, plan, `Restore from snapshot ${snapshotId} by ${ctx.user.tag}`);
+        const errors = result.errors.length > 0
+            ? `\n⚠️ ${result.errors.length} step(s) failed:\n${result.errors.slice(0, 10).map(error => `• ${error}`).join('\n')}`
+            : '';
+        await confirmation.editReply({ content: `✅ Restore finished: ${result.applied} change(s) applied.${errors}`.slice(0, 2000) });
+    }
+};
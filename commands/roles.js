@@ -0,0 +1,223 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, ChannelType, MessageFlags } = require('discord.js');
+const {
+    PANEL_STYLES,
+    MAX_PANEL_ROLES,
+    getRolePanels,
+    getRolePanel,
+    saveRolePanel,
+    deleteRolePanel,
+    toPanelId,
+    describeRoleProblem,
+    publishRolePanel,
+    refreshRolePanel
+} = require('../lib/rolePanels');
+
+const TEXT_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+
+function addPanelOption(sub) {
+    return sub.addStringOption(option => option
+        .setName('panel')
+        .setDescription('Panel name')
+        .setRequired(true)
+        .setAutocomplete(true));
+}
+
+// Moderators can only put roles below their own highest role on a panel
+function isAboveMember(ctx, role) {
+    if (ctx.guild.ownerId === ctx.user.id) return false;
+    return role.comparePositionTo(ctx.member.roles.highest) >= 0;
+}
+
+function describePanel(panel) {
+    const where = panel.messageId ? `published in <#${panel.channelId}>` : 'not published';
+    return `• **${panel.id}** – ${panel.roles.length} role(s), ${panel.style}${panel.exclusive ? ', exclusive' : ''}, ${where}`;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('roles')
+        .setDescription('Self-assignable role panels')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+        .addSubcommandGroup(group => group
+            .setName('panel')
+            .setDescription('Create and manage role panels')
+            .addSubcommand(sub => sub
+                .setName('create')
+                .setDescription('Create a role panel (add roles, then publish it)')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Panel name, e.g. colours')
+                    .setMaxLength(32)
+                    .setRequired(true))
+                .addStringOption(option => option
+                    .setName('style')
+                    .setDescription('Buttons or a select menu (default: buttons)')
+                    .addChoices(...PANEL_STYLES.map(style => ({ name: style, value: style }))))
+                .addBooleanOption(option => option
+                    .setName('exclusive')
+                    .setDescription('Members can only hold one role from this panel'))
+                .addStringOption(option => option
+                    .setName('title')
+                    .setDescription('Panel title (default: the name)')
+                    .setMaxLength(256))
+                .addStringOption(option => option
+                    .setName('description')
+                    .setDescription('Text shown above the roles')
+                    .setMaxLength(1000)))
+            .addSubcommand(sub => addPanelOption(sub
+                .setName('add-role')
+                .setDescription('Add a role to a panel'))
+                .addRoleOption(option => option
+                    .setName('role')
+                    .setDescription('Role members can pick')
+                    .setRequired(true))
+                .addRoleOption(option => option
+                    .setName('requires')
+                    .setDescription('Only members with this role can pick it'))
+                .addStringOption(option => option
+                    .setName('emoji')
+                    .setDescription('Emoji shown on the button or option'))
+                .addStringOption(option => option
+                    .setName('label')
+                    .setDescription('Button or option text (default: the role name)')
+                    .setMaxLength(80)))
+            .addSubcommand(sub => addPanelOption(sub
+                .setName('remove-role')
+                .setDescription('Remove a role from a panel'))
+                .addRoleOption(option => option
+                    .setName('role')
+                    .setDescription('Role to remove')
+                    .setRequired(true)))
+            .addSubcommand(sub => addPanelOption(sub
+                .setName('publish')
+                .setDescription('Post the panel (or move it to another channel)'))
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Channel to post in (default: this channel)')
+                    .addChannelTypes(...TEXT_CHANNEL_TYPES)))
+            .addSubcommand(sub => addPanelOption(sub
+                .setName('delete')
+                .setDescription('Delete a panel and its message')))
+            .addSubcommand(sub => sub
+                .setName('list')
+                .setDescription('List the role panels in this server'))),
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = Object.keys(getRolePanels(interaction.guildId))
+            .filter(id => id.includes(focused))
+            .slice(0, 25)
+            .map(id => ({ name: id, value: id }));
+        await interaction.respond(choices);
+    },
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        const subcommand = ctx.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            const panels = Object.values(getRolePanels(guild.id));
+            await ctx.reply({
+                content: panels.length > 0
+                    ? `🎭 **Role panels in ${guild.name}**\n${panels.map(describePanel).join('\n')}`
+                    : '🎭 No role panels yet. Create one with `/roles panel create`.',
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        if (subcommand === 'create') {
+            const name = ctx.options.getString('name', true);
+            const id = toPanelId(name);
+            if (!id) {
+                await ctx.reply({ content: '❌ The panel name needs at least one letter or digit.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+            if (getRolePanel(guild.id, id)) {
+                await ctx.reply({ content: `❌ A panel named \`${id}\` already exists.`, flags: MessageFlags.Ephemeral });
+                return;
+            }
+            saveRolePanel(guild.id, {
+                id,
+                title: ctx.options.getString('title') || name,
+                description: ctx.options.getString('description') || null,
+                style: ctx.options.getString('style') || 'buttons',
+                exclusive: ctx.options.getBoolean('exclusive') ?? false,
+                channelId: null,
+                messageId: null,
+                roles: []
+            });
+            await ctx.reply(`✅ Created panel \`${id}\`. Add roles with \`/roles panel add-role ${id} <role>\`, then \`/roles panel publish ${id}\`.`);
+            return;
+        }
+
+        const panelId = ctx.options.getString('panel', true);
+        const panel = getRolePanel(guild.id, panelId);
+        if (!panel) {
+            await ctx.reply({ content: `❌ No panel named \`${panelId}\`. See \`/roles panel list\`.`, flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        switch (subcommand) {
+            case 'add-role': {
+                const role = ctx.options.getRole('role', true);
+                const problem = describeRoleProblem(role) || (isAboveMember(ctx, role) ? `**${role.name}** is not below your highest role.` : null);
+                if (problem) {
+                    await ctx.reply({ content: `❌ ${problem}`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                const others = panel.roles.filter(entry => entry.roleId !== role.id);
+                if (others.length >= MAX_PANEL_ROLES) {
+                    await ctx.reply({ content: `❌ A panel can hold at most ${MAX_PANEL_ROLES} roles.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                const requires = ctx.options.getRole('requires');
+                const updated = saveRolePanel(guild.id, {
+                    ...panel,
+                    roles: [...panel.roles.filter(entry => entry.roleId !== role.id), {
+                        roleId: role.id,
+                        label: ctx.options.getString('label') || null,
+                        emoji: ctx.options.getString('emoji')?.trim() || null,
+                        requiredRoleId: requires?.id || null
+                    }]
+                });
+                const refreshed = await refreshRolePanel(guild, updated);
+                await ctx.reply({
+                    content: `✅ Added ${role} to \`${panel.id}\`${requires ? ` (requires ${requires})` : ''}.${refreshed ? ' The published panel was updated.' : ''}`,
+                    allowedMentions: { parse: [] }
+                });
+                break;
+            }
+            case 'remove-role': {
+                const role = ctx.options.getRole('role', true);
+                const updated = saveRolePanel(guild.id, { ...panel, roles: panel.roles.filter(entry => entry.roleId !== role.id) });
+                const refreshed = await refreshRolePanel(guild, updated);
+                await ctx.reply({
+                    content: `✅ Removed ${role} from \`${panel.id}\`.${refreshed ? ' The published panel was updated.' : ''}`,
+                    allowedMentions: { parse: [] }
+                });
+                break;
+            }
+            case 'publish': {
+                if (panel.roles.length === 0) {
+                    await ctx.reply({ content: `❌ Add roles first with \`/roles panel add-role ${panel.id} <role>\`.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                const channel = ctx.options.getChannel('channel') || ctx.channel;
+                const published = await publishRolePanel(guild, panel, channel);
+                await ctx.reply({ content: `✅ Panel \`${panel.id}\` is live in <#${published.channelId}>.`, flags: MessageFlags.Ephemeral });
+                break;
+            }
+            case 'delete': {
+                deleteRolePanel(guild.id, panel.id);
+                const channel = panel.channelId ? guild.channels.cache.get(panel.channelId) : null;
+                if (channel && panel.messageId) {
+                    await channel.messages.delete(panel.messageId).catch(() => {});
+                }
+                await ctx.reply(`✅ Deleted panel \`${panel.id}\`.`);
+                break;
+            }
+        }
+    }
+};
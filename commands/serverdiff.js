@@ -0,0 +1,112 @@
+const { SlashCommandBuilder, InteractionContextType, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { listSnapshots, loadSnapshot, resolveSnapshotRef } = require('../lib/snapshots');
+const { diffSnapshots, countChanges, describeDiff, formatDiffMarkdown } = require('../lib/snapshotDiff');
+
+// Discord caps embed field values at 1024 characters
+function formatFieldValue(lines) {
+    if (lines.length === 0) return '_No changes_';
+    let value = '';
+    for (let i = 0; i < lines.length; i++) {
+        const next = `${value}${lines[i]}\n`;
+        if (next.length > 950) {
+            value += `… and ${lines.length - i} more`;
+            break;
+        }
+        value = next;
+    }
+    return `\`\`\`diff\n${value.trimEnd()}\n\`\`\``;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('serverdiff')
+        .setDescription('Compare two saved snapshots of this server')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addStringOption(option => option
+            .setName('from')
+            .setDescription('Older snapshot: latest, previous, ~N or a timestamp (default: previous)')
+            .setAutocomplete(true))
+        .addStringOption(option => option
+            .setName('to')
+            .setDescription('Newer snapshot: latest, previous, ~N or a timestamp (default: latest)')
+            .setAutocomplete(true))
+        .addStringOption(option => option
+            .setName('format')
+            .setDescription('Output format (default: embed)')
+            .addChoices(
+                { name: 'Embed', value: 'embed' },
+                { name: 'JSON patch', value: 'json' },
+                { name: 'Markdown patch', value: 'markdown' }
+            )),
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = listSnapshots(interaction.guildId)
+            .reverse()
+            .filter(id => id.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(id => ({ name: id, value: id }));
+        await interaction.respond(choices);
+    },
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        const fromRef = ctx.options.getString('from') || 'previous';
+        const toRef = ctx.options.getString('to') || 'latest';
+        const format = ctx.options.getString('format') || 'embed';
+
+        if (listSnapshots(guild.id).length < 2) {
+            await ctx.reply('📝 At least two snapshots are needed for a diff. Snapshots are saved while the server is tracked (`/track`).');
+            return;
+        }
+
+        const fromId = resolveSnapshotRef(guild.id, fromRef);
+        const toId = resolveSnapshotRef(guild.id, toRef);
+        if (!fromId || !toId) {
+            await ctx.reply(`❌ No snapshot matches \`${!fromId ? fromRef : toRef}\`.`);
+            return;
+        }
+
+        const before = loadSnapshot(guild.id, fromId);
+        const after = loadSnapshot(guild.id, toId);
+        const diff = diffSnapshots(before, after);
+        const total = countChanges(diff);
+
+        if (format === 'json') {
+            await ctx.reply({
+                content: `🧾 ${total} change(s) between \`${fromId}\` and \`${toId}\``,
+                files: [{
+                    attachment: Buffer.from(JSON.stringify({ from: fromId, to: toId, diff }, null, 2)),
+                    name: `${guild.id}_diff_${fromId}_${toId}.json`
+                }]
+            });
+            return;
+        }
+
+        if (format === 'markdown') {
+            await ctx.reply({
+                content: `🧾 ${total} change(s) between \`${fromId}\` and \`${toId}\``,
+                files: [{
+                    attachment: Buffer.from(formatDiffMarkdown(diff, before, after, fromId, toId)),
+                    name: `${guild.id}_diff_${fromId}_${toId}.md`
+                }]
+            });
+            return;
+        }
+
+        const sections = describeDiff(diff, before, after);
+        const embed = new EmbedBuilder()
+            .setColor(total > 0 ? '#f1c40f' : '#2ecc71')
+            .setTitle(`🧾 Server diff for ${guild.name}`)
+            .setDescription(`From \`${fromId}\`\nTo \`${toId}\`\n**${total}** change(s)`)
+            .addFields(Object.entries(sections).map(([name, lines]) => ({
+                name,
+                value: formatFieldValue(lines),
+                inline: false
+            })))
+            .setTimestamp();
+
+        await ctx.reply({ embeds: [embed] });
+    }
+};
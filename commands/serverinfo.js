@@ -0,0 +1,74 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { rebuildSnapshot } = require('../lib/snapshotUpdates');
+const { SECTIONS, FORMATS, renderExport } = require('../lib/exporters');
+const { logger } = require('../lib/logger');
+
+// Discord accepts at most 10 attachments and 2000 characters per message
+const MAX_ATTACHMENTS = 10;
+const MAX_MESSAGE_LENGTH = 2000;
+
+module.exports = {
+    // Builds a full snapshot, including the archived thread crawl
+    cooldown: { user: 30, guild: 60 },
+    data: new SlashCommandBuilder()
+        .setName('serverinfo')
+        .setDescription('Generate comprehensive server data')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addStringOption(option => option
+            .setName('section')
+            .setDescription('Part of the server data to show (default: all)')
+            .addChoices(...['all', ...SECTIONS].map(section => ({ name: section, value: section }))))
+        .addStringOption(option => option
+            .setName('format')
+            .setDescription('Output format (default: json)')
+            .addChoices(...Object.keys(FORMATS).map(format => ({ name: format, value: format })))),
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        const section = ctx.options.getString('section') || 'all';
+        const format = ctx.options.getString('format') || 'json';
+
+        await ctx.reply('⏳ Gathering comprehensive server information...');
+
+        // Always save to project directory
+        const { snapshot: serverInfo, fileName } = await rebuildSnapshot(guild, 'Requested via /serverinfo');
+        const outputs = renderExport(serverInfo, section, format);
+        const label = section === 'all' ? 'Server information' : `Server ${section}`;
+        let warnings = '';
+        if (serverInfo.unreadableChannels.length > 0) {
+            warnings += `\n⚠️ Some archived threads could not be read in ${new Set(serverInfo.unreadableChannels.map(entry => entry.id)).size} channel(s); see the \`unreadableChannels\` section.`;
+        }
+        if (serverInfo.unavailableSections.length > 0) {
+            warnings += `\n⚠️ Not included: ${serverInfo.unavailableSections.map(entry => `\`${entry.section}\` (${entry.reason})`).join(', ')}.`;
+        }
+
+        // rebuildSnapshot logs the reason when the file could not be written
+        const saveFailed = '⚠️ Saving to `server_data/` failed; see the bot log.';
+        const saved = fileName ? `💾 Saved to project: \`server_data/${fileName}\`` : saveFailed;
+        const inline = outputs.length === 1
+            ? `\`\`\`${FORMATS[format].codeBlock}\n${outputs[0].content}\n\`\`\`\n${saved}${warnings}`
+            : null;
+
+        // Discord has a 2000 character limit for messages
+        if (inline && inline.length <= MAX_MESSAGE_LENGTH) {
+            await ctx.reply(inline);
+        } else {
+            const baseName = `${guild.name.replace(/[^a-zA-Z0-9]/g, '_')}_server_info`;
+            const files = outputs.map(output => ({
+                attachment: Buffer.from(output.content),
+                name: `${baseName}${output.suffix}_${Date.now()}.${output.extension}`
+            }));
+            // CSV of every section is one file per section, more than fit on one message
+            await ctx.reply({
+                content: `📋 ${label} for **${guild.name}** as ${format}\n${fileName ? `💾 Also saved to project: \`server_data/${fileName}\`` : saveFailed}${warnings}`,
+                files: files.slice(0, MAX_ATTACHMENTS)
+            });
+            for (let i = MAX_ATTACHMENTS; i < files.length; i += MAX_ATTACHMENTS) {
+                await ctx.reply({ files: files.slice(i, i + MAX_ATTACHMENTS) });
+            }
+        }
+
+        logger.info('Generated server info', { guildId: guild.id, command: 'serverinfo', section, format });
+    }
+};
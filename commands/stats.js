@@ -0,0 +1,98 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, ChannelType } = require('discord.js');
+const { isTrackedServer } = require('../lib/tracking');
+const {
+    getMemberStatsConfig,
+    updateMemberStatsConfig,
+    parsePeriod,
+    computeGrowth,
+    computeRetention,
+    growthToCsv,
+    retentionToCsv,
+    buildGrowthEmbed,
+    buildRetentionEmbed
+} = require('../lib/memberActivity');
+
+const DEFAULT_PERIOD = '30d';
+
+function addReportOptions(sub) {
+    return sub
+        .addStringOption(option => option
+            .setName('period')
+            .setDescription(`How far back to look, e.g. 7d, 4w, 3m (default: ${DEFAULT_PERIOD})`))
+        .addBooleanOption(option => option
+            .setName('csv')
+            .setDescription('Attach the data as a CSV file'));
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Member join/leave statistics for this server')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(sub => addReportOptions(sub
+            .setName('growth')
+            .setDescription('Net growth and churn rate over a period')))
+        .addSubcommand(sub => addReportOptions(sub
+            .setName('retention')
+            .setDescription('How many new members left again within 24 hours or 7 days')))
+        .addSubcommand(sub => sub
+            .setName('summary-channel')
+            .setDescription('Post a weekly member summary to a channel (omit the channel to stop)')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Summary channel')
+                .addChannelTypes(ChannelType.GuildText))),
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        const subcommand = ctx.options.getSubcommand();
+
+        if (subcommand === 'summary-channel') {
+            const channel = ctx.options.getChannel('channel');
+            if (!channel) {
+                updateMemberStatsConfig(guild.id, { summaryChannelId: null });
+                await ctx.reply('✅ Weekly member summaries disabled.');
+                return;
+            }
+            updateMemberStatsConfig(guild.id, { summaryChannelId: channel.id, lastSummaryAt: Date.now() });
+            await ctx.reply(`✅ A weekly member summary will be posted in <#${channel.id}>, starting a week from now.${isTrackedServer(guild.id)
+                ? ''
+                : '\n⚠️ This server is not tracked, so no joins or leaves are being recorded. Use `/track` to start.'}`);
+            return;
+        }
+
+        const periodInput = ctx.options.getString('period') || DEFAULT_PERIOD;
+        const days = parsePeriod(periodInput);
+        if (!days) {
+            await ctx.reply(`❌ \`${periodInput}\` is not a valid period. Use a number of days or something like \`7d\`, \`4w\`, \`3m\` (up to a year).`);
+            return;
+        }
+
+        if (!isTrackedServer(guild.id)) {
+            await ctx.reply('📝 Joins and leaves are only recorded for tracked servers. Use `/track` to start collecting them.');
+            return;
+        }
+
+        const reply = {};
+        if (subcommand === 'growth') {
+            const growth = computeGrowth(guild, days);
+            reply.embeds = [buildGrowthEmbed(guild, growth)];
+            if (ctx.options.getBoolean('csv')) {
+                reply.files = [{ attachment: Buffer.from(growthToCsv(growth)), name: `${guild.id}_growth_${days}d.csv` }];
+            }
+        } else {
+            const retention = computeRetention(guild.id, days);
+            reply.embeds = [buildRetentionEmbed(guild, retention)];
+            if (ctx.options.getBoolean('csv')) {
+                reply.files = [{ attachment: Buffer.from(retentionToCsv(retention)), name: `${guild.id}_retention_${days}d.csv` }];
+            }
+        }
+
+        const config = getMemberStatsConfig(guild.id);
+        if (config.summaryChannelId) {
+            reply.content = `🗓️ Weekly summaries are posted in <#${config.summaryChannelId}>.`;
+        }
+        await ctx.reply(reply);
+    }
+};
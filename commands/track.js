@@ -0,0 +1,40 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { setServerTracked } = require('../lib/tracking');
+const { refreshNow } = require('../lib/refreshScheduler');
+const { logger } = require('../lib/logger');
+
+module.exports = {
+    // Builds a full snapshot, including the archived thread crawl
+    cooldown: { user: 10, guild: 60 },
+    data: new SlashCommandBuilder()
+        .setName('track')
+        .setDescription('Start real-time tracking of this server')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        let changed;
+        try {
+            changed = setServerTracked(guild.id, true);
+        } catch (error) {
+            logger.error('Could not save tracked servers', { guildId: guild.id, command: 'track', error });
+            await ctx.reply('❌ Could not save the tracked servers list, so this server is not tracked. Please try again later.');
+            return;
+        }
+        if (!changed) {
+            await ctx.reply(`✅ This server (${guild.name}) is already being tracked!`);
+            return;
+        }
+
+        // Generate initial server info
+        await ctx.reply('🔄 Adding this server to tracking list and generating initial data...');
+        const result = await refreshNow(ctx.client, guild.id, 'Tracking started');
+        if (result && !result.ok) {
+            await ctx.reply(`⚠️ **${guild.name}** is now being tracked, but building its initial data failed: ${result.error.message}\nIt will be retried automatically.`);
+            return;
+        }
+
+        await ctx.reply(`✅ **${guild.name}** is now being tracked!\n📁 Server data will be automatically updated in \`server_data/\` directory`);
+    }
+};
@@ -0,0 +1,68 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { listTrackedServers } = require('../lib/refreshScheduler');
+
+// Discord's 2000 character message limit, minus room for the header and footer
+const MAX_LIST_LENGTH = 1700;
+
+const relativeTimestamp = ms => `<t:${Math.floor(ms / 1000)}:R>`;
+// Timestamp markup only renders in messages, so the attached list uses plain dates
+const plainTimestamp = ms => `at ${new Date(ms).toISOString().replace('T', ' ').slice(0, 16)} UTC`;
+
+// "✅ refreshed 5 minutes ago · next in 25 minutes · every 30 min"
+function describeRefresh(status, timestamp = relativeTimestamp) {
+    const parts = [];
+    if (status.running) {
+        parts.push('🔄 refreshing now');
+    } else if (status.consecutiveFailures > 0) {
+        const streak = status.consecutiveFailures > 1 ? ` (${status.consecutiveFailures} times in a row)` : '';
+        parts.push(`❌ failed ${timestamp(status.lastFailureAt)}${streak}: ${status.lastError}`);
+    }
+    parts.push(status.lastSuccessAt ? `✅ refreshed ${timestamp(status.lastSuccessAt)}` : 'never refreshed');
+    if (status.nextRunAt && !status.running) parts.push(`next ${timestamp(status.nextRunAt)}`);
+    parts.push(`every ${status.intervalMinutes} min`);
+    return parts.join(' · ');
+}
+
+module.exports = {
+    allowDM: true,
+    data: new SlashCommandBuilder()
+        .setName('tracked')
+        .setDescription('List all currently tracked servers'),
+
+    async execute(ctx) {
+        // Each shard reports the tracked servers it owns
+        const trackedServers = await listTrackedServers(ctx.client);
+
+        if (trackedServers.length === 0) {
+            await ctx.reply('📝 No servers are currently being tracked.\nUse `/track` to start tracking this server.');
+            return;
+        }
+
+        const header = `📊 **Currently tracking ${trackedServers.length} server(s):**`;
+        const footer = '📁 Data files are saved in `server_data/` directory';
+        const entries = trackedServers
+            .map(({ guildId, name, status }) => `• ${name ? `**${name}**` : 'Unknown Guild'} (${guildId})\n  ${describeRefresh(status)}`);
+        const serverList = entries.join('\n');
+
+        if (serverList.length <= MAX_LIST_LENGTH) {
+            await ctx.reply(`${header}\n${serverList}\n${footer}`);
+            return;
+        }
+
+        // Too long for one message: show what fits and attach the full list
+        const shown = [];
+        let length = 0;
+        for (const entry of entries) {
+            if (length + entry.length + 1 > MAX_LIST_LENGTH) break;
+            shown.push(entry);
+            length += entry.length + 1;
+        }
+        const fullList = trackedServers
+            .map(({ guildId, name, status }) => `${name || 'Unknown Guild'} (${guildId})\n  ${describeRefresh(status, plainTimestamp)}`)
+            .join('\n');
+        await ctx.reply({
+            content: `${header}\n${shown.join('\n')}\n… and ${entries.length - shown.length} more in the attached list\n${footer}`,
+            files: [{ attachment: Buffer.from(`${fullList}\n`), name: 'tracked_servers.txt' }]
+        });
+    }
+};
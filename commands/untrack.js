@@ -0,0 +1,57 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { setServerTracked } = require('../lib/tracking');
+const { forgetSnapshot } = require('../lib/snapshotUpdates');
+const { listTrackedServers } = require('../lib/refreshScheduler');
+const { isBotOwner } = require('../lib/commandPolicy');
+const { logger } = require('../lib/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('untrack')
+        .setDescription('Stop tracking a server (existing data files are kept)')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addStringOption(option => option
+            .setName('server')
+            .setDescription('Tracked server to remove, bot owner only (defaults to this server)')
+            .setAutocomplete(true)),
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        // Only the bot owner may untrack other servers, so nobody else gets to see them listed
+        const canSeeAll = isBotOwner(interaction.client, interaction.user.id);
+        // Names come from whichever shard owns each server
+        const choices = (await listTrackedServers(interaction.client))
+            .filter(({ guildId }) => canSeeAll || guildId === interaction.guildId)
+            .map(({ guildId, name }) => ({ name: `${name ?? 'Unknown Guild'} (${guildId})`, value: guildId }))
+            .filter(choice => choice.name.toLowerCase().includes(focused))
+            .slice(0, 25);
+        await interaction.respond(choices);
+    },
+
+    async execute(ctx) {
+        const guildId = ctx.options.getString('server') || ctx.guild.id;
+        if (guildId !== ctx.guild.id && !isBotOwner(ctx.client, ctx.user.id)) {
+            await ctx.reply('❌ Only the bot owner can untrack other servers. Run this command in that server instead.');
+            return;
+        }
+        const guildName = ctx.client.guilds.cache.get(guildId)?.name || guildId;
+
+        let changed;
+        try {
+            changed = setServerTracked(guildId, false);
+        } catch (error) {
+            logger.error('Could not save tracked servers', { guildId, command: 'untrack', error });
+            await ctx.reply(`❌ Could not save the tracked servers list, so **${guildName}** is still tracked. Please try again later.`);
+            return;
+        }
+        if (!changed) {
+            await ctx.reply(`❌ This server (${guildName}) is not currently being tracked.`);
+            return;
+        }
+        // A server on another shard is dropped there on its next scheduler check
+        forgetSnapshot(guildId);
+
+        await ctx.reply(`✅ **${guildName}** has been removed from tracking.\n📝 Existing data files will remain in \`server_data/\``);
+    }
+};
@@ -0,0 +1,48 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, MessageFlags } = require('discord.js');
+const { addWarning, notifyWarned } = require('../lib/warnings');
+const { logger } = require('../lib/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('warn')
+        .setDescription('Add a warning to a member\'s record')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addUserOption(option => option
+            .setName('user')
+            .setDescription('Member to warn')
+            .setRequired(true))
+        .addStringOption(option => option
+            .setName('reason')
+            .setDescription('Why they are being warned')
+            .setMaxLength(500)
+            .setRequired(true)),
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        const user = ctx.options.getUser('user', true);
+        const reason = ctx.options.getString('reason', true);
+        const member = ctx.options.getMember('user') ?? await guild.members.fetch(user.id).catch(() => null);
+
+        let problem = null;
+        if (!member) problem = `${user} is not a member of this server.`;
+        else if (user.bot) problem = 'Bots cannot be warned.';
+        else if (user.id === ctx.user.id) problem = 'You cannot warn yourself.';
+        else if (user.id === guild.ownerId) problem = 'The server owner cannot be warned.';
+        else if (ctx.user.id !== guild.ownerId && member.roles.highest.comparePositionTo(ctx.member.roles.highest) >= 0) {
+            problem = `${user} has a role equal to or above yours.`;
+        }
+        if (problem) {
+            await ctx.reply({ content: `❌ ${problem}`, allowedMentions: { parse: [] }, flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const warnings = addWarning(guild.id, user.id, { reason, moderatorId: ctx.user.id });
+        logger.info('Warned member', { guildId: guild.id, command: 'warn', userId: user.id, moderatorId: ctx.user.id, count: warnings.length });
+        const notified = await notifyWarned(member, reason, warnings.length);
+        await ctx.reply({
+            content: `⚠️ Warned ${user} (warning #${warnings.length}): ${reason}${notified ? '' : '\n_Could not DM them about it._'}`,
+            allowedMentions: { parse: [] }
+        });
+    }
+};
@@ -0,0 +1,45 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, EmbedBuilder, MessageFlags } = require('discord.js');
+const { getWarnings } = require('../lib/warnings');
+
+// Most recent first; older warnings are summarised so the embed stays within limits
+const MAX_LISTED = 15;
+
+function describeWarning(warning, number) {
+    const by = warning.source === 'automod' ? `automod (${warning.filter})` : `<@${warning.moderatorId}>`;
+    return `**${number}.** <t:${Math.floor(warning.timestamp / 1000)}:d> by ${by}: ${warning.reason}`;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('warnings')
+        .setDescription('List a member\'s warnings')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addUserOption(option => option
+            .setName('user')
+            .setDescription('Member to look up')
+            .setRequired(true)),
+
+    async execute(ctx) {
+        const user = ctx.options.getUser('user', true);
+        const warnings = getWarnings(ctx.guild.id, user.id);
+
+        if (warnings.length === 0) {
+            await ctx.reply({ content: `✅ ${user} has no warnings.`, allowedMentions: { parse: [] }, flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const lines = warnings
+            .map((warning, index) => describeWarning(warning, index + 1))
+            .reverse()
+            .slice(0, MAX_LISTED);
+        if (warnings.length > MAX_LISTED) lines.push(`… and ${warnings.length - MAX_LISTED} older`);
+
+        const embed = new EmbedBuilder()
+            .setColor('#f1c40f')
+            .setTitle(`⚠️ Warnings for ${user.tag}`)
+            .setDescription(lines.join('\n').slice(0, 4096))
+            .setFooter({ text: `${warnings.length} warning(s)` });
+        await ctx.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    }
+};
@@ -0,0 +1,373 @@
+const { SlashCommandBuilder, InteractionContextType, PermissionFlagsBits, ChannelType, MessageFlags } = require('discord.js');
+const {
+    DEFAULT_WELCOME_CONFIG,
+    WELCOME_TEMPLATES,
+    MAX_TITLE_LENGTH,
+    getWelcomeConfig,
+    updateWelcomeConfig,
+    parseHexColor,
+    buildWelcomeMessage,
+    buildWelcomeDm,
+    buildGoodbyeMessage
+} = require('../lib/welcome');
+const { findUnknownPlaceholders, listPlaceholders } = require('../lib/messageTemplates');
+const {
+    DEFAULT_WELCOME_CARD_CONFIG,
+    CARD_LAYOUTS,
+    getWelcomeCardConfig,
+    updateWelcomeCardConfig,
+    getCachedBackground,
+    addWelcomeCard
+} = require('../lib/welcomeCard');
+const { logger } = require('../lib/logger');
+
+const TEXT_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+
+// Keeps /welcome show and /welcome test under Discord's 2000 character message limit
+function clip(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function describeConfig(config) {
+    return [
+        `**Enabled:** ${config.enabled ? 'yes' : 'no'}`,
+        `**Welcome channel:** ${config.channelId ? `<#${config.channelId}>` : 'not set'}`,
+        `**Redirect channel:** ${config.redirectChannelId ? `<#${config.redirectChannelId}>` : 'not set'}`,
+        `**Embed colour:** ${config.color}`,
+        `**Custom text:** ${config.customText ? clip(config.customText, 150) : 'server description'}`,
+        `**Welcome DM:** ${config.dmEnabled ? 'enabled' : 'disabled'}`,
+        `**Goodbye channel:** ${config.goodbyeChannelId ? `<#${config.goodbyeChannelId}>` : 'not set'}`,
+        '**Templates:**',
+        ...Object.entries(WELCOME_TEMPLATES)
+            .filter(([target]) => target !== 'text')
+            .map(([target, key]) => `• ${target}: \`${clip(config[key], 150)}\``)
+    ].join('\n');
+}
+
+function describeCardConfig(config) {
+    return `**Welcome card:** ${config.enabled
+        ? `${config.layout} layout, ${config.backgroundUrl ? `background <${config.backgroundUrl}>` : 'server banner background'}, colours ${config.backgroundColor} / ${config.accentColor} / ${config.textColor}`
+        : 'disabled'}`;
+}
+
+async function executeCardSubcommand(ctx, subcommand) {
+    const { guild } = ctx;
+
+    switch (subcommand) {
+        case 'enable': {
+            updateWelcomeCardConfig(guild.id, { enabled: true });
+            await ctx.reply('✅ Welcome messages will include a welcome card. Use `/welcome preview` to see it.');
+            break;
+        }
+        case 'disable': {
+            updateWelcomeCardConfig(guild.id, { enabled: false });
+            await ctx.reply('✅ Welcome cards disabled.');
+            break;
+        }
+        case 'set-background': {
+            const url = ctx.options.getString('url');
+            if (!url) {
+                updateWelcomeCardConfig(guild.id, { backgroundUrl: null });
+                await ctx.reply('✅ Welcome cards will use the server banner (or the background colour when there is none).');
+                return;
+            }
+            if (!/^https?:\/\//i.test(url)) {
+                await ctx.reply({ content: '❌ The background must be an http(s) image URL.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            // Download now so a broken URL is reported here rather than on the next join
+            await ctx.defer();
+            try {
+                await getCachedBackground(guild.id, url, { refresh: true });
+            } catch (error) {
+                // The reason can describe hosts on the bot's network, so it only goes to the log
+                logger.warn('Could not load welcome card background', { guildId: guild.id, command: 'welcome', reason: error.message });
+                await ctx.reply('❌ Could not load that background. Use a publicly reachable image of at most 8 MB.');
+                return;
+            }
+            updateWelcomeCardConfig(guild.id, { backgroundUrl: url });
+            await ctx.reply('✅ Welcome card background updated.');
+            break;
+        }
+        case 'set-layout': {
+            const layout = ctx.options.getString('layout', true);
+            updateWelcomeCardConfig(guild.id, { layout });
+            await ctx.reply(`✅ Welcome cards will use the ${layout} layout.`);
+            break;
+        }
+        case 'set-colors': {
+            const patch = {};
+            for (const [option, key] of [['background', 'backgroundColor'], ['accent', 'accentColor'], ['text', 'textColor']]) {
+                const value = ctx.options.getString(option);
+                if (!value) continue;
+                const color = parseHexColor(value);
+                if (!color) {
+                    await ctx.reply({ content: `❌ \`${option}\` must be a hex value such as \`#2ecc71\`.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                patch[key] = color;
+            }
+            const colors = Object.keys(patch).length > 0 ? patch : {
+                backgroundColor: DEFAULT_WELCOME_CARD_CONFIG.backgroundColor,
+                accentColor: DEFAULT_WELCOME_CARD_CONFIG.accentColor,
+                textColor: DEFAULT_WELCOME_CARD_CONFIG.textColor
+            };
+            updateWelcomeCardConfig(guild.id, colors);
+            await ctx.reply(Object.keys(patch).length > 0 ? '✅ Welcome card colours updated.' : '✅ Welcome card colours reset to the defaults.');
+            break;
+        }
+    }
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('welcome')
+        .setDescription('Configure welcome messages for this server')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(sub => sub
+            .setName('set-channel')
+            .setDescription('Set the channel welcome messages are posted in (also enables them)')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Welcome channel')
+                .addChannelTypes(...TEXT_CHANNEL_TYPES)
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('set-redirect')
+            .setDescription('Set the channel new members are pointed to (omit to clear)')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel to point new members to')
+                .addChannelTypes(...TEXT_CHANNEL_TYPES)))
+        .addSubcommand(sub => sub
+            .setName('set-color')
+            .setDescription('Set the welcome embed colour')
+            .addStringOption(option => option
+                .setName('color')
+                .setDescription('Hex colour, e.g. #2ecc71')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('set-text')
+            .setDescription('Set the server introduction text (omit to use the server description)')
+            .addStringOption(option => option
+                .setName('text')
+                .setDescription('Introduction text')
+                .setMaxLength(1000)))
+        .addSubcommand(sub => sub
+            .setName('set-template')
+            .setDescription('Set a message template, e.g. "Hi {user}, read {channel:rules}!" (omit to restore the default)')
+            .addStringOption(option => option
+                .setName('target')
+                .setDescription('Which message to change')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'Welcome message', value: 'message' },
+                    { name: 'Embed title', value: 'title' },
+                    { name: 'Embed description', value: 'description' },
+                    { name: 'Server introduction', value: 'text' },
+                    { name: 'Introduction without server description', value: 'fallback' },
+                    { name: 'Getting started greeting', value: 'greeting' },
+                    { name: 'Welcome DM', value: 'dm' },
+                    { name: 'Goodbye message', value: 'goodbye' }
+                ))
+            .addStringOption(option => option
+                .setName('template')
+                .setDescription('Template text with placeholders such as {user}, {guild} or {memberCount}')
+                .setMaxLength(1000)))
+        .addSubcommand(sub => sub
+            .setName('set-dm')
+            .setDescription('Also send the welcome DM template to new members')
+            .addBooleanOption(option => option
+                .setName('enabled')
+                .setDescription('Send a welcome DM')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('set-goodbye')
+            .setDescription('Post a goodbye message when members leave (omit the channel to stop)')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Goodbye channel')
+                .addChannelTypes(...TEXT_CHANNEL_TYPES)))
+        .addSubcommand(sub => sub
+            .setName('enable')
+            .setDescription('Enable welcome messages'))
+        .addSubcommand(sub => sub
+            .setName('disable')
+            .setDescription('Disable welcome messages'))
+        .addSubcommand(sub => sub
+            .setName('preview')
+            .setDescription('Preview the welcome message for yourself'))
+        .addSubcommand(sub => sub
+            .setName('test')
+            .setDescription('Render the welcome message, welcome DM and goodbye message for yourself'))
+        .addSubcommand(sub => sub
+            .setName('show')
+            .setDescription('Show the current welcome configuration'))
+        .addSubcommandGroup(group => group
+            .setName('card')
+            .setDescription('Attach a rendered PNG card to welcome messages')
+            .addSubcommand(sub => sub
+                .setName('enable')
+                .setDescription('Attach a welcome card to welcome messages'))
+            .addSubcommand(sub => sub
+                .setName('disable')
+                .setDescription('Send welcome messages without a card'))
+            .addSubcommand(sub => sub
+                .setName('set-background')
+                .setDescription('Card background image (omit to use the server banner)')
+                .addStringOption(option => option
+                    .setName('url')
+                    .setDescription('Image URL')
+                    .setMaxLength(500)))
+            .addSubcommand(sub => sub
+                .setName('set-layout')
+                .setDescription('Card layout')
+                .addStringOption(option => option
+                    .setName('layout')
+                    .setDescription('Avatar beside the text (classic) or above it (centered)')
+                    .setRequired(true)
+                    .addChoices(...CARD_LAYOUTS.map(layout => ({ name: layout, value: layout })))))
+            .addSubcommand(sub => sub
+                .setName('set-colors')
+                .setDescription('Card colours as hex values (omit all to reset)')
+                .addStringOption(option => option
+                    .setName('background')
+                    .setDescription('Background colour when there is no image, e.g. #23272a'))
+                .addStringOption(option => option
+                    .setName('accent')
+                    .setDescription('Avatar ring and bottom bar colour'))
+                .addStringOption(option => option
+                    .setName('text')
+                    .setDescription('Text colour')))),
+
+    async execute(ctx) {
+        const { guild } = ctx;
+        const subcommand = ctx.options.getSubcommand();
+
+        if (ctx.options.getSubcommandGroup() === 'card') {
+            await executeCardSubcommand(ctx, subcommand);
+            return;
+        }
+
+        switch (subcommand) {
+            case 'set-channel': {
+                const channel = ctx.options.getChannel('channel', true);
+                updateWelcomeConfig(guild.id, { channelId: channel.id, enabled: true });
+                await ctx.reply(`✅ Welcome messages will be posted in <#${channel.id}>.`);
+                break;
+            }
+            case 'set-redirect': {
+                const channel = ctx.options.getChannel('channel');
+                updateWelcomeConfig(guild.id, { redirectChannelId: channel?.id || null });
+                await ctx.reply(channel
+                    ? `✅ New members will be pointed to <#${channel.id}>.`
+                    : '✅ Redirect channel cleared.');
+                break;
+            }
+            case 'set-color': {
+                const color = parseHexColor(ctx.options.getString('color', true));
+                if (!color) {
+                    await ctx.reply({ content: '❌ Colour must be a hex value such as `#2ecc71`.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                updateWelcomeConfig(guild.id, { color });
+                await ctx.reply(`✅ Welcome embed colour set to \`${color}\`.`);
+                break;
+            }
+            case 'set-text': {
+                const text = ctx.options.getString('text');
+                updateWelcomeConfig(guild.id, { customText: text || null });
+                await ctx.reply(text ? '✅ Welcome introduction text updated.' : '✅ Welcome text reset to the server description.');
+                break;
+            }
+            case 'set-template': {
+                const target = ctx.options.getString('target', true);
+                const template = ctx.options.getString('template');
+                const key = WELCOME_TEMPLATES[target];
+                if (target === 'title' && template && template.length > MAX_TITLE_LENGTH) {
+                    await ctx.reply({ content: `❌ Embed titles are limited to ${MAX_TITLE_LENGTH} characters.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                updateWelcomeConfig(guild.id, { [key]: template || DEFAULT_WELCOME_CONFIG[key] });
+
+                const unknown = template ? findUnknownPlaceholders(template) : [];
+                await ctx.reply({
+                    content: `${template ? `✅ The ${target} template was updated.` : `✅ The ${target} template was reset to the default.`}${unknown.length > 0
+                        ? `\n⚠️ Unknown placeholders are left as typed: ${unknown.join(', ')}. Available: ${listPlaceholders().join(', ')}`
+                        : ''} Use \`/welcome test\` to preview it.`,
+                    allowedMentions: { parse: [] }
+                });
+                break;
+            }
+            case 'set-dm': {
+                const enabled = ctx.options.getBoolean('enabled', true);
+                updateWelcomeConfig(guild.id, { dmEnabled: enabled });
+                await ctx.reply(enabled ? '✅ New members will also receive the welcome DM.' : '✅ Welcome DMs disabled.');
+                break;
+            }
+            case 'set-goodbye': {
+                const channel = ctx.options.getChannel('channel');
+                updateWelcomeConfig(guild.id, { goodbyeChannelId: channel?.id || null });
+                await ctx.reply(channel
+                    ? `✅ Goodbye messages will be posted in <#${channel.id}>.`
+                    : '✅ Goodbye messages disabled.');
+                break;
+            }
+            case 'enable': {
+                if (!getWelcomeConfig(guild.id).channelId) {
+                    await ctx.reply({ content: '❌ Set a welcome channel first with `/welcome set-channel`.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                updateWelcomeConfig(guild.id, { enabled: true });
+                await ctx.reply('✅ Welcome messages enabled.');
+                break;
+            }
+            case 'disable': {
+                updateWelcomeConfig(guild.id, { enabled: false });
+                await ctx.reply('✅ Welcome messages disabled.');
+                break;
+            }
+            case 'preview': {
+                const member = ctx.member ?? await guild.members.fetch(ctx.user.id);
+                // Rendering a welcome card can take longer than an interaction allows
+                await ctx.defer({ flags: MessageFlags.Ephemeral });
+                const payload = await addWelcomeCard(member, buildWelcomeMessage(member, getWelcomeConfig(guild.id)));
+                await ctx.reply({
+                    ...payload,
+                    content: `👀 **Preview:** ${payload.content}`,
+                    allowedMentions: { parse: [] },
+                    flags: MessageFlags.Ephemeral
+                });
+                break;
+            }
+            case 'test': {
+                const member = ctx.member ?? await guild.members.fetch(ctx.user.id);
+                const config = getWelcomeConfig(guild.id);
+                await ctx.defer({ flags: MessageFlags.Ephemeral });
+                const welcome = await addWelcomeCard(member, buildWelcomeMessage(member, config));
+                await ctx.reply({
+                    content: [
+                        `👀 **Welcome message**${config.enabled && config.channelId ? '' : ' (disabled)'}: ${clip(welcome.content, 500)}`,
+                        `✉️ **Welcome DM**${config.dmEnabled ? '' : ' (disabled)'}: ${clip(buildWelcomeDm(member, config).content, 500)}`,
+                        `👋 **Goodbye message**${config.goodbyeChannelId ? '' : ' (disabled)'}: ${clip(buildGoodbyeMessage(member, config).content, 500)}`
+                    ].join('\n'),
+                    embeds: welcome.embeds,
+                    files: welcome.files,
+                    allowedMentions: { parse: [] },
+                    flags: MessageFlags.Ephemeral
+                });
+                break;
+            }
+            case 'show': {
+                await ctx.reply({
+                    content: `⚙️ **Welcome configuration for ${guild.name}**\n${describeConfig(getWelcomeConfig(guild.id))}\n${describeCardConfig(getWelcomeCardConfig(guild.id))}`,
+                    allowedMentions: { parse: [] },
+                    flags: MessageFlags.Ephemeral
+                });
+                break;
+            }
+        }
+    }
+};
@@ -0,0 +1,18 @@
+// Registers slash commands without starting the bot (the bot also registers them on startup)
+const { ConfigError, loadConfig } = require('./lib/config');
+
+try {
+    loadConfig({ requireToken: true });
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+const { loadCommands, registerSlashCommands } = require('./lib/commandRegistry');
+
+loadCommands();
+registerSlashCommands().catch(error => {
+    console.error('Error registering slash commands:', error);
+    process.exit(1);
+});
@@ -1,7 +1,10 @@
+require('dotenv').config();
+
+// SHARDING=true runs the sharded launcher, which starts one child process per shard
 module.exports = {
   apps: [{
     name: 'discord-bot',
-    script: 'index.js',
+    script: process.env.SHARDING === 'true' ? 'shard.js' : 'index.js',
     instances: 1,
     exec_mode: 'fork',
     watch: false,
@@ -1,654 +1,157 @@
-require('dotenv').config();
-const { Client, GatewayIntentBits, ActivityType, EmbedBuilder } = require('discord.js');
-const fs = require('fs');
-const path = require('path');
+const { Client, GatewayIntentBits, Partials, ActivityType } = require('discord.js');
+const { ConfigError, loadConfig, getConfig, onConfigReload, reloadConfig, findUnknownReferences } = require('./lib/config');
+const { logger } = require('./lib/logger');
+
+// Validate config.json and the environment before any other module reads them
+let config;
+try {
+    config = loadConfig({ requireToken: true });
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    logger.error('Invalid configuration', { errors: error.errors });
+    process.exit(1);
+}
+
+const { loadTrackedServers } = require('./lib/tracking');
+const { flushAllSnapshots } = require('./lib/snapshotUpdates');
+const { startRefreshScheduler } = require('./lib/refreshScheduler');
+const { migrateLegacyWelcomeConfig } = require('./lib/welcome');
+const { onEvent, registerEventHandlers } = require('./lib/eventHandlers');
+const { loadCommands, registerSlashCommands, registerComponentHandler, handleInteraction, handleMessage } = require('./lib/commandRegistry');
+const { startHttpServer } = require('./lib/httpServer');
+const { startRecording } = require('./lib/gatewayReplay');
+const { startWeeklySummaries } = require('./lib/memberActivity');
+const { handleOnboardingComponent, startOnboardingSweeps } = require('./lib/onboarding');
+const { handleRolePanelComponent } = require('./lib/rolePanels');
+const { moderateMessage } = require('./lib/automod');
+const { trackRateLimits } = require('./lib/metrics');
+const { isPrimaryShard } = require('./lib/sharding');
+
+// Legacy `!` commands and automod's content filters need the privileged MessageContent intent;
+// set PREFIX_COMMANDS=false to drop the intent and the commands
+const PREFIX_COMMANDS_ENABLED = config.prefixCommands;
 
 const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
-        GatewayIntentBits.MessageContent,
+        ...(PREFIX_COMMANDS_ENABLED ? [GatewayIntentBits.MessageContent] : []),
         GatewayIntentBits.GuildMembers,
         GatewayIntentBits.GuildEmojisAndStickers,
+        GatewayIntentBits.GuildModeration,
+        GatewayIntentBits.GuildInvites,
+        GatewayIntentBits.GuildWebhooks,
+        GatewayIntentBits.GuildIntegrations,
+        GatewayIntentBits.GuildScheduledEvents,
+        GatewayIntentBits.AutoModerationConfiguration,
     ],
+    // Members who left before being cached still emit guildMemberRemove
+    partials: [Partials.GuildMember],
 });
 
-// Server data management
-const SERVER_DATA_DIR = path.join(__dirname, 'server_data');
-const TRACKED_SERVERS_FILE = path.join(SERVER_DATA_DIR, 'tracked_servers.json');
-
-// Welcome system configuration
-const WELCOME_CONFIG = {
-    'Big Brain Energy': {
-        guildId: '1403186864520953876',
-        welcomeChannelId: '1403188813974601842', // #welcome
-        generalChatChannelId: '1403186870673739909' // #general-chat
-    }
-};
-
-// Ensure server data directory exists
-if (!fs.existsSync(SERVER_DATA_DIR)) {
-    fs.mkdirSync(SERVER_DATA_DIR, { recursive: true });
-    console.log('📁 Created server_data directory');
+// Record raw gateway packets for offline replay (see replay.js)
+if (config.gatewayRecordFile) {
+    startRecording(client, config.gatewayRecordFile);
 }
 
-// Load tracked servers list
-function loadTrackedServers() {
-    try {
-        if (fs.existsSync(TRACKED_SERVERS_FILE)) {
-            const data = fs.readFileSync(TRACKED_SERVERS_FILE, 'utf8');
-            return JSON.parse(data);
-        }
-    } catch (error) {
-        console.error('Error loading tracked servers:', error);
-    }
-    return [];
-}
+trackRateLimits(client);
 
-// Save tracked servers list
-function saveTrackedServers(trackedServers) {
-    try {
-        fs.writeFileSync(TRACKED_SERVERS_FILE, JSON.stringify(trackedServers, null, 2));
-    } catch (error) {
-        console.error('Error saving tracked servers:', error);
-    }
-}
-
-// Save server info to JSON file
-async function saveServerInfoToFile(guild, serverInfo = null) {
-    try {
-        const fileName = `${guild.id}_${guild.name.replace(/[^a-zA-Z0-9]/g, '_')}_server_info.json`;
-        const filePath = path.join(SERVER_DATA_DIR, fileName);
-        
-        if (!serverInfo) {
-            serverInfo = await getComprehensiveGuildInfo(guild);
-        }
-        
-        // Add metadata
-        const dataWithMetadata = {
-            ...serverInfo,
-            metadata: {
-                lastUpdated: new Date().toISOString(),
-                guildId: guild.id,
-                guildName: guild.name,
-                updateReason: 'Automatic update'
-            }
-        };
-        
-        fs.writeFileSync(filePath, JSON.stringify(dataWithMetadata, null, 2));
-        console.log(`💾 Saved server info for: ${guild.name} -> ${fileName}`);
-        
-        return fileName;
-    } catch (error) {
-        console.error(`Error saving server info for ${guild.name}:`, error);
-        return null;
-    }
+// Fail fast on unreadable bot data rather than running with an empty tracked list
+try {
+    loadTrackedServers();
+    migrateLegacyWelcomeConfig();
+} catch (error) {
+    logger.error('Could not load bot data', { error });
+    process.exit(1);
 }
 
-// Update server info for all tracked servers
-async function updateAllTrackedServers(reason = 'Scheduled update') {
-    const trackedServers = loadTrackedServers();
-    console.log(`🔄 Updating ${trackedServers.length} tracked servers (${reason})`);
-    
-    for (const guildId of trackedServers) {
-        try {
-            const guild = client.guilds.cache.get(guildId);
-            if (guild) {
-                const serverInfo = await getComprehensiveGuildInfo(guild);
-                await saveServerInfoToFile(guild, serverInfo);
-            } else {
-                console.log(`⚠️  Guild ${guildId} not found in cache`);
-            }
-        } catch (error) {
-            console.error(`Error updating server ${guildId}:`, error);
-        }
-    }
-}
+loadCommands();
+registerComponentHandler('onboarding', handleOnboardingComponent);
+registerComponentHandler('roles', handleRolePanelComponent);
+startHttpServer(client);
 
 client.once('ready', async () => {
-    console.log(`✅ ${client.user.tag} is online and ready!`);
-    console.log(`📊 Serving ${client.guilds.cache.size} guilds`);
+    logger.info('Bot is online and ready', { user: client.user.tag, guilds: client.guilds.cache.size, shards: client.shard?.ids });
     
     // Set bot status
-    client.user.setActivity('!ping | !serverinfo | !track | !tracked | 🎉 Welcoming new members!', { type: ActivityType.Listening });
-    
-    // Initialize tracked servers on startup
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.length > 0) {
-        console.log(`🔍 Found ${trackedServers.length} tracked servers, updating initial data...`);
-        await updateAllTrackedServers('Bot startup');
-    }
-    
-    // Set up periodic updates every 30 minutes
-    setInterval(async () => {
-        await updateAllTrackedServers('Periodic update');
-    }, 30 * 60 * 1000);
-});
-
-// Event listeners for real-time server updates
-client.on('guildUpdate', async (oldGuild, newGuild) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(newGuild.id)) {
-        console.log(`🔄 Guild updated: ${newGuild.name}`);
-        await saveServerInfoToFile(newGuild);
-    }
-});
-
-client.on('channelCreate', async (channel) => {
-    if (!channel.guild) return;
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(channel.guild.id)) {
-        console.log(`📝 Channel created in ${channel.guild.name}: ${channel.name}`);
-        await saveServerInfoToFile(channel.guild);
-    }
-});
-
-client.on('channelUpdate', async (oldChannel, newChannel) => {
-    if (!newChannel.guild) return;
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(newChannel.guild.id)) {
-        console.log(`📝 Channel updated in ${newChannel.guild.name}: ${newChannel.name}`);
-        await saveServerInfoToFile(newChannel.guild);
-    }
-});
+    client.user.setActivity(getConfig().activity, { type: ActivityType.Listening });
 
-client.on('channelDelete', async (channel) => {
-    if (!channel.guild) return;
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(channel.guild.id)) {
-        console.log(`🗑️ Channel deleted in ${channel.guild.name}: ${channel.name}`);
-        await saveServerInfoToFile(channel.guild);
+    // IDs that are well-formed but point at servers or channels the bot cannot see
+    for (const problem of findUnknownReferences(client)) {
+        logger.warn('Configuration references an unknown server or channel', { problem });
     }
-});
 
-client.on('roleCreate', async (role) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(role.guild.id)) {
-        console.log(`👑 Role created in ${role.guild.name}: ${role.name}`);
-        await saveServerInfoToFile(role.guild);
-    }
-});
+    // Owner-only commands fall back to the application's owner when OWNER_IDS is empty
+    await client.application.fetch().catch(error => logger.warn('Could not fetch application owner', { error }));
 
-client.on('roleUpdate', async (oldRole, newRole) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(newRole.guild.id)) {
-        console.log(`👑 Role updated in ${newRole.guild.name}: ${newRole.name}`);
-        await saveServerInfoToFile(newRole.guild);
-    }
-});
-
-client.on('roleDelete', async (role) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(role.guild.id)) {
-        console.log(`👑 Role deleted in ${role.guild.name}: ${role.name}`);
-        await saveServerInfoToFile(role.guild);
-    }
-});
-
-client.on('emojiCreate', async (emoji) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(emoji.guild.id)) {
-        console.log(`😀 Emoji created in ${emoji.guild.name}: ${emoji.name}`);
-        await saveServerInfoToFile(emoji.guild);
-    }
-});
-
-client.on('emojiUpdate', async (oldEmoji, newEmoji) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(newEmoji.guild.id)) {
-        console.log(`😀 Emoji updated in ${newEmoji.guild.name}: ${newEmoji.name}`);
-        await saveServerInfoToFile(newEmoji.guild);
-    }
-});
-
-client.on('emojiDelete', async (emoji) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(emoji.guild.id)) {
-        console.log(`😀 Emoji deleted in ${emoji.guild.name}: ${emoji.name}`);
-        await saveServerInfoToFile(emoji.guild);
-    }
-});
-
-client.on('stickerCreate', async (sticker) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(sticker.guild.id)) {
-        console.log(`🔖 Sticker created in ${sticker.guild.name}: ${sticker.name}`);
-        await saveServerInfoToFile(sticker.guild);
-    }
-});
-
-client.on('stickerUpdate', async (oldSticker, newSticker) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(newSticker.guild.id)) {
-        console.log(`🔖 Sticker updated in ${newSticker.guild.name}: ${newSticker.name}`);
-        await saveServerInfoToFile(newSticker.guild);
+    // Commands are registered once per bot, not once per shard
+    if (isPrimaryShard(client)) {
+        try {
+            await registerSlashCommands();
+        } catch (error) {
+            logger.error('Error registering slash commands', { error });
+        }
     }
-});
+    
+    // Refresh tracked servers now, then on each server's own interval
+    startRefreshScheduler(client);
 
-client.on('stickerDelete', async (sticker) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(sticker.guild.id)) {
-        console.log(`🔖 Sticker deleted in ${sticker.guild.name}: ${sticker.name}`);
-        await saveServerInfoToFile(sticker.guild);
-    }
+    startWeeklySummaries(client);
+    await startOnboardingSweeps(client);
 });
 
-client.on('threadCreate', async (thread) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(thread.guild.id)) {
-        console.log(`🧵 Thread created in ${thread.guild.name}: ${thread.name}`);
-        await saveServerInfoToFile(thread.guild);
-    }
-});
+registerEventHandlers(client);
 
-client.on('threadUpdate', async (oldThread, newThread) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(newThread.guild.id)) {
-        console.log(`🧵 Thread updated in ${newThread.guild.name}: ${newThread.name}`);
-        await saveServerInfoToFile(newThread.guild);
-    }
+onEvent(client, 'interactionCreate', async (interaction) => {
+    await handleInteraction(interaction);
 });
 
-client.on('threadDelete', async (thread) => {
-    const trackedServers = loadTrackedServers();
-    if (trackedServers.includes(thread.guild.id)) {
-        console.log(`🧵 Thread deleted in ${thread.guild.name}: ${thread.name}`);
-        await saveServerInfoToFile(thread.guild);
-    }
+onEvent(client, 'messageCreate', async (message) => {
+    if (message.author.bot) return;
+    // Messages removed by automod are not treated as commands
+    if (await moderateMessage(message)) return;
+    if (PREFIX_COMMANDS_ENABLED) await handleMessage(message);
 });
 
-// Welcome System Event Handler
-client.on('guildMemberAdd', async (member) => {
-    try {
-        // Find welcome configuration for this guild
-        const config = Object.values(WELCOME_CONFIG).find(cfg => cfg.guildId === member.guild.id);
-        
-        if (!config) {
-            console.log(`No welcome configuration found for guild: ${member.guild.name}`);
-            return;
-        }
-        
-        // Get welcome channel
-        const welcomeChannel = member.guild.channels.cache.get(config.welcomeChannelId);
-        if (!welcomeChannel) {
-            console.log(`Welcome channel not found in ${member.guild.name}`);
-            return;
-        }
-        
-        // Get general chat channel for mention
-        const generalChatChannel = member.guild.channels.cache.get(config.generalChatChannelId);
-        const generalChatMention = generalChatChannel ? `<#${generalChatChannel.id}>` : '#general-chat';
-        
-        // Create welcome embed
-        const welcomeEmbed = new EmbedBuilder()
-            .setColor('#2ecc71')
-            .setTitle(`Welcome to ${member.guild.name}! 🧠✨`)
-            .setDescription(`Hello <@${member.id}>!\n`)
-            .setThumbnail(member.user.displayAvatarURL({ dynamic: true, size: 256 }))
-            .addFields([
-                {
-                    name: '🎯 About Our Server',
-                    value: `**${member.guild.name}** – ${member.guild.description || 'four synapses firing in harmony'}\n\n`,
-                    inline: false
-                },
-                {
-                    name: '🚀 Getting Started',
-                    value: `Ready to join the conversation? Head over to ${generalChatMention} to say Annyong!\n`,
-                    inline: false
-                },
-                {
-                    name: '📊 Member Info',
-                    value: `**Username:** ${member.user.tag}\n**Member #:** ${member.guild.memberCount}`,
-                    inline: true
-                },
-                {
-                    name: '📅 Join Date',
-                    value: new Date().toDateString(),
-                    inline: true
-                }
-            ])
-            .setFooter({
-                text: `Welcome to ${member.guild.name}`,
-                iconURL: member.guild.iconURL()
-            })
-            .setTimestamp();
-        
-        // Send welcome message
-        await welcomeChannel.send({
-            content: `🎉 Everyone, please welcome ${member} to **${member.guild.name}**!`,
-            embeds: [welcomeEmbed]
-        });
-        
-        console.log(`✅ Sent welcome message for ${member.user.tag} in ${member.guild.name}`);
-        
-        // Update server info if this guild is being tracked
-        const trackedServers = loadTrackedServers();
-        if (trackedServers.includes(member.guild.id)) {
-            await saveServerInfoToFile(member.guild);
-        }
-        
-    } catch (error) {
-        console.error(`Error sending welcome message for ${member.user.tag}:`, error);
+onConfigReload((nextConfig, changed) => {
+    if (changed.includes('activity') && client.isReady()) {
+        client.user.setActivity(nextConfig.activity, { type: ActivityType.Listening });
     }
 });
 
-async function getComprehensiveGuildInfo(guild) {
+// `kill -HUP <pid>` reloads config.json and .env, like the owner-only /reload-config
+process.on('SIGHUP', () => {
     try {
-        // Fetch threads from all channels
-        const allThreads = [];
-        for (const channel of guild.channels.cache.values()) {
-            if (channel.isTextBased() && channel.threads) {
-                try {
-                    const archivedThreads = await channel.threads.fetchArchived();
-                    allThreads.push(...archivedThreads.threads.values());
-                } catch (error) {
-                    console.log(`Could not fetch threads for channel ${channel.name}: ${error.message}`);
-                }
-            }
-        }
-
-        const activeThreads = await guild.channels.fetchActiveThreads();
-        const allThreadsArray = [...activeThreads.threads.values(), ...allThreads];
-
-        return {
-            basicInfo: {
-                id: guild.id,
-                name: guild.name,
-                description: guild.description,
-                icon: guild.icon,
-                iconURL: guild.iconURL({ size: 512 }),
-                banner: guild.banner,
-                bannerURL: guild.bannerURL({ size: 1024 }),
-                memberCount: guild.memberCount,
-                approximateMemberCount: guild.approximateMemberCount,
-                ownerId: guild.ownerId,
-                verificationLevel: guild.verificationLevel,
-                explicitContentFilter: guild.explicitContentFilter,
-                defaultMessageNotifications: guild.defaultMessageNotifications,
-                mfaLevel: guild.mfaLevel,
-                nsfwLevel: guild.nsfwLevel,
-                premiumTier: guild.premiumTier,
-                premiumSubscriptionCount: guild.premiumSubscriptionCount,
-                preferredLocale: guild.preferredLocale,
-                createdAt: guild.createdAt,
-                features: guild.features,
-                systemChannelId: guild.systemChannelId,
-                rulesChannelId: guild.rulesChannelId,
-                publicUpdatesChannelId: guild.publicUpdatesChannelId,
-                afkChannelId: guild.afkChannelId,
-                afkTimeout: guild.afkTimeout
-            },
-            
-            channels: guild.channels.cache.map(channel => ({
-                id: channel.id,
-                name: channel.name,
-                type: channel.type,
-                typeName: channel.constructor.name,
-                position: channel.position,
-                parentId: channel.parentId,
-                parent: channel.parent?.name,
-                topic: channel.topic,
-                nsfw: channel.nsfw,
-                bitrate: channel.bitrate,
-                userLimit: channel.userLimit,
-                rtcRegion: channel.rtcRegion,
-                rateLimitPerUser: channel.rateLimitPerUser,
-                defaultAutoArchiveDuration: channel.defaultAutoArchiveDuration,
-                permissionOverwrites: channel.permissionOverwrites.cache.map(overwrite => ({
-                    id: overwrite.id,
-                    type: overwrite.type,
-                    allow: overwrite.allow.toArray(),
-                    deny: overwrite.deny.toArray()
-                })),
-                createdAt: channel.createdAt,
-                manageable: channel.manageable,
-                deletable: channel.deletable,
-                viewable: channel.viewable
-            })),
-            
-            categories: guild.channels.cache.filter(channel => channel.type === 4).map(category => ({
-                id: category.id,
-                name: category.name,
-                position: category.position,
-                children: guild.channels.cache.filter(channel => channel.parentId === category.id).map(child => ({
-                    id: child.id,
-                    name: child.name,
-                    type: child.type
-                })),
-                permissionOverwrites: category.permissionOverwrites.cache.map(overwrite => ({
-                    id: overwrite.id,
-                    type: overwrite.type,
-                    allow: overwrite.allow.toArray(),
-                    deny: overwrite.deny.toArray()
-                })),
-                createdAt: category.createdAt
-            })),
-            
-            roles: guild.roles.cache.map(role => ({
-                id: role.id,
-                name: role.name,
-                color: role.color,
-                hexColor: role.hexColor,
-                position: role.position,
-                rawPosition: role.rawPosition,
-                hoist: role.hoist,
-                mentionable: role.mentionable,
-                managed: role.managed,
-                icon: role.icon,
-                iconURL: role.iconURL(),
-                unicodeEmoji: role.unicodeEmoji,
-                permissions: role.permissions.toArray(),
-                permissionsBitfield: role.permissions.bitfield.toString(),
-                createdAt: role.createdAt,
-                editable: role.editable,
-                memberCount: role.members.size
-            })),
-            
-            emojis: guild.emojis.cache.map(emoji => ({
-                id: emoji.id,
-                name: emoji.name,
-                animated: emoji.animated,
-                available: emoji.available,
-                managed: emoji.managed,
-                requireColons: emoji.requireColons,
-                url: emoji.url,
-                roles: emoji.roles.cache.map(role => ({
-                    id: role.id,
-                    name: role.name
-                })),
-                createdAt: emoji.createdAt
-            })),
-            
-            stickers: guild.stickers.cache.map(sticker => ({
-                id: sticker.id,
-                name: sticker.name,
-                description: sticker.description,
-                type: sticker.type,
-                format: sticker.format,
-                available: sticker.available,
-                tags: sticker.tags,
-                url: sticker.url,
-                createdAt: sticker.createdAt
-            })),
-            
-            threads: allThreadsArray.map(thread => ({
-                id: thread.id,
-                name: thread.name,
-                type: thread.type,
-                parentId: thread.parentId,
-                parent: thread.parent?.name,
-                ownerId: thread.ownerId,
-                archived: thread.archived,
-                autoArchiveDuration: thread.autoArchiveDuration,
-                archiveTimestamp: thread.archiveTimestamp,
-                locked: thread.locked,
-                rateLimitPerUser: thread.rateLimitPerUser,
-                messageCount: thread.messageCount,
-                memberCount: thread.memberCount,
-                totalMessageSent: thread.totalMessageSent,
-                createdAt: thread.createdAt
-            }))
-        };
+        reloadConfig();
     } catch (error) {
-        console.error('Error fetching comprehensive guild info:', error);
-        throw error;
-    }
-}
-
-client.on('messageCreate', async (message) => {
-    if (message.author.bot) return;
-    
-    if (message.content === '!ping') {
-        message.reply('Pong!');
-    }
-    
-    if (message.content === '!serverinfo') {
-        try {
-            const guild = message.guild;
-            if (!guild) {
-                message.reply('This command can only be used in a server!');
-                return;
-            }
-            
-            message.reply('⏳ Gathering comprehensive server information...');
-            
-            const serverInfo = await getComprehensiveGuildInfo(guild);
-            const jsonOutput = JSON.stringify(serverInfo, null, 2);
-            
-            // Always save to project directory
-            const fileName = await saveServerInfoToFile(guild, serverInfo);
-            
-            // Discord has a 2000 character limit for messages
-            if (jsonOutput.length > 1900) {
-                // Save to temp file and send as attachment
-                const filename = `${guild.name}_server_info_${Date.now()}.json`;
-                const filepath = `/tmp/${filename}`;
-                
-                fs.writeFileSync(filepath, jsonOutput);
-                
-                await message.reply({
-                    content: `📋 Server information for **${guild.name}** (too large for message)\n💾 Also saved to project: \`server_data/${fileName}\``,
-                    files: [{
-                        attachment: filepath,
-                        name: filename
-                    }]
-                });
-                
-                // Clean up temp file
-                fs.unlinkSync(filepath);
-            } else {
-                await message.reply(`\`\`\`json\n${jsonOutput}\n\`\`\`\n💾 Saved to project: \`server_data/${fileName}\``);
-            }
-            
-            console.log(`📊 Generated server info for: ${guild.name} (${guild.id})`);
-            
-        } catch (error) {
-            console.error('Error generating server info:', error);
-            message.reply('❌ An error occurred while gathering server information.');
-        }
-    }
-    
-    if (message.content === '!track') {
-        try {
-            const guild = message.guild;
-            if (!guild) {
-                message.reply('This command can only be used in a server!');
-                return;
-            }
-            
-            const trackedServers = loadTrackedServers();
-            
-            if (trackedServers.includes(guild.id)) {
-                message.reply(`✅ This server (${guild.name}) is already being tracked!`);
-                return;
-            }
-            
-            trackedServers.push(guild.id);
-            saveTrackedServers(trackedServers);
-            
-            // Generate initial server info
-            message.reply('🔄 Adding this server to tracking list and generating initial data...');
-            await saveServerInfoToFile(guild);
-            
-            message.channel.send(`✅ **${guild.name}** is now being tracked!\n📁 Server data will be automatically updated in \`server_data/\` directory`);
-            
-        } catch (error) {
-            console.error('Error tracking server:', error);
-            message.reply('❌ An error occurred while adding server to tracking.');
-        }
-    }
-    
-    if (message.content === '!untrack') {
-        try {
-            const guild = message.guild;
-            if (!guild) {
-                message.reply('This command can only be used in a server!');
-                return;
-            }
-            
-            const trackedServers = loadTrackedServers();
-            const index = trackedServers.indexOf(guild.id);
-            
-            if (index === -1) {
-                message.reply(`❌ This server (${guild.name}) is not currently being tracked.`);
-                return;
-            }
-            
-            trackedServers.splice(index, 1);
-            saveTrackedServers(trackedServers);
-            
-            message.reply(`✅ **${guild.name}** has been removed from tracking.\n📝 Existing data files will remain in \`server_data/\``);
-            
-        } catch (error) {
-            console.error('Error untracking server:', error);
-            message.reply('❌ An error occurred while removing server from tracking.');
-        }
-    }
-    
-    if (message.content === '!tracked') {
-        try {
-            const trackedServers = loadTrackedServers();
-            
-            if (trackedServers.length === 0) {
-                message.reply('📝 No servers are currently being tracked.\nUse `!track` to start tracking this server.');
-                return;
-            }
-            
-            const serverList = trackedServers.map(guildId => {
-                const guild = client.guilds.cache.get(guildId);
-                return guild ? `• ${guild.name} (${guild.id})` : `• Unknown Guild (${guildId})`;
-            }).join('\n');
-            
-            message.reply(`📊 **Currently tracking ${trackedServers.length} server(s):**\n\`\`\`\n${serverList}\n\`\`\`\n📁 Data files are saved in \`server_data/\` directory`);
-            
-        } catch (error) {
-            console.error('Error listing tracked servers:', error);
-            message.reply('❌ An error occurred while listing tracked servers.');
-        }
+        if (!(error instanceof ConfigError)) throw error;
+        logger.error('Configuration reload failed, keeping the current configuration', { errors: error.errors });
     }
 });
 
 // Error handling
 process.on('unhandledRejection', error => {
-    console.error('❌ Unhandled promise rejection:', error);
+    logger.error('Unhandled promise rejection', { error });
 });
 
 process.on('uncaughtException', error => {
-    console.error('❌ Uncaught exception:', error);
+    logger.error('Uncaught exception', { error });
     process.exit(1);
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('🛑 Received SIGINT, shutting down gracefully...');
+process.on('SIGINT', async () => {
+    logger.info('Received SIGINT, shutting down gracefully');
+    await flushAllSnapshots();
     client.destroy();
     process.exit(0);
 });
 
-process.on('SIGTERM', () => {
-    console.log('🛑 Received SIGTERM, shutting down gracefully...');
+process.on('SIGTERM', async () => {
+    logger.info('Received SIGTERM, shutting down gracefully');
+    await flushAllSnapshots();
     client.destroy();
     process.exit(0);
 });
 
-client.login(process.env.DISCORD_TOKEN);
\ No newline at end of file
+client.login(config.token);
\ No newline at end of file
@@ -0,0 +1,315 @@
+const { EmbedBuilder, AuditLogEvent, PermissionFlagsBits, PermissionsBitField } = require('discord.js');
+const { getGuildSettings, updateGuildSettings } = require('./guildSettings');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'auditLog' });
+
+const AUDIT_LOG_SECTION = 'auditLog';
+
+const DEFAULT_AUDIT_LOG_CONFIG = {
+    enabled: false,
+    channelId: null
+};
+
+// Discord writes audit log entries slightly after the gateway event arrives
+const AUDIT_LOG_LOOKUP_DELAY_MS = 1500;
+// Only attribute entries created this close to the event
+const AUDIT_LOG_MATCH_WINDOW_MS = 15000;
+// Enough entries for a burst of changes answered by one shared fetch
+const AUDIT_LOG_FETCH_LIMIT = 50;
+
+const COLORS = {
+    create: '#2ecc71',
+    update: '#f1c40f',
+    delete: '#e74c3c'
+};
+
+// `${guildId}:${action}` -> audit log fetch that has not started yet. Events arriving
+// within the lookup delay share it rather than making one request each.
+const pendingFetches = new Map();
+
+function getAuditLogConfig(guildId) {
+    return getGuildSettings(guildId, AUDIT_LOG_SECTION, DEFAULT_AUDIT_LOG_CONFIG);
+}
+
+function updateAuditLogConfig(guildId, patch) {
+    return updateGuildSettings(guildId, AUDIT_LOG_SECTION, patch, DEFAULT_AUDIT_LOG_CONFIG);
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') return '_none_';
+    const text = String(value);
+    return `\`${text.length > 200 ? `${text.slice(0, 197)}...` : text}\``;
+}
+
+function formatPermissionChange(oldBitfield, newBitfield) {
+    const oldPermissions = new PermissionsBitField(oldBitfield);
+    const newPermissions = new PermissionsBitField(newBitfield);
+    const added = newPermissions.toArray().filter(name => !oldPermissions.has(name));
+    const removed = oldPermissions.toArray().filter(name => !newPermissions.has(name));
+    const details = [...added.map(name => `+${name}`), ...removed.map(name => `-${name}`)].join(', ');
+    return `\`${oldBitfield}\` → \`${newBitfield}\`${details ? `\n${details}` : ''}`;
+}
+
+// Per-target permission overwrite changes on a channel, one line per role/member
+function describeOverwriteChanges(oldChannel, newChannel) {
+    const oldOverwrites = oldChannel.permissionOverwrites?.cache;
+    const newOverwrites = newChannel.permissionOverwrites?.cache;
+    if (!oldOverwrites || !newOverwrites) return null;
+
+    const lines = [];
+    const targetIds = new Set([...oldOverwrites.keys(), ...newOverwrites.keys()]);
+    for (const targetId of targetIds) {
+        const before = oldOverwrites.get(targetId);
+        const after = newOverwrites.get(targetId);
+        const role = newChannel.guild.roles.cache.get(targetId);
+        const target = role ? `@${role.name}` : `<@${targetId}>`;
+
+        if (!before) {
+            lines.push(`+ ${target}: allow \`${after.allow.bitfield}\`, deny \`${after.deny.bitfield}\``);
+        } else if (!after) {
+            lines.push(`- ${target}`);
+        } else if (before.allow.bitfield !== after.allow.bitfield || before.deny.bitfield !== after.deny.bitfield) {
+            const parts = [];
+            if (before.allow.bitfield !== after.allow.bitfield) {
+                parts.push(`allow ${formatPermissionChange(before.allow.bitfield, after.allow.bitfield)}`);
+            }
+            if (before.deny.bitfield !== after.deny.bitfield) {
+                parts.push(`deny ${formatPermissionChange(before.deny.bitfield, after.deny.bitfield)}`);
+            }
+            lines.push(`~ ${target}: ${parts.join('\n')}`);
+        }
+    }
+
+    return lines.length > 0 ? lines.join('\n') : null;
+}
+
+// What each tracked entity looks like in the log: label, audit log actions and the
+// properties compared on update (`get` reads a comparable value, `diff` describes
+// the change itself or returns null)
+const ENTITY_TYPES = {
+    guild: {
+        label: 'Server',
+        icon: '🏠',
+        mention: guild => `**${guild.name}**`,
+        actions: { update: [AuditLogEvent.GuildUpdate] },
+        fields: [
+            { name: 'Name', get: guild => guild.name },
+            { name: 'Description', get: guild => guild.description },
+            { name: 'Icon', get: guild => guild.icon },
+            { name: 'Verification Level', get: guild => guild.verificationLevel },
+            { name: 'Explicit Content Filter', get: guild => guild.explicitContentFilter },
+            { name: 'System Channel', get: guild => guild.systemChannelId },
+            { name: 'Rules Channel', get: guild => guild.rulesChannelId },
+            { name: 'AFK Channel', get: guild => guild.afkChannelId }
+        ]
+    },
+    channel: {
+        label: 'Channel',
+        icon: '📝',
+        mention: channel => `<#${channel.id}> (${channel.name})`,
+        actions: {
+            create: [AuditLogEvent.ChannelCreate],
+            update: [AuditLogEvent.ChannelUpdate, AuditLogEvent.ChannelOverwriteCreate, AuditLogEvent.ChannelOverwriteUpdate, AuditLogEvent.ChannelOverwriteDelete],
+            delete: [AuditLogEvent.ChannelDelete]
+        },
+        fields: [
+            { name: 'Name', get: channel => channel.name },
+            { name: 'Topic', get: channel => channel.topic },
+            { name: 'Category', get: channel => channel.parent?.name },
+            { name: 'NSFW', get: channel => channel.nsfw },
+            { name: 'Slowmode', get: channel => channel.rateLimitPerUser },
+            { name: 'Bitrate', get: channel => channel.bitrate },
+            { name: 'User Limit', get: channel => channel.userLimit },
+            { name: 'Position', get: channel => channel.position, passive: true },
+            { name: 'Permissions', diff: describeOverwriteChanges }
+        ]
+    },
+    role: {
+        label: 'Role',
+        icon: '👑',
+        mention: role => `<@&${role.id}> (${role.name})`,
+        actions: {
+            create: [AuditLogEvent.RoleCreate],
+            update: [AuditLogEvent.RoleUpdate],
+            delete: [AuditLogEvent.RoleDelete]
+        },
+        fields: [
+            { name: 'Name', get: role => role.name },
+            { name: 'Colour', get: role => role.hexColor },
+            { name: 'Hoisted', get: role => role.hoist },
+            { name: 'Mentionable', get: role => role.mentionable },
+            { name: 'Position', get: role => role.position, passive: true },
+            {
+                name: 'Permissions',
+                diff: (oldRole, newRole) => oldRole.permissions.bitfield === newRole.permissions.bitfield
+                    ? null
+                    : formatPermissionChange(oldRole.permissions.bitfield, newRole.permissions.bitfield)
+            }
+        ]
+    },
+    emoji: {
+        label: 'Emoji',
+        icon: '😀',
+        mention: emoji => `${emoji} (:${emoji.name}:)`,
+        actions: {
+            create: [AuditLogEvent.EmojiCreate],
+            update: [AuditLogEvent.EmojiUpdate],
+            delete: [AuditLogEvent.EmojiDelete]
+        },
+        fields: [
+            { name: 'Name', get: emoji => emoji.name }
+        ]
+    },
+    sticker: {
+        label: 'Sticker',
+        icon: '🔖',
+        mention: sticker => `**${sticker.name}**`,
+        actions: {
+            create: [AuditLogEvent.StickerCreate],
+            update: [AuditLogEvent.StickerUpdate],
+            delete: [AuditLogEvent.StickerDelete]
+        },
+        fields: [
+            { name: 'Name', get: sticker => sticker.name },
+            { name: 'Description', get: sticker => sticker.description },
+            { name: 'Tags', get: sticker => sticker.tags }
+        ]
+    },
+    thread: {
+        label: 'Thread',
+        icon: '🧵',
+        mention: thread => `<#${thread.id}> (${thread.name})`,
+        actions: {
+            create: [AuditLogEvent.ThreadCreate],
+            update: [AuditLogEvent.ThreadUpdate],
+            delete: [AuditLogEvent.ThreadDelete]
+        },
+        fields: [
+            { name: 'Name', get: thread => thread.name },
+            { name: 'Archived', get: thread => thread.archived },
+            { name: 'Locked', get: thread => thread.locked },
+            { name: 'Auto Archive', get: thread => thread.autoArchiveDuration },
+            { name: 'Slowmode', get: thread => thread.rateLimitPerUser }
+        ]
+    }
+};
+
+// Compare the configured properties of an entity. Passive fields (positions) are
+// only reported alongside another change, since a reorder shifts every sibling.
+function describeChanges(type, oldEntity, newEntity) {
+    const changes = [];
+    for (const field of ENTITY_TYPES[type].fields) {
+        if (field.diff) {
+            const value = field.diff(oldEntity, newEntity);
+            if (value) changes.push({ name: field.name, value, passive: field.passive });
+            continue;
+        }
+        const before = field.get(oldEntity);
+        const after = field.get(newEntity);
+        if (before !== after) {
+            changes.push({ name: field.name, value: `${formatValue(before)} → ${formatValue(after)}`, passive: field.passive });
+        }
+    }
+    return changes.some(change => !change.passive) ? changes : [];
+}
+
+// Recent audit log entries for the given actions, filtered by Discord when there is
+// only one. The fetch runs once the lookup delay has passed.
+function fetchRecentEntries(guild, actions) {
+    const type = actions.length === 1 ? actions[0] : undefined;
+    const key = `${guild.id}:${type ?? 'any'}`;
+    let pending = pendingFetches.get(key);
+    if (!pending) {
+        pending = new Promise(resolve => setTimeout(resolve, AUDIT_LOG_LOOKUP_DELAY_MS)).then(() => {
+            // Events from here on need entries written after this fetch, so they start a new one
+            pendingFetches.delete(key);
+            return guild.fetchAuditLogs({ type, limit: AUDIT_LOG_FETCH_LIMIT });
+        });
+        pendingFetches.set(key, pending);
+    }
+    return pending;
+}
+
+// Look up who performed an action, when the bot may read the audit log
+async function findResponsibleUser(guild, actions, targetId) {
+    if (!actions || !guild.members.me?.permissions.has(PermissionFlagsBits.ViewAuditLog)) return null;
+
+    try {
+        const auditLogs = await fetchRecentEntries(guild, actions);
+        const entry = auditLogs.entries.find(candidate => actions.includes(candidate.action)
+            && candidate.targetId === targetId
+            && Date.now() - candidate.createdTimestamp < AUDIT_LOG_MATCH_WINDOW_MS);
+        return entry ? { executor: entry.executor, reason: entry.reason } : null;
+    } catch (error) {
+        log.warn('Could not read audit log', { guildId: guild.id, reason: error.message });
+        return null;
+    }
+}
+
+async function postAuditLog(guild, kind, type, entity, changes = []) {
+    const config = getAuditLogConfig(guild.id);
+    if (!config.enabled || !config.channelId) return;
+
+    const logChannel = guild.channels.cache.get(config.channelId);
+    if (!logChannel) {
+        log.warn('Audit log channel not found', { guildId: guild.id, channelId: config.channelId });
+        return;
+    }
+
+    const entityType = ENTITY_TYPES[type];
+    const verb = { create: 'created', update: 'updated', delete: 'deleted' }[kind];
+    const responsible = await findResponsibleUser(guild, entityType.actions[kind], entity.id);
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS[kind])
+        .setTitle(`${entityType.icon} ${entityType.label} ${verb}`)
+        .setDescription(kind === 'delete' ? `**${entity.name}**` : entityType.mention(entity))
+        .addFields(changes.map(change => ({
+            name: change.name,
+            value: change.value.length > 1024 ? `${change.value.slice(0, 1021)}...` : change.value,
+            inline: false
+        })))
+        .setFooter({ text: `ID: ${entity.id}` })
+        .setTimestamp();
+
+    // Audit log entries can come without an executor (e.g. a deleted user)
+    if (responsible?.executor) {
+        embed.setAuthor({
+            name: `by ${responsible.executor.tag}`,
+            iconURL: responsible.executor.displayAvatarURL()
+        });
+    }
+    if (responsible?.reason) {
+        embed.addFields({ name: 'Reason', value: responsible.reason, inline: false });
+    }
+
+    try {
+        await logChannel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+    } catch (error) {
+        log.error('Error posting audit log entry', { guildId: guild.id, error });
+    }
+}
+
+function logCreate(type, entity) {
+    return postAuditLog(entity.guild, 'create', type, entity);
+}
+
+function logUpdate(type, oldEntity, newEntity) {
+    const changes = describeChanges(type, oldEntity, newEntity);
+    if (changes.length === 0) return Promise.resolve();
+    const guild = type === 'guild' ? newEntity : newEntity.guild;
+    return postAuditLog(guild, 'update', type, newEntity, changes);
+}
+
+function logDelete(type, entity) {
+    return postAuditLog(entity.guild, 'delete', type, entity);
+}
+
+module.exports = {
+    getAuditLogConfig,
+    updateAuditLogConfig,
+    logCreate,
+    logUpdate,
+    logDelete
+};
@@ -0,0 +1,254 @@
+const { PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const { getGuildSettings, updateGuildSettings } = require('./guildSettings');
+const { addWarning, notifyWarned } = require('./warnings');
+const { createLogger } = require('./logger');
+const { automodActions } = require('./metrics');
+
+const log = createLogger({ component: 'automod' });
+
+// Per-guild message filters, run on every message before prefix commands. A match
+// removes the message and applies the filter's action:
+//   delete   - only remove the message
+//   warn     - also add a warning to the member's ledger
+//   timeout  - warn and time the member out for `timeoutMinutes`
+//   escalate - warn, then time out or kick once the member's warnings reach the thresholds
+
+const AUTOMOD_SECTION = 'automod';
+const FILTERS = ['invites', 'mentions', 'flood', 'words'];
+const ACTIONS = ['delete', 'warn', 'timeout', 'escalate'];
+
+const DEFAULT_FILTER_CONFIG = {
+    invites: { enabled: false, action: 'delete' },
+    mentions: { enabled: false, action: 'warn', limit: 5 },
+    flood: { enabled: false, action: 'warn', repeats: 3, messages: 6, seconds: 10 },
+    words: { enabled: false, action: 'delete', list: [] }
+};
+
+const DEFAULT_AUTOMOD_CONFIG = {
+    enabled: false,
+    ...DEFAULT_FILTER_CONFIG,
+    timeoutMinutes: 10,
+    // Warning counts for the escalate action (0 disables that step)
+    escalateTimeoutAt: 3,
+    escalateKickAt: 5,
+    exemptRoleIds: [],
+    exemptChannelIds: [],
+    logChannelId: null
+};
+
+const INVITE_PATTERN = /(?:discord(?:app)?\.com\/invite|discord\.gg|dsc\.gg)\/[\w-]+/i;
+// How long the "your message was removed" notice stays in the channel
+const NOTICE_TTL_MS = 10 * 1000;
+
+// `${guildId}:${userId}` -> this member's recent messages, for the flood filter
+const recentMessages = new Map();
+
+// Filters are merged over their own defaults so new settings get sensible values
+function getAutomodConfig(guildId) {
+    const config = getGuildSettings(guildId, AUTOMOD_SECTION, DEFAULT_AUTOMOD_CONFIG);
+    for (const filter of FILTERS) {
+        config[filter] = { ...DEFAULT_FILTER_CONFIG[filter], ...config[filter] };
+    }
+    return config;
+}
+
+function updateAutomodConfig(guildId, patch) {
+    return updateGuildSettings(guildId, AUTOMOD_SECTION, patch, DEFAULT_AUTOMOD_CONFIG);
+}
+
+function updateAutomodFilter(guildId, filter, patch) {
+    const config = getAutomodConfig(guildId);
+    return updateAutomodConfig(guildId, { [filter]: { ...config[filter], ...patch } })[filter];
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole words only, so "ass" does not match "class"
+function findBannedWord(content, words) {
+    const text = content.toLowerCase();
+    return words.find(word => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'u').test(text)) || null;
+}
+
+function countMentions(message) {
+    return message.mentions.users.size + message.mentions.roles.size + (message.mentions.everyone ? 1 : 0);
+}
+
+function checkFlood(message, config) {
+    const key = `${message.guildId}:${message.author.id}`;
+    const now = Date.now();
+    const windowMs = config.seconds * 1000;
+
+    const recent = (recentMessages.get(key) || []).filter(entry => now - entry.at < windowMs);
+    const content = message.content.trim().toLowerCase();
+    recent.push({ content, at: now, channelId: message.channelId, messageId: message.id });
+    recentMessages.set(key, recent);
+
+    const repeats = content ? recent.filter(entry => entry.content === content).length : 0;
+    let reason = null;
+    if (repeats >= config.repeats) {
+        reason = `repeated the same message ${repeats} times`;
+    } else if (recent.length >= config.messages) {
+        reason = `sent ${recent.length} messages in ${config.seconds} seconds`;
+    }
+    if (!reason) return null;
+
+    // Start counting afresh so one burst is punished once
+    recentMessages.delete(key);
+    // The rest of the burst is removed along with the message that tripped the filter
+    const earlier = recent.filter(entry => entry.messageId !== message.id)
+        .map(({ channelId, messageId }) => ({ channelId, messageId }));
+    return { reason, earlier };
+}
+
+// Drop flood history nobody has added to for a while
+function pruneRecentMessages() {
+    const cutoff = Date.now() - 60 * 1000;
+    for (const [key, recent] of recentMessages) {
+        if (recent[recent.length - 1].at < cutoff) recentMessages.delete(key);
+    }
+}
+
+// The first filter the message breaks: { filter, reason, earlierMessages? }, or null.
+// earlierMessages lists the other messages of a flood as { channelId, messageId }
+function findViolation(message, config) {
+    if (config.words.enabled && config.words.list.length > 0) {
+        const word = findBannedWord(message.content, config.words.list);
+        if (word) return { filter: 'words', reason: 'banned word' };
+    }
+    if (config.invites.enabled && INVITE_PATTERN.test(message.content)) {
+        return { filter: 'invites', reason: 'invite links are not allowed' };
+    }
+    if (config.mentions.enabled && countMentions(message) >= config.mentions.limit) {
+        return { filter: 'mentions', reason: `too many mentions (${countMentions(message)})` };
+    }
+    if (config.flood.enabled) {
+        const flood = checkFlood(message, config.flood);
+        if (flood) return { filter: 'flood', reason: flood.reason, earlierMessages: flood.earlier };
+    }
+    return null;
+}
+
+// Moderators (Manage Messages) and exempt roles/channels are never filtered
+function isExempt(message, config) {
+    const { member, channel } = message;
+    if (member.permissions.has(PermissionFlagsBits.ManageMessages)) return true;
+    if (config.exemptRoleIds.some(roleId => member.roles.cache.has(roleId))) return true;
+    return config.exemptChannelIds.includes(channel.id) || config.exemptChannelIds.includes(channel.parentId);
+}
+
+function getEscalation(config, warningCount) {
+    if (config.escalateKickAt > 0 && warningCount >= config.escalateKickAt) return 'kick';
+    if (config.escalateTimeoutAt > 0 && warningCount >= config.escalateTimeoutAt) return 'timeout';
+    return null;
+}
+
+// Time out or kick a member, returning a description of what happened
+async function punish(member, config, punishment, reason) {
+    try {
+        if (punishment === 'kick') {
+            if (!member.kickable) return 'could not kick (the bot needs **Kick Members** and a higher role)';
+            await member.kick(`Automod: ${reason}`);
+            return 'kicked';
+        }
+        if (!member.moderatable) return 'could not time out (the bot needs **Timeout Members** and a higher role)';
+        await member.timeout(config.timeoutMinutes * 60 * 1000, `Automod: ${reason}`);
+        return `timed out for ${config.timeoutMinutes} minutes`;
+    } catch (error) {
+        log.error('Error applying automod punishment', { guildId: member.guild.id, userId: member.id, punishment, error });
+        return `${punishment} failed`;
+    }
+}
+
+async function postAutomodLog(message, config, violation, action, outcome) {
+    const channel = config.logChannelId ? message.guild.channels.cache.get(config.logChannelId) : null;
+    if (!channel) return;
+
+    const embed = new EmbedBuilder()
+        .setColor('#e67e22')
+        .setTitle(`🛡️ Automod: ${violation.filter}`)
+        .addFields(
+            { name: 'Member', value: `${message.author} (${message.author.tag})`, inline: true },
+            { name: 'Channel', value: `${message.channel}`, inline: true },
+            { name: 'Action', value: [action, ...outcome].join(', '), inline: true },
+            { name: 'Reason', value: violation.reason },
+            { name: 'Message', value: message.content ? message.content.slice(0, 1000) : '*(no text)*' }
+        )
+        .setTimestamp();
+    await channel.send({ embeds: [embed], allowedMentions: { parse: [] } })
+        .catch(error => log.error('Error posting automod log', { guildId: message.guildId, error }));
+}
+
+// Messages that are already gone (deleted by the member or a moderator) are skipped
+async function deleteEarlierMessages(guild, messages, fields) {
+    const byChannel = new Map();
+    for (const { channelId, messageId } of messages) {
+        if (!byChannel.has(channelId)) byChannel.set(channelId, []);
+        byChannel.get(channelId).push(messageId);
+    }
+    for (const [channelId, messageIds] of byChannel) {
+        const channel = guild.channels.cache.get(channelId);
+        if (!channel) continue;
+        // Bulk deletion needs at least two messages
+        const deletion = messageIds.length > 1
+            ? channel.bulkDelete(messageIds, true)
+            : channel.messages.delete(messageIds[0]);
+        await deletion.catch(error => log.warn('Could not delete flood messages', { ...fields, channelId, reason: error.message }));
+    }
+}
+
+async function enforce(message, config, violation) {
+    const { member } = message;
+    const action = config[violation.filter].action;
+    const fields = { guildId: message.guildId, userId: member.id, filter: violation.filter, action };
+    automodActions.inc({ filter: violation.filter, action });
+
+    await message.delete().catch(error => log.warn('Could not delete message', { ...fields, reason: error.message }));
+    await deleteEarlierMessages(message.guild, violation.earlierMessages || [], fields);
+
+    const outcome = [];
+    if (action !== 'delete') {
+        const reason = `Automod: ${violation.reason}`;
+        const warnings = addWarning(message.guildId, member.id, { reason, moderatorId: message.client.user.id, source: 'automod', filter: violation.filter });
+        outcome.push(`warning #${warnings.length}`);
+        // DM before punishing, since a kicked member can no longer be messaged
+        await notifyWarned(member, reason, warnings.length);
+
+        const punishment = action === 'timeout' ? 'timeout' : action === 'escalate' ? getEscalation(config, warnings.length) : null;
+        if (punishment) outcome.push(await punish(member, config, punishment, violation.reason));
+    }
+
+    const notice = await message.channel.send({
+        content: `🛡️ ${member}, your message was removed: ${violation.reason}.`,
+        allowedMentions: { users: [member.id] }
+    }).catch(() => null);
+    if (notice) setTimeout(() => notice.delete().catch(() => {}), NOTICE_TTL_MS);
+
+    await postAutomodLog(message, config, violation, action, outcome);
+    log.info('Automod action', { ...fields, reason: violation.reason, outcome });
+}
+
+// Check a message against the guild's filters; true when it was removed
+async function moderateMessage(message) {
+    if (!message.inGuild() || message.author.bot || !message.member) return false;
+
+    const config = getAutomodConfig(message.guildId);
+    if (!config.enabled || isExempt(message, config)) return false;
+
+    if (recentMessages.size > 1000) pruneRecentMessages();
+    const violation = findViolation(message, config);
+    if (!violation) return false;
+
+    await enforce(message, config, violation);
+    return true;
+}
+
+module.exports = {
+    FILTERS,
+    ACTIONS,
+    getAutomodConfig,
+    updateAutomodConfig,
+    updateAutomodFilter,
+    moderateMessage
+};
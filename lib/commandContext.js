@@ -0,0 +1,292 @@
+const { ApplicationCommandOptionType, MessageFlags, MessageFlagsBitField } = require('discord.js');
+
+// Thrown when legacy prefix arguments cannot be mapped onto a command's options
+class UsageError extends Error {
+    constructor(message, usage) {
+        super(message);
+        this.name = 'UsageError';
+        this.usage = usage;
+    }
+}
+
+const SUBCOMMAND_TYPES = [ApplicationCommandOptionType.Subcommand, ApplicationCommandOptionType.SubcommandGroup];
+
+// Split message content into arguments, keeping "quoted strings" together
+function tokenize(content) {
+    const tokens = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+        tokens.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+    return tokens;
+}
+
+function extractId(token, pattern) {
+    const match = token.match(pattern);
+    if (match) return match[1];
+    return /^\d{17,20}$/.test(token) ? token : null;
+}
+
+// Resolve a raw argument into the value an interaction option of the same type would hold
+async function resolveOptionValue(option, raw, message) {
+    const { guild, client } = message;
+
+    switch (option.type) {
+        case ApplicationCommandOptionType.String:
+            return raw;
+        case ApplicationCommandOptionType.Integer: {
+            if (!/^-?\d+$/.test(raw)) return undefined;
+            return parseInt(raw, 10);
+        }
+        case ApplicationCommandOptionType.Number: {
+            const value = Number(raw);
+            return Number.isNaN(value) ? undefined : value;
+        }
+        case ApplicationCommandOptionType.Boolean: {
+            const normalized = raw.toLowerCase();
+            if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+            if (['false', 'no', 'off', '0'].includes(normalized)) return false;
+            return undefined;
+        }
+        case ApplicationCommandOptionType.User: {
+            const id = extractId(raw, /^<@!?(\d+)>$/);
+            if (!id) return undefined;
+            return client.users.fetch(id).catch(() => undefined);
+        }
+        case ApplicationCommandOptionType.Channel: {
+            const id = extractId(raw, /^<#(\d+)>$/);
+            const channel = id ? guild?.channels.cache.get(id) : undefined;
+            if (channel && option.channel_types && !option.channel_types.includes(channel.type)) return undefined;
+            return channel;
+        }
+        case ApplicationCommandOptionType.Role: {
+            const id = extractId(raw, /^<@&(\d+)>$/);
+            return id ? guild?.roles.cache.get(id) : undefined;
+        }
+        case ApplicationCommandOptionType.Mentionable: {
+            const roleId = extractId(raw, /^<@&(\d+)>$/);
+            if (roleId && guild?.roles.cache.has(roleId)) return guild.roles.cache.get(roleId);
+            const userId = extractId(raw, /^<@!?(\d+)>$/);
+            return userId ? client.users.fetch(userId).catch(() => undefined) : undefined;
+        }
+        default:
+            return undefined;
+    }
+}
+
+// Render a short usage line from a command's JSON definition
+function buildUsage(prefix, commandJson, path = []) {
+    let options = commandJson.options || [];
+    const names = [commandJson.name];
+
+    for (const segment of path) {
+        const next = options.find(option => option.name === segment);
+        if (!next) break;
+        names.push(next.name);
+        options = next.options || [];
+    }
+
+    if (options.some(option => SUBCOMMAND_TYPES.includes(option.type))) {
+        return `${prefix}${names.join(' ')} <${options.map(option => option.name).join('|')}>`;
+    }
+
+    const args = options.map(option => {
+        const label = option.type === ApplicationCommandOptionType.Boolean ? `--${option.name}` : option.name;
+        return option.required ? `<${label}>` : `[${label}]`;
+    });
+    return [`${prefix}${names.join(' ')}`, ...args].join(' ');
+}
+
+// Map prefix arguments onto the options declared by a slash command definition.
+// Leading tokens select subcommand groups/subcommands, `--name value` (or a bare
+// `--flag` for booleans) sets a named option, and remaining tokens fill the other
+// options in declaration order; a trailing string option swallows the rest.
+async function parsePrefixOptions(commandJson, tokens, message, prefix) {
+    let options = commandJson.options || [];
+    let subcommandGroup = null;
+    let subcommand = null;
+    const path = [];
+    const remaining = [...tokens];
+
+    const group = options.find(option => option.type === ApplicationCommandOptionType.SubcommandGroup && option.name === remaining[0]?.toLowerCase());
+    if (group) {
+        subcommandGroup = group.name;
+        path.push(group.name);
+        remaining.shift();
+        options = group.options || [];
+    }
+
+    if (options.some(option => SUBCOMMAND_TYPES.includes(option.type))) {
+        const sub = options.find(option => option.type === ApplicationCommandOptionType.Subcommand && option.name === remaining[0]?.toLowerCase());
+        if (!sub) {
+            throw new UsageError('Missing or unknown subcommand.', buildUsage(prefix, commandJson, path));
+        }
+        subcommand = sub.name;
+        path.push(sub.name);
+        remaining.shift();
+        options = sub.options || [];
+    }
+
+    const usage = buildUsage(prefix, commandJson, path);
+    const rawValues = new Map();
+    const positional = [];
+
+    for (let i = 0; i < remaining.length; i++) {
+        const token = remaining[i];
+        const flag = token.startsWith('--') ? options.find(option => option.name === token.slice(2).toLowerCase()) : null;
+        if (!flag) {
+            positional.push(token);
+            continue;
+        }
+        if (flag.type === ApplicationCommandOptionType.Boolean && (i + 1 >= remaining.length || remaining[i + 1].startsWith('--'))) {
+            rawValues.set(flag.name, 'true');
+            continue;
+        }
+        if (i + 1 >= remaining.length) {
+            throw new UsageError(`Missing value for \`--${flag.name}\`.`, usage);
+        }
+        rawValues.set(flag.name, remaining[++i]);
+    }
+
+    const unfilled = options.filter(option => !rawValues.has(option.name));
+    for (let i = 0; i < unfilled.length && positional.length > 0; i++) {
+        const option = unfilled[i];
+        const isLast = i === unfilled.length - 1;
+        rawValues.set(option.name, isLast && option.type === ApplicationCommandOptionType.String
+            ? positional.splice(0).join(' ')
+            : positional.shift());
+    }
+
+    if (positional.length > 0) {
+        throw new UsageError(`Unexpected argument \`${positional[0]}\`.`, usage);
+    }
+
+    const values = new Map();
+    for (const option of options) {
+        if (!rawValues.has(option.name)) {
+            if (option.required) {
+                throw new UsageError(`Missing required option \`${option.name}\`.`, usage);
+            }
+            continue;
+        }
+
+        const raw = rawValues.get(option.name);
+        let value = await resolveOptionValue(option, raw, message);
+        if (value === undefined) {
+            throw new UsageError(`Invalid value \`${raw}\` for \`${option.name}\`.`, usage);
+        }
+        if ((option.min_value !== undefined && value < option.min_value) || (option.max_value !== undefined && value > option.max_value)) {
+            throw new UsageError(`\`${option.name}\` must be between ${option.min_value ?? '-∞'} and ${option.max_value ?? '∞'}.`, usage);
+        }
+        if (option.choices) {
+            // Typed choices are matched case-insensitively and mapped to the declared value
+            const choice = option.choices.find(candidate => String(candidate.value).toLowerCase() === String(value).toLowerCase());
+            if (!choice) {
+                const allowed = option.choices.map(candidate => `\`${candidate.value}\``).join(', ');
+                throw new UsageError(`\`${option.name}\` must be one of ${allowed}.`, usage);
+            }
+            value = choice.value;
+        }
+        values.set(option.name, value);
+    }
+
+    return { subcommandGroup, subcommand, values };
+}
+
+// Mimics the subset of CommandInteractionOptionResolver used by command handlers
+function createOptionResolver({ subcommandGroup, subcommand, values }, guild) {
+    const get = (name, required) => {
+        const value = values.get(name);
+        if (value === undefined) {
+            if (required) throw new UsageError(`Missing required option \`${name}\`.`);
+            return null;
+        }
+        return value;
+    };
+
+    return {
+        getSubcommandGroup: (required = false) => {
+            if (!subcommandGroup && required) throw new UsageError('Missing subcommand group.');
+            return subcommandGroup;
+        },
+        getSubcommand: (required = true) => {
+            if (!subcommand && required) throw new UsageError('Missing subcommand.');
+            return subcommand;
+        },
+        getString: get,
+        getInteger: get,
+        getNumber: get,
+        getBoolean: get,
+        getUser: get,
+        getChannel: get,
+        getRole: get,
+        getMentionable: get,
+        getAttachment: () => null,
+        getMember: name => {
+            const user = values.get(name);
+            return user ? guild?.members.cache.get(user.id) ?? null : null;
+        }
+    };
+}
+
+// Uniform context handed to command handlers, regardless of how they were invoked
+function fromInteraction(interaction) {
+    return {
+        isSlash: true,
+        client: interaction.client,
+        guild: interaction.guild,
+        channel: interaction.channel,
+        user: interaction.user,
+        member: interaction.member,
+        permissions: interaction.memberPermissions,
+        options: interaction.options,
+        source: interaction,
+        async reply(payload) {
+            if (interaction.deferred && !interaction.replied) {
+                return interaction.editReply(payload);
+            }
+            if (interaction.replied) {
+                return interaction.followUp(payload);
+            }
+            return interaction.reply(payload);
+        },
+        async defer(options) {
+            if (!interaction.deferred && !interaction.replied) {
+                await interaction.deferReply(options);
+            }
+        }
+    };
+}
+
+function fromMessage(message, parsed) {
+    return {
+        isSlash: false,
+        client: message.client,
+        guild: message.guild,
+        channel: message.channel,
+        user: message.author,
+        member: message.member,
+        permissions: message.member?.permissions ?? null,
+        options: createOptionResolver(parsed, message.guild),
+        source: message,
+        async reply(payload) {
+            // Ephemeral replies have no message equivalent, so they become normal replies
+            if (typeof payload === 'object' && payload.flags) {
+                payload = { ...payload, flags: new MessageFlagsBitField(payload.flags).remove(MessageFlags.Ephemeral).bitfield };
+            }
+            return message.reply(payload);
+        },
+        async defer() {
+            await message.channel.sendTyping().catch(() => {});
+        }
+    };
+}
+
+module.exports = {
+    UsageError,
+    tokenize,
+    parsePrefixOptions,
+    fromInteraction,
+    fromMessage
+};
@@ -0,0 +1,148 @@
+const { PermissionsBitField, PermissionFlagsBits } = require('discord.js');
+const { getGuildSettings, updateGuildSettings } = require('./guildSettings');
+const { getConfig } = require('./config');
+
+// Policy checks run in front of every command handler, for slash and prefix use alike:
+// bot owner only commands (`ownerOnly: true`), required Discord permissions, per-guild
+// role/channel allow and deny lists, then cooldowns.
+
+const POLICY_SECTION = 'commands';
+// Policy entry applying to every command; per-command entries are merged on top
+const ALL_COMMANDS = '*';
+const LIST_KEYS = ['allowRoles', 'denyRoles', 'allowChannels', 'denyChannels'];
+
+// Cooldowns in seconds, overridable per command module with `cooldown: { user, guild }`
+const DEFAULT_COOLDOWN = { user: 3, guild: 0 };
+
+// Members with Manage Server bypass allow/deny lists, so a policy can't lock out its own admins
+const POLICY_BYPASS_PERMISSION = PermissionFlagsBits.ManageGuild;
+
+// `${commandName}:${scope}:${id}` -> timestamp the cooldown expires
+const cooldowns = new Map();
+
+function emptyPolicy() {
+    return { allowRoles: [], denyRoles: [], allowChannels: [], denyChannels: [] };
+}
+
+// Stored policies for one guild: { [commandName | '*']: { allowRoles, denyRoles, allowChannels, denyChannels } }
+function getCommandPolicies(guildId) {
+    return getGuildSettings(guildId, POLICY_SECTION);
+}
+
+// Deny lists add up; a per-command allow list replaces the '*' one
+function getEffectivePolicy(guildId, commandName) {
+    const policies = getCommandPolicies(guildId);
+    const global = { ...emptyPolicy(), ...policies[ALL_COMMANDS] };
+    const specific = { ...emptyPolicy(), ...policies[commandName] };
+    return {
+        allowRoles: specific.allowRoles.length ? specific.allowRoles : global.allowRoles,
+        denyRoles: [...new Set([...global.denyRoles, ...specific.denyRoles])],
+        allowChannels: specific.allowChannels.length ? specific.allowChannels : global.allowChannels,
+        denyChannels: [...new Set([...global.denyChannels, ...specific.denyChannels])]
+    };
+}
+
+// Apply `edit(policy)` to one command's policy and persist it; an emptied policy is removed
+function editCommandPolicy(guildId, commandName, edit) {
+    const policies = getCommandPolicies(guildId);
+    const policy = edit({ ...emptyPolicy(), ...policies[commandName] });
+    const isEmpty = LIST_KEYS.every(key => policy[key].length === 0);
+    return updateGuildSettings(guildId, POLICY_SECTION, { [commandName]: isEmpty ? undefined : policy })[commandName] || emptyPolicy();
+}
+
+function getMemberRoleIds(member) {
+    if (!member) return [];
+    // Uncached interaction members carry a plain array of role IDs
+    return Array.isArray(member.roles) ? member.roles : [...member.roles.cache.keys()];
+}
+
+function describePermissions(bitfield) {
+    return new PermissionsBitField(BigInt(bitfield)).toArray()
+        .map(name => name.replace(/([a-z])([A-Z])/g, '$1 $2'))
+        .join(', ');
+}
+
+function formatRemaining(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds >= 60 ? `${Math.ceil(seconds / 60)}m` : `${seconds}s`;
+}
+
+// The `ownerIds` option, or else the application's owner or team members (fetched on ready)
+function isBotOwner(client, userId) {
+    const { ownerIds } = getConfig();
+    if (ownerIds.length > 0) return ownerIds.includes(userId);
+    const owner = client.application?.owner;
+    return owner?.members ? owner.members.has(userId) : owner?.id === userId;
+}
+
+// Returns null when the command may run, otherwise the reason it may not
+function checkCommandPolicy(command, ctx) {
+    const commandName = command.data.name;
+    const { guild, member, permissions } = ctx;
+
+    if (command.ownerOnly && !isBotOwner(ctx.client, ctx.user.id)) {
+        return 'only the bot owner can use it';
+    }
+
+    if (guild) {
+        const required = command.data.default_member_permissions;
+        if (required && !permissions?.has(BigInt(required))) {
+            return `requires **${describePermissions(required)}**`;
+        }
+
+        if (!permissions?.has(POLICY_BYPASS_PERMISSION)) {
+            const policy = getEffectivePolicy(guild.id, commandName);
+            // Threads follow the policy of their parent channel
+            const channelIds = [ctx.channel?.id, ctx.channel?.parentId].filter(Boolean);
+            const roleIds = getMemberRoleIds(member);
+
+            if (channelIds.some(id => policy.denyChannels.includes(id))
+                || (policy.allowChannels.length && !channelIds.some(id => policy.allowChannels.includes(id)))) {
+                return 'not enabled in this channel';
+            }
+            if (roleIds.some(id => policy.denyRoles.includes(id))
+                || (policy.allowRoles.length && !roleIds.some(id => policy.allowRoles.includes(id)))) {
+                return 'not available to your roles';
+            }
+        }
+    }
+
+    const cooldown = { ...DEFAULT_COOLDOWN, ...command.cooldown };
+    const now = Date.now();
+    const keys = [
+        cooldown.user > 0 && [`${commandName}:user:${ctx.user.id}`, cooldown.user, 'you'],
+        guild && cooldown.guild > 0 && [`${commandName}:guild:${guild.id}`, cooldown.guild, 'this server']
+    ].filter(Boolean);
+
+    for (const [key, , who] of keys) {
+        const expiresAt = cooldowns.get(key);
+        if (expiresAt && expiresAt > now) {
+            return `on cooldown for ${who}, try again in ${formatRemaining(expiresAt - now)}`;
+        }
+    }
+    if (cooldowns.size > 1000) {
+        for (const [key, expiresAt] of cooldowns) {
+            if (expiresAt <= now) cooldowns.delete(key);
+        }
+    }
+    for (const [key, seconds] of keys) {
+        cooldowns.set(key, now + seconds * 1000);
+    }
+
+    return null;
+}
+
+// Consistent reply for every refused command
+function buildNotPermittedReply(command, reason, prefix = '/') {
+    return `⛔ You are not permitted to use \`${prefix}${command.data.name}\` here: ${reason}.`;
+}
+
+module.exports = {
+    ALL_COMMANDS,
+    getCommandPolicies,
+    getEffectivePolicy,
+    editCommandPolicy,
+    checkCommandPolicy,
+    buildNotPermittedReply,
+    isBotOwner
+};
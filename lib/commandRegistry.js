@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { Collection, REST, Routes, MessageFlags } = require('discord.js');
+const { UsageError, tokenize, parsePrefixOptions, fromInteraction, fromMessage } = require('./commandContext');
+const { checkCommandPolicy, buildNotPermittedReply } = require('./commandPolicy');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { commandInvocations, commandDuration } = require('./metrics');
+
+const log = createLogger({ component: 'commands' });
+
+const COMMANDS_DIR = path.join(__dirname, '..', 'commands');
+const PREFIX = '!';
+
+// Every command module exports `data` (a SlashCommandBuilder) and `execute(ctx)`,
+// optionally `autocomplete(interaction)`. Both the slash and prefix paths dispatch here.
+const commands = new Collection();
+
+// Handlers for persistent buttons and menus, keyed by the part of the custom ID
+// before the first ":" (e.g. `onboarding:verify:123` goes to "onboarding")
+const componentHandlers = new Map();
+
+function registerComponentHandler(namespace, handler) {
+    componentHandlers.set(namespace, handler);
+}
+
+function loadCommands() {
+    commands.clear();
+    for (const file of fs.readdirSync(COMMANDS_DIR).filter(name => name.endsWith('.js'))) {
+        const command = require(path.join(COMMANDS_DIR, file));
+        if (!command.data || typeof command.execute !== 'function') {
+            log.warn('Skipping command file without data/execute', { file });
+            continue;
+        }
+        commands.set(command.data.name, command);
+    }
+    return commands;
+}
+
+// Register slash commands: guild-scoped in development (instant), global otherwise
+async function registerSlashCommands() {
+    const { token, clientId, guildId, nodeEnv } = getConfig();
+    if (!clientId) {
+        log.warn('CLIENT_ID not set, skipping slash command registration');
+        return;
+    }
+
+    const body = commands.map(command => command.data.toJSON());
+    const rest = new REST().setToken(token);
+    const useGuildScope = nodeEnv !== 'production' && guildId;
+    const route = useGuildScope
+        ? Routes.applicationGuildCommands(clientId, guildId)
+        : Routes.applicationCommands(clientId);
+
+    await rest.put(route, { body });
+    log.info('Registered slash commands', { count: body.length, guildId: useGuildScope ? guildId : undefined });
+}
+
+// Results: ok, refused (command policy), usage (bad arguments) or error
+async function runCommand(command, ctx) {
+    const name = command.data.name;
+    const source = ctx.isSlash ? 'slash' : 'prefix';
+    const fields = { guildId: ctx.guild?.id, command: name, source, userId: ctx.user.id };
+    const countInvocation = result => commandInvocations.inc({ command: name, source, result });
+
+    const refusal = checkCommandPolicy(command, ctx);
+    if (refusal) {
+        countInvocation('refused');
+        await ctx.reply({
+            content: buildNotPermittedReply(command, refusal, ctx.isSlash ? '/' : PREFIX),
+            flags: MessageFlags.Ephemeral
+        }).catch(() => {});
+        return;
+    }
+
+    const startedAt = Date.now();
+    try {
+        await commandDuration.time({ command: name }, () => command.execute(ctx));
+        countInvocation('ok');
+        log.info('Ran command', { ...fields, durationMs: Date.now() - startedAt });
+    } catch (error) {
+        if (error instanceof UsageError) {
+            countInvocation('usage');
+            await ctx.reply({ content: `❌ ${error.message}` }).catch(() => {});
+            return;
+        }
+        countInvocation('error');
+        log.error('Error executing command', { ...fields, durationMs: Date.now() - startedAt, error });
+        await ctx.reply({ content: '❌ An error occurred while running this command.' }).catch(() => {});
+    }
+}
+
+async function handleComponent(interaction) {
+    const handler = componentHandlers.get(interaction.customId.split(':')[0]);
+    // Components without a handler belong to collectors such as /restore's confirmation
+    if (!handler) return;
+
+    try {
+        await handler(interaction);
+    } catch (error) {
+        log.error('Error handling component', { guildId: interaction.guildId, customId: interaction.customId, error });
+        const reply = { content: '❌ Something went wrong, please try again.', flags: MessageFlags.Ephemeral };
+        await (interaction.deferred || interaction.replied ? interaction.followUp(reply) : interaction.reply(reply)).catch(() => {});
+    }
+}
+
+async function handleInteraction(interaction) {
+    if (interaction.isMessageComponent()) {
+        await handleComponent(interaction);
+        return;
+    }
+
+    const command = commands.get(interaction.commandName);
+    if (!command) return;
+
+    if (interaction.isAutocomplete()) {
+        if (!command.autocomplete) return;
+        try {
+            await command.autocomplete(interaction);
+        } catch (error) {
+            log.error('Error handling autocomplete', { guildId: interaction.guildId, command: interaction.commandName, error });
+        }
+        return;
+    }
+
+    if (!interaction.isChatInputCommand()) return;
+
+    if (!interaction.inGuild() && !command.allowDM) {
+        await interaction.reply({ content: 'This command can only be used in a server!', flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    await runCommand(command, fromInteraction(interaction));
+}
+
+// Legacy `!command args` support, kept while users move over to slash commands
+async function handleMessage(message) {
+    if (!message.content.startsWith(PREFIX)) return;
+
+    const [name, ...tokens] = tokenize(message.content.slice(PREFIX.length));
+    const command = name && commands.get(name.toLowerCase());
+    if (!command) return;
+
+    if (!message.guild && !command.allowDM) {
+        await message.reply('This command can only be used in a server!');
+        return;
+    }
+
+    let parsed;
+    try {
+        parsed = await parsePrefixOptions(command.data.toJSON(), tokens, message, PREFIX);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            await message.reply(`❌ ${error.message}${error.usage ? `\nUsage: \`${error.usage}\`` : ''}`);
+            return;
+        }
+        throw error;
+    }
+
+    await runCommand(command, fromMessage(message, parsed));
+}
+
+module.exports = {
+    PREFIX,
+    commands,
+    loadCommands,
+    registerSlashCommands,
+    registerComponentHandler,
+    handleInteraction,
+    handleMessage
+};
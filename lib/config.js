@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const dotenv = require('dotenv');
+const { ownsGuild } = require('./sharding');
+const { createLogger, configureLogger } = require('./logger');
+
+const log = createLogger({ component: 'config' });
+
+// Bot configuration from config.json (or CONFIG_FILE) with environment overrides.
+// Precedence: process environment, then .env, then the file, then the defaults below.
+// Everything is validated on load; a reload (SIGHUP or !reload-config) swaps in the new
+// values, except `restart` options, which keep their old value until the bot restarts.
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ENV_FILE = path.join(ROOT_DIR, '.env');
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, 'config.json');
+
+const SCHEMA = {
+    token: { env: 'DISCORD_TOKEN', type: 'token', default: null, restart: true, secret: true },
+    clientId: { env: 'CLIENT_ID', type: 'snowflake', default: null, restart: true },
+    // Development server for instant slash command registration
+    guildId: { env: 'GUILD_ID', type: 'snowflake', default: null, restart: true },
+    nodeEnv: { env: 'NODE_ENV', type: 'string', default: 'development', restart: true },
+    // Users allowed to run owner-only commands; empty means the application owner or team
+    ownerIds: { env: 'OWNER_IDS', type: 'snowflakes', default: [] },
+    activity: { env: 'BOT_ACTIVITY', type: 'string', default: '/ping | /serverinfo | /track | /tracked | 🎉 Welcoming new members!' },
+    prefixCommands: { env: 'PREFIX_COMMANDS', type: 'boolean', default: true, restart: true },
+    serverDataDir: { env: 'SERVER_DATA_DIR', type: 'path', default: path.join(ROOT_DIR, 'server_data'), restart: true },
+    storageBackend: { env: 'STORAGE_BACKEND', type: 'choice', values: ['file', 'sqlite'], default: 'file', restart: true },
+    sqliteFile: { env: 'SQLITE_FILE', type: 'path', default: null, restart: true },
+    serverInfoExportFormats: { env: 'SERVER_INFO_EXPORT_FORMATS', type: 'choices', values: ['csv', 'markdown', 'yaml'], default: [] },
+    snapshotDebounceMs: { env: 'SNAPSHOT_DEBOUNCE_MS', type: 'integer', min: 0, default: 5000 },
+    snapshotRetention: { env: 'SNAPSHOT_RETENTION', type: 'integer', min: 1, default: 100 },
+    snapshotMaxAgeDays: { env: 'SNAPSHOT_MAX_AGE_DAYS', type: 'integer', min: 0, default: 0 },
+    refreshIntervalMinutes: { env: 'REFRESH_INTERVAL_MINUTES', type: 'integer', min: 5, max: 7 * 24 * 60, default: 30 },
+    refreshConcurrency: { env: 'REFRESH_CONCURRENCY', type: 'integer', min: 1, default: 2 },
+    transcriptMaxMessages: { env: 'TRANSCRIPT_MAX_MESSAGES', type: 'integer', min: 1, default: 10000 },
+    totalShards: { env: 'TOTAL_SHARDS', type: 'integer', min: 1, default: null, restart: true },
+    gatewayRecordFile: { env: 'GATEWAY_RECORD_FILE', type: 'path', default: null, restart: true },
+    httpPort: { env: 'HTTP_PORT', type: 'integer', min: 1, max: 65535, default: null, restart: true },
+    httpHost: { env: 'HTTP_HOST', type: 'string', default: '127.0.0.1', restart: true },
+    httpApiToken: { env: 'HTTP_API_TOKEN', type: 'string', default: '', secret: true },
+    logLevel: { env: 'LOG_LEVEL', type: 'choice', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    logFormat: { env: 'LOG_FORMAT', type: 'choice', values: ['json', 'text'], default: 'json' },
+    // Welcome channels seeded for one server on first start (formerly hard-coded); null skips it
+    legacyWelcome: {
+        type: 'snowflakeFields',
+        default: { guildId: '1403186864520953876', channelId: '1403188813974601842', redirectChannelId: '1403186870673739909' },
+        restart: true
+    }
+};
+
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+// Three dot-separated base64url parts: the bot's user ID, a timestamp and a signature
+const TOKEN_PATTERN = /^[\w-]{20,}\.[\w-]{4,}\.[\w-]{20,}$/;
+
+const isSnowflake = value => typeof value === 'string' && SNOWFLAKE_PATTERN.test(value);
+const splitList = text => text.split(',').map(item => item.trim()).filter(Boolean);
+
+function describeRange({ min, max }) {
+    if (min !== undefined && max !== undefined) return ` between ${min} and ${max}`;
+    if (min !== undefined) return ` of at least ${min}`;
+    return '';
+}
+
+// `parse` turns an environment string into a value; `check` returns a problem or null
+const TYPES = {
+    string: {
+        parse: text => text,
+        check: value => (typeof value === 'string' ? null : 'must be text')
+    },
+    path: {
+        parse: text => text,
+        check: value => (typeof value === 'string' ? null : 'must be a file path')
+    },
+    token: {
+        parse: text => text.trim(),
+        check: value => (typeof value === 'string' && TOKEN_PATTERN.test(value) ? null : 'does not look like a Discord bot token')
+    },
+    snowflake: {
+        parse: text => text.trim(),
+        check: value => (isSnowflake(value) ? null : 'is not a valid Discord ID (17-20 digits)')
+    },
+    snowflakes: {
+        parse: splitList,
+        check: value => (Array.isArray(value) && value.every(isSnowflake) ? null : 'must be a list of Discord IDs (17-20 digits each)')
+    },
+    integer: {
+        parse: text => (/^-?\d+$/.test(text.trim()) ? Number(text) : text),
+        check: (value, option) => (Number.isInteger(value) && value >= (option.min ?? -Infinity) && value <= (option.max ?? Infinity)
+            ? null
+            : `must be a whole number${describeRange(option)}`)
+    },
+    boolean: {
+        parse: text => ({ true: true, false: false, 1: true, 0: false, yes: true, no: false })[text.trim().toLowerCase()] ?? text,
+        check: value => (typeof value === 'boolean' ? null : 'must be true or false')
+    },
+    choice: {
+        parse: text => text.trim().toLowerCase(),
+        check: (value, option) => (option.values.includes(value) ? null : `must be one of ${option.values.join(', ')}`)
+    },
+    choices: {
+        parse: text => splitList(text.toLowerCase()),
+        check: (value, option) => (Array.isArray(value) && value.every(item => option.values.includes(item))
+            ? null
+            : `must be a list of ${option.values.join(', ')}`)
+    },
+    // An object whose values are all Discord IDs, e.g. legacyWelcome
+    snowflakeFields: {
+        check: (value, option) => {
+            if (value === null) return null;
+            if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object or null';
+            const fields = Object.keys(option.default);
+            const bad = fields.filter(field => !isSnowflake(value[field]));
+            const unknown = Object.keys(value).filter(field => !fields.includes(field));
+            if (unknown.length > 0) return `has unknown field(s) ${unknown.join(', ')}`;
+            return bad.length > 0 ? `needs valid Discord IDs (17-20 digits) for ${bad.join(', ')}` : null;
+        }
+    }
+};
+
+// Thrown when the configuration is invalid; `errors` lists every problem found
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+function readEnvFile() {
+    return fs.existsSync(ENV_FILE) ? dotenv.parse(fs.readFileSync(ENV_FILE)) : {};
+}
+
+function readConfigFile(env, errors) {
+    const filePath = env.CONFIG_FILE ? path.resolve(ROOT_DIR, env.CONFIG_FILE) : DEFAULT_CONFIG_FILE;
+    const label = path.basename(filePath);
+    if (!fs.existsSync(filePath)) {
+        if (env.CONFIG_FILE) errors.push(`CONFIG_FILE ${filePath} does not exist`);
+        return { label, values: {} };
+    }
+
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        errors.push(`${label} is not valid JSON: ${error.message}`);
+        return { label, values: {} };
+    }
+    if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+        errors.push(`${label} must contain a JSON object`);
+        return { label, values: {} };
+    }
+    for (const key of Object.keys(values)) {
+        if (!SCHEMA[key]) errors.push(`${label}: unknown option "${key}"`);
+    }
+    return { label, values };
+}
+
+// Read and validate every option. Throws ConfigError listing all problems at once.
+function buildConfig({ requireToken = false } = {}) {
+    const errors = [];
+    // Empty variables count as unset, so `HTTP_PORT=` in .env keeps the default
+    const env = Object.fromEntries(Object.entries({ ...readEnvFile(), ...process.env }).filter(([, value]) => value !== ''));
+    const file = readConfigFile(env, errors);
+
+    const config = {};
+    for (const [key, option] of Object.entries(SCHEMA)) {
+        const type = TYPES[option.type];
+        let value = option.default;
+        let source = null;
+        if (option.env && env[option.env] !== undefined) {
+            value = type.parse(env[option.env]);
+            source = option.env;
+        } else if (file.values[key] !== undefined) {
+            value = file.values[key];
+            source = `${file.label} "${key}"`;
+        }
+
+        // Defaults are always valid; null unsets an option that defaults to null
+        if (source && !(value === null && option.default === null)) {
+            const problem = type.check(value, option);
+            if (problem) {
+                errors.push(`${source} ${problem}${option.secret ? '' : `, got ${JSON.stringify(value)}`}`);
+                continue;
+            }
+        }
+        config[key] = option.type === 'path' && value ? path.resolve(ROOT_DIR, value) : value;
+    }
+
+    // A token that failed its check is already reported, and is undefined rather than null
+    if (requireToken && config.token === null) {
+        errors.push('DISCORD_TOKEN is not set; add it to .env or set "token" in config.json');
+    }
+    if (errors.length > 0) throw new ConfigError(errors);
+    return Object.freeze(config);
+}
+
+let current = null;
+let loadOptions = {};
+const reloadListeners = [];
+
+// Load and validate the configuration; entry points call this before anything else
+function loadConfig(options = {}) {
+    loadOptions = options;
+    current = buildConfig(options);
+    configureLogger({ level: current.logLevel, format: current.logFormat });
+    return current;
+}
+
+// The current configuration, loaded on first use by scripts that never call loadConfig
+function getConfig() {
+    return current || loadConfig();
+}
+
+// Called with (config, changedKeys) after every successful reload
+function onConfigReload(listener) {
+    reloadListeners.push(listener);
+}
+
+// Re-read the file and environment. On error the current configuration is kept and
+// ConfigError is thrown. Returns the options that changed and those needing a restart.
+function reloadConfig() {
+    const previous = getConfig();
+    const next = { ...buildConfig(loadOptions) };
+    const changed = [];
+    const restartRequired = [];
+    for (const [key, option] of Object.entries(SCHEMA)) {
+        if (isDeepStrictEqual(next[key], previous[key])) continue;
+        if (option.restart) {
+            restartRequired.push(key);
+            next[key] = previous[key];
+        } else {
+            changed.push(key);
+        }
+    }
+
+    current = Object.freeze(next);
+    configureLogger({ level: current.logLevel, format: current.logFormat });
+    for (const listener of reloadListeners) {
+        try {
+            listener(current, changed);
+        } catch (error) {
+            log.error('Error applying reloaded configuration', { error });
+        }
+    }
+    log.info('Reloaded configuration', { changed, restartRequired });
+    return { changed, restartRequired };
+}
+
+// IDs that parse but point at servers or channels the bot cannot see. Only checked
+// once connected, and only for servers on this shard.
+function findUnknownReferences(client) {
+    const config = getConfig();
+    const problems = [];
+    if (config.guildId && config.nodeEnv !== 'production' && ownsGuild(client, config.guildId) && !client.guilds.cache.has(config.guildId)) {
+        problems.push(`GUILD_ID ${config.guildId} is not a server the bot is in`);
+    }
+
+    const seed = config.legacyWelcome;
+    if (seed && ownsGuild(client, seed.guildId)) {
+        const guild = client.guilds.cache.get(seed.guildId);
+        if (guild) {
+            for (const field of ['channelId', 'redirectChannelId']) {
+                if (!guild.channels.cache.has(seed[field])) {
+                    problems.push(`legacyWelcome.${field} ${seed[field]} is not a channel in ${guild.name}`);
+                }
+            }
+        }
+    }
+    return problems;
+}
+
+module.exports = {
+    SCHEMA,
+    ConfigError,
+    loadConfig,
+    getConfig,
+    onConfigReload,
+    reloadConfig,
+    findUnknownReferences
+};
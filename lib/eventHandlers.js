@@ -0,0 +1,342 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { isTrackedServer } = require('./tracking');
+const { queueSnapshotUpdate } = require('./snapshotUpdates');
+const { serializeWebhook, serializeIntegration, serializeSoundboardSound } = require('./guildInfo');
+const { logCreate, logUpdate, logDelete } = require('./auditLog');
+const { getWelcomeConfig, buildGoodbyeMessage, sendWelcome } = require('./welcome');
+const { isOnboardingActive, startVerification } = require('./onboarding');
+const { recordMemberJoin, recordMemberLeave } = require('./memberActivity');
+const { handleThreadClosed, handleChannelDeleted } = require('./transcripts');
+const { createLogger } = require('./logger');
+const { eventsHandled } = require('./metrics');
+
+const log = createLogger({ component: 'events' });
+
+// Register a gateway event handler that is counted in the events metric. Errors that
+// escape the handler are logged with the event name instead of becoming unhandled rejections.
+function onEvent(client, event, handler) {
+    client.on(event, async (...args) => {
+        const startedAt = Date.now();
+        eventsHandled.inc({ event });
+        try {
+            await handler(...args);
+        } catch (error) {
+            const entity = args[args.length - 1];
+            log.error('Error handling event', { guildId: entity?.guildId ?? entity?.guild?.id, event, error });
+        } finally {
+            log.debug('Handled event', { event, durationMs: Date.now() - startedAt });
+        }
+    });
+}
+
+// Gateway event handlers that keep tracked snapshots current, feed the audit log
+// channel, welcome and say goodbye to members and record joins/leaves. Shared by the bot and the offline replay mode.
+function registerEventHandlers(client) {
+    onEvent(client, 'guildUpdate', async (oldGuild, newGuild) => {
+        if (isTrackedServer(newGuild.id)) {
+            log.info('Guild updated', { guildId: newGuild.id, event: 'guildUpdate', name: newGuild.name });
+            queueSnapshotUpdate(newGuild, { section: 'basicInfo' }, 'guildUpdate');
+        }
+
+        await logUpdate('guild', oldGuild, newGuild);
+    });
+
+    onEvent(client, 'channelCreate', async (channel) => {
+        if (!channel.guild) return;
+        if (isTrackedServer(channel.guild.id)) {
+            log.info('Channel created', { guildId: channel.guild.id, event: 'channelCreate', name: channel.name });
+            queueSnapshotUpdate(channel.guild, { section: 'channels', entity: channel }, 'channelCreate');
+        }
+
+        await logCreate('channel', channel);
+    });
+
+    onEvent(client, 'channelUpdate', async (oldChannel, newChannel) => {
+        if (!newChannel.guild) return;
+        if (isTrackedServer(newChannel.guild.id)) {
+            log.info('Channel updated', { guildId: newChannel.guild.id, event: 'channelUpdate', name: newChannel.name });
+            queueSnapshotUpdate(newChannel.guild, { section: 'channels', entity: newChannel }, 'channelUpdate');
+        }
+
+        await logUpdate('channel', oldChannel, newChannel);
+    });
+
+    onEvent(client, 'channelDelete', async (channel) => {
+        if (!channel.guild) return;
+        if (isTrackedServer(channel.guild.id)) {
+            log.info('Channel deleted', { guildId: channel.guild.id, event: 'channelDelete', name: channel.name });
+            queueSnapshotUpdate(channel.guild, { section: 'channels', entity: channel, removed: true }, 'channelDelete');
+        }
+
+        await logDelete('channel', channel);
+        await handleChannelDeleted(channel);
+    });
+
+    onEvent(client, 'roleCreate', async (role) => {
+        if (isTrackedServer(role.guild.id)) {
+            log.info('Role created', { guildId: role.guild.id, event: 'roleCreate', name: role.name });
+            queueSnapshotUpdate(role.guild, { section: 'roles', entity: role }, 'roleCreate');
+        }
+
+        await logCreate('role', role);
+    });
+
+    onEvent(client, 'roleUpdate', async (oldRole, newRole) => {
+        if (isTrackedServer(newRole.guild.id)) {
+            log.info('Role updated', { guildId: newRole.guild.id, event: 'roleUpdate', name: newRole.name });
+            queueSnapshotUpdate(newRole.guild, { section: 'roles', entity: newRole }, 'roleUpdate');
+        }
+
+        await logUpdate('role', oldRole, newRole);
+    });
+
+    onEvent(client, 'roleDelete', async (role) => {
+        if (isTrackedServer(role.guild.id)) {
+            log.info('Role deleted', { guildId: role.guild.id, event: 'roleDelete', name: role.name });
+            queueSnapshotUpdate(role.guild, { section: 'roles', entity: role, removed: true }, 'roleDelete');
+        }
+
+        await logDelete('role', role);
+    });
+
+    onEvent(client, 'emojiCreate', async (emoji) => {
+        if (isTrackedServer(emoji.guild.id)) {
+            log.info('Emoji created', { guildId: emoji.guild.id, event: 'emojiCreate', name: emoji.name });
+            queueSnapshotUpdate(emoji.guild, { section: 'emojis', entity: emoji }, 'emojiCreate');
+        }
+
+        await logCreate('emoji', emoji);
+    });
+
+    onEvent(client, 'emojiUpdate', async (oldEmoji, newEmoji) => {
+        if (isTrackedServer(newEmoji.guild.id)) {
+            log.info('Emoji updated', { guildId: newEmoji.guild.id, event: 'emojiUpdate', name: newEmoji.name });
+            queueSnapshotUpdate(newEmoji.guild, { section: 'emojis', entity: newEmoji }, 'emojiUpdate');
+        }
+
+        await logUpdate('emoji', oldEmoji, newEmoji);
+    });
+
+    onEvent(client, 'emojiDelete', async (emoji) => {
+        if (isTrackedServer(emoji.guild.id)) {
+            log.info('Emoji deleted', { guildId: emoji.guild.id, event: 'emojiDelete', name: emoji.name });
+            queueSnapshotUpdate(emoji.guild, { section: 'emojis', entity: emoji, removed: true }, 'emojiDelete');
+        }
+
+        await logDelete('emoji', emoji);
+    });
+
+    onEvent(client, 'stickerCreate', async (sticker) => {
+        if (isTrackedServer(sticker.guild.id)) {
+            log.info('Sticker created', { guildId: sticker.guild.id, event: 'stickerCreate', name: sticker.name });
+            queueSnapshotUpdate(sticker.guild, { section: 'stickers', entity: sticker }, 'stickerCreate');
+        }
+
+        await logCreate('sticker', sticker);
+    });
+
+    onEvent(client, 'stickerUpdate', async (oldSticker, newSticker) => {
+        if (isTrackedServer(newSticker.guild.id)) {
+            log.info('Sticker updated', { guildId: newSticker.guild.id, event: 'stickerUpdate', name: newSticker.name });
+            queueSnapshotUpdate(newSticker.guild, { section: 'stickers', entity: newSticker }, 'stickerUpdate');
+        }
+
+        await logUpdate('sticker', oldSticker, newSticker);
+    });
+
+    onEvent(client, 'stickerDelete', async (sticker) => {
+        if (isTrackedServer(sticker.guild.id)) {
+            log.info('Sticker deleted', { guildId: sticker.guild.id, event: 'stickerDelete', name: sticker.name });
+            queueSnapshotUpdate(sticker.guild, { section: 'stickers', entity: sticker, removed: true }, 'stickerDelete');
+        }
+
+        await logDelete('sticker', sticker);
+    });
+
+    onEvent(client, 'threadCreate', async (thread) => {
+        if (isTrackedServer(thread.guild.id)) {
+            log.info('Thread created', { guildId: thread.guild.id, event: 'threadCreate', name: thread.name });
+            queueSnapshotUpdate(thread.guild, { section: 'threads', entity: thread }, 'threadCreate');
+        }
+
+        await logCreate('thread', thread);
+    });
+
+    onEvent(client, 'threadUpdate', async (oldThread, newThread) => {
+        if (isTrackedServer(newThread.guild.id)) {
+            log.info('Thread updated', { guildId: newThread.guild.id, event: 'threadUpdate', name: newThread.name });
+            queueSnapshotUpdate(newThread.guild, { section: 'threads', entity: newThread }, 'threadUpdate');
+        }
+
+        await logUpdate('thread', oldThread, newThread);
+        await handleThreadClosed(oldThread, newThread);
+    });
+
+    onEvent(client, 'threadDelete', async (thread) => {
+        if (isTrackedServer(thread.guild.id)) {
+            log.info('Thread deleted', { guildId: thread.guild.id, event: 'threadDelete', name: thread.name });
+            queueSnapshotUpdate(thread.guild, { section: 'threads', entity: thread, removed: true }, 'threadDelete');
+        }
+
+        await logDelete('thread', thread);
+        await handleChannelDeleted(thread);
+    });
+
+    onEvent(client, 'inviteCreate', async (invite) => {
+        if (!invite.guild || !isTrackedServer(invite.guild.id)) return;
+        log.info('Invite created', { guildId: invite.guild.id, event: 'inviteCreate', code: invite.code });
+        queueSnapshotUpdate(invite.guild, { section: 'invites', entity: invite }, 'inviteCreate');
+    });
+
+    onEvent(client, 'inviteDelete', async (invite) => {
+        if (!invite.guild || !isTrackedServer(invite.guild.id)) return;
+        log.info('Invite deleted', { guildId: invite.guild.id, event: 'inviteDelete', code: invite.code });
+        queueSnapshotUpdate(invite.guild, { section: 'invites', entity: { id: invite.code }, removed: true }, 'inviteDelete');
+    });
+
+    onEvent(client, 'guildScheduledEventCreate', async (event) => {
+        if (!isTrackedServer(event.guildId)) return;
+        log.info('Scheduled event created', { guildId: event.guildId, event: 'guildScheduledEventCreate', name: event.name });
+        queueSnapshotUpdate(event.guild, { section: 'scheduledEvents', entity: event }, 'guildScheduledEventCreate');
+    });
+
+    onEvent(client, 'guildScheduledEventUpdate', async (oldEvent, newEvent) => {
+        if (!isTrackedServer(newEvent.guildId)) return;
+        log.info('Scheduled event updated', { guildId: newEvent.guildId, event: 'guildScheduledEventUpdate', name: newEvent.name });
+        queueSnapshotUpdate(newEvent.guild, { section: 'scheduledEvents', entity: newEvent }, 'guildScheduledEventUpdate');
+    });
+
+    onEvent(client, 'guildScheduledEventDelete', async (event) => {
+        if (!isTrackedServer(event.guildId)) return;
+        log.info('Scheduled event deleted', { guildId: event.guildId, event: 'guildScheduledEventDelete', name: event.name });
+        queueSnapshotUpdate(event.guild, { section: 'scheduledEvents', entity: event, removed: true }, 'guildScheduledEventDelete');
+    });
+
+    onEvent(client, 'autoModerationRuleCreate', async (rule) => {
+        if (!isTrackedServer(rule.guild.id)) return;
+        log.info('AutoMod rule created', { guildId: rule.guild.id, event: 'autoModerationRuleCreate', name: rule.name });
+        queueSnapshotUpdate(rule.guild, { section: 'autoModerationRules', entity: rule }, 'autoModerationRuleCreate');
+    });
+
+    onEvent(client, 'autoModerationRuleUpdate', async (oldRule, newRule) => {
+        if (!isTrackedServer(newRule.guild.id)) return;
+        log.info('AutoMod rule updated', { guildId: newRule.guild.id, event: 'autoModerationRuleUpdate', name: newRule.name });
+        queueSnapshotUpdate(newRule.guild, { section: 'autoModerationRules', entity: newRule }, 'autoModerationRuleUpdate');
+    });
+
+    onEvent(client, 'autoModerationRuleDelete', async (rule) => {
+        if (!isTrackedServer(rule.guild.id)) return;
+        log.info('AutoMod rule deleted', { guildId: rule.guild.id, event: 'autoModerationRuleDelete', name: rule.name });
+        queueSnapshotUpdate(rule.guild, { section: 'autoModerationRules', entity: rule, removed: true }, 'autoModerationRuleDelete');
+    });
+
+    // Only names the channel, so its webhooks are fetched again
+    onEvent(client, 'webhooksUpdate', async (channel) => {
+        if (!channel.guild || !isTrackedServer(channel.guild.id)) return;
+        if (!channel.guild.members.me?.permissionsIn(channel).has(PermissionFlagsBits.ManageWebhooks)) return;
+        const webhooks = await channel.fetchWebhooks();
+        log.info('Webhooks updated', { guildId: channel.guild.id, event: 'webhooksUpdate', channelId: channel.id });
+        queueSnapshotUpdate(channel.guild, { section: 'webhooks', entries: webhooks.map(serializeWebhook), channelId: channel.id }, 'webhooksUpdate');
+    });
+
+    onEvent(client, 'guildIntegrationsUpdate', async (guild) => {
+        if (!isTrackedServer(guild.id)) return;
+        if (!guild.members.me?.permissions.has(PermissionFlagsBits.ManageGuild)) return;
+        const integrations = await guild.fetchIntegrations();
+        log.info('Integrations updated', { guildId: guild.id, event: 'guildIntegrationsUpdate' });
+        queueSnapshotUpdate(guild, { section: 'integrations', entries: integrations.map(serializeIntegration) }, 'guildIntegrationsUpdate');
+    });
+
+    onEvent(client, 'guildBanAdd', async (ban) => {
+        if (!isTrackedServer(ban.guild.id)) return;
+        log.info('Member banned', { guildId: ban.guild.id, event: 'guildBanAdd', userId: ban.user.id });
+        queueSnapshotUpdate(ban.guild, { section: 'bans', delta: 1 }, 'guildBanAdd');
+    });
+
+    onEvent(client, 'guildBanRemove', async (ban) => {
+        if (!isTrackedServer(ban.guild.id)) return;
+        log.info('Member unbanned', { guildId: ban.guild.id, event: 'guildBanRemove', userId: ban.user.id });
+        queueSnapshotUpdate(ban.guild, { section: 'bans', delta: -1 }, 'guildBanRemove');
+    });
+
+    onEvent(client, 'guildSoundboardSoundCreate', async (sound) => {
+        if (!sound.guildId || !isTrackedServer(sound.guildId)) return;
+        log.info('Soundboard sound created', { guildId: sound.guildId, event: 'guildSoundboardSoundCreate', name: sound.name });
+        queueSnapshotUpdate(sound.guild, { section: 'soundboardSounds', entity: sound }, 'guildSoundboardSoundCreate');
+    });
+
+    onEvent(client, 'guildSoundboardSoundUpdate', async (oldSound, newSound) => {
+        if (!newSound.guildId || !isTrackedServer(newSound.guildId)) return;
+        log.info('Soundboard sound updated', { guildId: newSound.guildId, event: 'guildSoundboardSoundUpdate', name: newSound.name });
+        queueSnapshotUpdate(newSound.guild, { section: 'soundboardSounds', entity: newSound }, 'guildSoundboardSoundUpdate');
+    });
+
+    onEvent(client, 'guildSoundboardSoundDelete', async (sound) => {
+        if (!sound.guildId || !isTrackedServer(sound.guildId)) return;
+        log.info('Soundboard sound deleted', { guildId: sound.guildId, event: 'guildSoundboardSoundDelete', name: sound.name });
+        queueSnapshotUpdate(sound.guild, { section: 'soundboardSounds', entity: { id: sound.soundId }, removed: true }, 'guildSoundboardSoundDelete');
+    });
+
+    // Sent for bulk changes, e.g. when the server loses boost perks
+    onEvent(client, 'guildSoundboardSoundsUpdate', async (sounds, guild) => {
+        if (!isTrackedServer(guild.id)) return;
+        log.info('Soundboard sounds updated', { guildId: guild.id, event: 'guildSoundboardSoundsUpdate', count: sounds.size });
+        queueSnapshotUpdate(guild, { section: 'soundboardSounds', entries: guild.soundboardSounds.cache.map(serializeSoundboardSound) }, 'guildSoundboardSoundsUpdate');
+    });
+
+    // Welcome System Event Handler
+    onEvent(client, 'guildMemberAdd', async (member) => {
+        try {
+            // Members held for verification are welcomed once they pass. Bots can never
+            // press Verify, so they are neither held nor given the member roles
+            if (isOnboardingActive(member.guild.id) && !member.user.bot) {
+                await startVerification(member);
+            } else {
+                await sendWelcome(member);
+            }
+
+            // Update server info if this guild is being tracked
+            if (isTrackedServer(member.guild.id)) {
+                queueSnapshotUpdate(member.guild, { section: 'basicInfo' }, 'guildMemberAdd');
+            }
+
+        } catch (error) {
+            log.error('Error welcoming member', { guildId: member.guild.id, event: 'guildMemberAdd', userId: member.id, error });
+        }
+
+        try {
+            recordMemberJoin(member);
+        } catch (error) {
+            log.error('Error recording member join', { guildId: member.guild.id, event: 'guildMemberAdd', userId: member.id, error });
+        }
+    });
+
+    onEvent(client, 'guildMemberRemove', async (member) => {
+        try {
+            const config = getWelcomeConfig(member.guild.id);
+            const goodbyeChannel = config.goodbyeChannelId ? member.guild.channels.cache.get(config.goodbyeChannelId) : null;
+            if (config.goodbyeChannelId && !goodbyeChannel) {
+                log.warn('Goodbye channel not found', { guildId: member.guild.id, event: 'guildMemberRemove', channelId: config.goodbyeChannelId });
+            } else if (goodbyeChannel) {
+                await goodbyeChannel.send(buildGoodbyeMessage(member, config));
+                log.info('Sent goodbye message', { guildId: member.guild.id, event: 'guildMemberRemove', userId: member.id });
+            }
+        } catch (error) {
+            log.error('Error sending goodbye message', { guildId: member.guild.id, event: 'guildMemberRemove', userId: member.id, error });
+        }
+
+        try {
+            recordMemberLeave(member);
+            if (isTrackedServer(member.guild.id)) {
+                queueSnapshotUpdate(member.guild, { section: 'basicInfo' }, 'guildMemberRemove');
+            }
+        } catch (error) {
+            log.error('Error recording member leave', { guildId: member.guild.id, event: 'guildMemberRemove', userId: member.id, error });
+        }
+    });
+}
+
+module.exports = {
+    onEvent,
+    registerEventHandlers
+};
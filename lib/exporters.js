@@ -0,0 +1,259 @@
+// Render snapshot sections as JSON, CSV, Markdown tables or YAML
+
+const SECTIONS = [
+    'basicInfo', 'channels', 'categories', 'roles', 'emojis', 'stickers', 'threads', 'unreadableChannels',
+    'scheduledEvents', 'invites', 'webhooks', 'autoModerationRules', 'integrations',
+    'welcomeScreen', 'onboarding', 'bans', 'soundboardSounds', 'unavailableSections'
+];
+
+const FORMATS = {
+    json: { extension: 'json', codeBlock: 'json' },
+    csv: { extension: 'csv', codeBlock: 'csv' },
+    markdown: { extension: 'md', codeBlock: 'md' },
+    yaml: { extension: 'yaml', codeBlock: 'yaml' }
+};
+
+const joinNames = items => (items || []).map(item => item.name).join(', ');
+
+// Columns used by the tabular formats (CSV, Markdown); JSON and YAML keep every field
+const TABLE_COLUMNS = {
+    channels: {
+        Name: channel => channel.name,
+        Type: channel => channel.typeName,
+        Category: channel => channel.parent,
+        Position: channel => channel.position,
+        Topic: channel => channel.topic,
+        NSFW: channel => channel.nsfw,
+        Slowmode: channel => channel.rateLimitPerUser,
+        Overwrites: channel => channel.permissionOverwrites?.length,
+        Tags: channel => joinNames(channel.forum?.availableTags),
+        ID: channel => channel.id
+    },
+    categories: {
+        Name: category => category.name,
+        Position: category => category.position,
+        Channels: category => joinNames(category.children),
+        Overwrites: category => category.permissionOverwrites?.length,
+        ID: category => category.id
+    },
+    roles: {
+        Name: role => role.name,
+        Colour: role => role.hexColor,
+        Position: role => role.position,
+        Members: role => role.memberCount,
+        Hoisted: role => role.hoist,
+        Mentionable: role => role.mentionable,
+        Managed: role => role.managed,
+        Permissions: role => (role.permissions || []).join(', '),
+        ID: role => role.id
+    },
+    emojis: {
+        Name: emoji => emoji.name,
+        Animated: emoji => emoji.animated,
+        Available: emoji => emoji.available,
+        Roles: emoji => joinNames(emoji.roles),
+        URL: emoji => emoji.url,
+        ID: emoji => emoji.id
+    },
+    stickers: {
+        Name: sticker => sticker.name,
+        Description: sticker => sticker.description,
+        Tags: sticker => sticker.tags,
+        Format: sticker => sticker.format,
+        URL: sticker => sticker.url,
+        ID: sticker => sticker.id
+    },
+    threads: {
+        Name: thread => thread.name,
+        Parent: thread => thread.parent,
+        Archived: thread => thread.archived,
+        Locked: thread => thread.locked,
+        Messages: thread => thread.messageCount,
+        Members: thread => thread.memberCount,
+        Created: thread => thread.createdAt,
+        Tags: thread => joinNames(thread.appliedTags),
+        ID: thread => thread.id
+    },
+    unreadableChannels: {
+        Channel: entry => entry.name,
+        Scope: entry => entry.scope,
+        Reason: entry => entry.reason,
+        Code: entry => entry.code,
+        ID: entry => entry.id
+    },
+    scheduledEvents: {
+        Name: event => event.name,
+        Status: event => event.status,
+        Channel: event => event.channelId,
+        Location: event => event.location,
+        Start: event => event.scheduledStartAt,
+        End: event => event.scheduledEndAt,
+        Interested: event => event.userCount,
+        ID: event => event.id
+    },
+    invites: {
+        Code: invite => invite.code,
+        Channel: invite => invite.channelId,
+        Inviter: invite => invite.inviter,
+        Uses: invite => invite.uses,
+        'Max Uses': invite => invite.maxUses,
+        Temporary: invite => invite.temporary,
+        Expires: invite => invite.expiresAt,
+        Created: invite => invite.createdAt
+    },
+    webhooks: {
+        Name: webhook => webhook.name,
+        Type: webhook => webhook.type,
+        Channel: webhook => webhook.channelId,
+        Owner: webhook => webhook.ownerId,
+        Application: webhook => webhook.applicationId,
+        Created: webhook => webhook.createdAt,
+        ID: webhook => webhook.id
+    },
+    autoModerationRules: {
+        Name: rule => rule.name,
+        Enabled: rule => rule.enabled,
+        Trigger: rule => rule.triggerType,
+        Actions: rule => rule.actions?.length,
+        'Exempt Roles': rule => rule.exemptRoles,
+        'Exempt Channels': rule => rule.exemptChannels,
+        ID: rule => rule.id
+    },
+    integrations: {
+        Name: integration => integration.name,
+        Type: integration => integration.type,
+        Enabled: integration => integration.enabled,
+        Bot: integration => integration.application?.botId,
+        Role: integration => integration.roleId,
+        ID: integration => integration.id
+    },
+    soundboardSounds: {
+        Name: sound => sound.name,
+        Emoji: sound => sound.emoji,
+        Volume: sound => sound.volume,
+        Available: sound => sound.available,
+        ID: sound => sound.id
+    },
+    unavailableSections: {
+        Section: entry => entry.section,
+        Reason: entry => entry.reason,
+        Code: entry => entry.code
+    }
+};
+
+function toCell(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// Rows of display strings for a section; sections holding one object (basicInfo,
+// welcomeScreen, onboarding, bans) become a Field/Value table
+function toTable(snapshot, section) {
+    const columns = TABLE_COLUMNS[section];
+    if (!columns) {
+        return {
+            headers: ['Field', 'Value'],
+            rows: Object.entries(snapshot[section] || {}).map(([field, value]) => [field, toCell(value)])
+        };
+    }
+
+    return {
+        headers: Object.keys(columns),
+        rows: (snapshot[section] || []).map(item => Object.values(columns).map(get => toCell(get(item))))
+    };
+}
+
+function escapeCsv(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function renderCsv(snapshot, section) {
+    const { headers, rows } = toTable(snapshot, section);
+    return [headers, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+function escapeMarkdown(value) {
+    return value.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function renderMarkdownTable(snapshot, section) {
+    const { headers, rows } = toTable(snapshot, section);
+    if (rows.length === 0) return '_None_\n';
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(escapeMarkdown).join(' | ')} |`)
+    ].join('\n') + '\n';
+}
+
+function renderMarkdown(snapshot, sections) {
+    const title = `# ${snapshot.basicInfo?.name || 'Server'} – server information\n`;
+    return [title, ...sections.map(section => `## ${section}\n\n${renderMarkdownTable(snapshot, section)}`)].join('\n');
+}
+
+// Minimal YAML emitter for JSON-compatible data (objects, arrays, strings, numbers, booleans, null)
+function yamlScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    const text = String(value);
+    const needsQuotes = text === '' || /^[\s\-?:,[\]{}#&*!|>'"%@`]|[:#]\s|:$|\s$|\n/.test(text)
+        || /^(true|false|null|yes|no|on|off|~)$/i.test(text) || !Number.isNaN(Number(text));
+    return needsQuotes ? JSON.stringify(text) : text;
+}
+
+function isInline(value) {
+    return value === null || typeof value !== 'object' || Object.keys(value).length === 0;
+}
+
+function inlineValue(value) {
+    if (Array.isArray(value)) return '[]';
+    if (value !== null && typeof value === 'object') return '{}';
+    return yamlScalar(value);
+}
+
+function toYaml(value, indent = '') {
+    if (isInline(value)) return `${indent}${inlineValue(value)}`;
+
+    if (Array.isArray(value)) {
+        return value.map(item => isInline(item)
+            ? `${indent}- ${inlineValue(item)}`
+            : `${indent}- ${toYaml(item, `${indent}  `).trimStart()}`).join('\n');
+    }
+
+    return Object.entries(value).map(([key, entry]) => isInline(entry)
+        ? `${indent}${yamlScalar(key)}: ${inlineValue(entry)}`
+        : `${indent}${yamlScalar(key)}:\n${toYaml(entry, `${indent}  `)}`).join('\n');
+}
+
+function pickSections(snapshot, section) {
+    if (section === 'all') return snapshot;
+    return { [section]: snapshot[section] };
+}
+
+// Render a section (or `all`) in one format. Returns one entry per output file:
+// { suffix, extension, content }; CSV of `all` yields one file per section.
+function renderExport(snapshot, section, format) {
+    const { extension } = FORMATS[format];
+    const sections = section === 'all' ? SECTIONS : [section];
+    const suffix = section === 'all' ? '' : `_${section}`;
+
+    switch (format) {
+        case 'csv':
+            return sections.map(name => ({ suffix: `_${name}`, extension, content: renderCsv(snapshot, name) }));
+        case 'markdown':
+            return [{ suffix, extension, content: renderMarkdown(snapshot, sections) }];
+        case 'yaml':
+            return [{ suffix, extension, content: `${toYaml(JSON.parse(JSON.stringify(pickSections(snapshot, section))))}\n` }];
+        default:
+            return [{ suffix, extension, content: JSON.stringify(pickSections(snapshot, section), null, 2) }];
+    }
+}
+
+module.exports = {
+    SECTIONS,
+    FORMATS,
+    renderExport
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'storage' });
+
+// JSON-file storage backend. Every write goes to a temp file that is renamed over
+// the target, so a crash mid-write leaves either the old or the new file intact.
+// The previous version is kept as `<file>.bak` and used when the main file is unreadable.
+
+// Thrown when a data file and its backup are both unreadable, instead of
+// silently falling back to an empty value that would then be saved over them
+class StorageCorruptionError extends Error {
+    constructor(filePath, cause) {
+        super(`${filePath} is corrupted and no valid backup exists (${cause.message}). Fix or remove the file to continue.`);
+        this.name = 'StorageCorruptionError';
+        this.filePath = filePath;
+    }
+}
+
+function writeFileAtomic(filePath, content, { backup = false } = {}) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (backup && fs.existsSync(filePath)) {
+        fs.copyFileSync(filePath, `${filePath}.bak`);
+    }
+    fs.renameSync(tempPath, filePath);
+}
+
+function writeJsonAtomic(filePath, data, options) {
+    writeFileAtomic(filePath, JSON.stringify(data, null, 2), options);
+}
+
+// Read a JSON file, recovering from its backup if needed. Missing files return
+// `fallback`; unreadable files with no usable backup throw StorageCorruptionError.
+function readJsonFile(filePath, fallback) {
+    const backupPath = `${filePath}.bak`;
+    if (!fs.existsSync(filePath)) {
+        return fs.existsSync(backupPath) ? readJsonFile(backupPath, fallback) : fallback;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (!fs.existsSync(backupPath)) throw new StorageCorruptionError(filePath, error);
+        try {
+            const recovered = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
+            log.warn('File is corrupted, restored from backup', { file: path.basename(filePath) });
+            fs.copyFileSync(filePath, `${filePath}.corrupt-${Date.now()}`);
+            writeJsonAtomic(filePath, recovered);
+            return recovered;
+        } catch {
+            throw new StorageCorruptionError(filePath, error);
+        }
+    }
+}
+
+function createFileStorage(dataDir) {
+    const trackedServersFile = path.join(dataDir, 'tracked_servers.json');
+    const guildSettingsFile = path.join(dataDir, 'guild_settings.json');
+    const snapshotsDir = path.join(dataDir, 'snapshots');
+    const snapshotFile = (guildId, snapshotId) => path.join(snapshotsDir, guildId, `${snapshotId}.json`);
+    const memberEventsDir = path.join(dataDir, 'member_events');
+    const memberEventsFile = guildId => path.join(memberEventsDir, `${guildId}.jsonl`);
+    const warningsDir = path.join(dataDir, 'warnings');
+    const warningsFile = guildId => path.join(warningsDir, `${guildId}.json`);
+    // Warnings: one file per guild, { [userId]: [warning, ...] }
+    const loadGuildWarnings = guildId => readJsonFile(warningsFile(guildId), {});
+
+    return {
+        name: 'file',
+
+        loadTrackedServers() {
+            return readJsonFile(trackedServersFile, []);
+        },
+
+        saveTrackedServers(trackedServers) {
+            writeJsonAtomic(trackedServersFile, trackedServers, { backup: true });
+        },
+
+        loadGuildSettings() {
+            return readJsonFile(guildSettingsFile, {});
+        },
+
+        saveGuildSettings(settings) {
+            writeJsonAtomic(guildSettingsFile, settings, { backup: true });
+        },
+
+        loadGuildSection(guildId, section) {
+            return readJsonFile(guildSettingsFile, {})[guildId]?.[section] || null;
+        },
+
+        // Rewrites the whole file, so this is only safe with a single bot process
+        // (shard.js refuses to run several shards on file storage)
+        updateGuildSection(guildId, section, update) {
+            const settings = readJsonFile(guildSettingsFile, {});
+            const data = update(settings[guildId]?.[section] || null);
+            settings[guildId] = { ...settings[guildId], [section]: data };
+            writeJsonAtomic(guildSettingsFile, settings, { backup: true });
+            return data;
+        },
+
+        listSnapshotIds(guildId) {
+            const dir = path.join(snapshotsDir, guildId);
+            if (!fs.existsSync(dir)) return [];
+            return fs.readdirSync(dir)
+                .filter(name => name.endsWith('.json'))
+                .map(name => name.slice(0, -'.json'.length));
+        },
+
+        loadSnapshot(guildId, snapshotId) {
+            return JSON.parse(fs.readFileSync(snapshotFile(guildId, snapshotId), 'utf8'));
+        },
+
+        saveSnapshot(guildId, snapshotId, data) {
+            fs.mkdirSync(path.join(snapshotsDir, guildId), { recursive: true });
+            writeJsonAtomic(snapshotFile(guildId, snapshotId), data);
+        },
+
+        deleteSnapshot(guildId, snapshotId) {
+            fs.unlinkSync(snapshotFile(guildId, snapshotId));
+        },
+
+        listSnapshotGuilds() {
+            if (!fs.existsSync(snapshotsDir)) return [];
+            return fs.readdirSync(snapshotsDir).filter(name => /^\d+$/.test(name));
+        },
+
+        // Member events are append-only, one JSON line per event
+        appendMemberEvent(guildId, event) {
+            fs.mkdirSync(memberEventsDir, { recursive: true });
+            fs.appendFileSync(memberEventsFile(guildId), `${JSON.stringify(event)}\n`);
+        },
+
+        loadMemberEvents(guildId, since = 0) {
+            const filePath = memberEventsFile(guildId);
+            if (!fs.existsSync(filePath)) return [];
+            const events = [];
+            fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, index) => {
+                if (!line.trim()) return;
+                try {
+                    const event = JSON.parse(line);
+                    if (event.timestamp >= since) events.push(event);
+                } catch {
+                    // A torn final line from a crash mid-append only loses that one event
+                    log.warn('Skipping unreadable line', { file: path.basename(filePath), line: index + 1 });
+                }
+            });
+            return events;
+        },
+
+        listMemberEventGuilds() {
+            if (!fs.existsSync(memberEventsDir)) return [];
+            return fs.readdirSync(memberEventsDir)
+                .filter(name => name.endsWith('.jsonl'))
+                .map(name => name.slice(0, -'.jsonl'.length));
+        },
+
+        loadGuildWarnings,
+
+        addWarning(guildId, userId, warning) {
+            const warnings = loadGuildWarnings(guildId);
+            warnings[userId] = [...(warnings[userId] || []), warning];
+            fs.mkdirSync(warningsDir, { recursive: true });
+            writeJsonAtomic(warningsFile(guildId), warnings, { backup: true });
+        },
+
+        loadWarnings(guildId, userId) {
+            return loadGuildWarnings(guildId)[userId] || [];
+        },
+
+        clearWarnings(guildId, userId) {
+            const { [userId]: removed = [], ...warnings } = loadGuildWarnings(guildId);
+            if (removed.length > 0) writeJsonAtomic(warningsFile(guildId), warnings, { backup: true });
+            return removed.length;
+        },
+
+        listWarningGuilds() {
+            if (!fs.existsSync(warningsDir)) return [];
+            return fs.readdirSync(warningsDir)
+                .filter(name => /^\d+\.json$/.test(name))
+                .map(name => name.slice(0, -'.json'.length));
+        }
+    };
+}
+
+module.exports = {
+    StorageCorruptionError,
+    writeFileAtomic,
+    writeJsonAtomic,
+    readJsonFile,
+    createFileStorage
+};
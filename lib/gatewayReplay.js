@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { WebSocketShard, WebSocketShardEvents, Status } = require('discord.js');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'gatewayReplay' });
+
+// Record the raw gateway dispatches a client receives to a JSONL file, and feed
+// such a recording back into a client that never logs in.
+
+// Append every dispatch packet as one JSON line: { at, shardId, t, s, d }
+function startRecording(client, filePath) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    const stream = fs.createWriteStream(filePath, { flags: 'a' });
+    const startedAt = Date.now();
+
+    client.on('raw', (packet, shardId) => {
+        stream.write(`${JSON.stringify({ at: Date.now() - startedAt, shardId, t: packet.t, s: packet.s, d: packet.d })}\n`);
+    });
+    stream.on('error', error => {
+        log.error('Error writing gateway recording', { error });
+    });
+
+    log.info('Recording gateway packets', { file: filePath });
+    return stream;
+}
+
+function readRecording(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${filePath}:${index + 1} is not valid JSON: ${error.message}`);
+            }
+        });
+}
+
+// Empty results for the REST reads made while building snapshots; anything else
+// fails, which the handlers already treat like any other API error
+const REPLAY_REST_RESPONSES = [
+    [/^\/channels\/\d+\/threads\/archived\/(public|private)$/, () => ({ threads: [], members: [], has_more: false })],
+    [/^\/channels\/\d+\/users\/@me\/threads\/archived\/private$/, () => ({ threads: [], members: [], has_more: false })],
+    [/^\/guilds\/\d+\/threads\/active$/, () => ({ threads: [], members: [] })],
+    [/^\/guilds\/\d+\/(scheduled-events|invites|webhooks|auto-moderation\/rules|integrations|bans)$/, () => []],
+    [/^\/guilds\/\d+\/welcome-screen$/, () => ({ description: null, welcome_channels: [] })],
+    [/^\/guilds\/(\d+)\/onboarding$/, guildId => ({ guild_id: guildId, prompts: [], default_channel_ids: [], enabled: false, mode: 0 })]
+];
+
+// Wire a client up to receive packets through the same path a live gateway
+// connection uses, without logging in. Returns `dispatch(packet)`.
+function createReplayClient(client) {
+    const gateway = new EventEmitter();
+    gateway.options = { token: null };
+    gateway.destroy = async () => {};
+
+    client.rest.request = async ({ method, fullRoute }) => {
+        const match = method === 'GET' && REPLAY_REST_RESPONSES.find(([pattern]) => pattern.test(fullRoute));
+        if (match) return match[1](...fullRoute.match(match[0]).slice(1));
+        throw new Error(`REST ${method} ${fullRoute} is not available during replay`);
+    };
+
+    const manager = client.ws;
+    manager._ws = gateway;
+    manager.attachEvents();
+    manager.totalShards = 1;
+
+    const shard = new WebSocketShard(manager, 0);
+    shard.on(WebSocketShardEvents.AllReady, unavailableGuilds => {
+        client.emit('shardReady', shard.id, unavailableGuilds);
+        manager.checkShardsReady();
+    });
+    shard.status = Status.Connecting;
+    manager.shards.set(0, shard);
+
+    return function dispatch({ t, s, d }) {
+        if (t === 'READY') {
+            gateway.emit('ready', { data: d, shardId: 0 });
+        }
+        gateway.emit('dispatch', { data: { op: 0, t, s, d }, shardId: 0 });
+    };
+}
+
+module.exports = {
+    startRecording,
+    readRecording,
+    createReplayClient
+};
@@ -0,0 +1,527 @@
+const { ChannelType, DiscordAPIError, HTTPError, RateLimitError, PermissionFlagsBits } = require('discord.js');
+const { createLogger } = require('./logger');
+
+// Build JSON-serialisable snapshots of a guild's structure. The per-entity
+// serializers are shared by the full build and the incremental snapshot updates.
+
+const log = createLogger({ component: 'guildInfo' });
+
+function serializeOverwrites(channel) {
+    return channel.permissionOverwrites.cache.map(overwrite => ({
+        id: overwrite.id,
+        type: overwrite.type,
+        allow: overwrite.allow.toArray(),
+        deny: overwrite.deny.toArray()
+    }));
+}
+
+function serializeBasicInfo(guild) {
+    return {
+        id: guild.id,
+        name: guild.name,
+        description: guild.description,
+        icon: guild.icon,
+        iconURL: guild.iconURL({ size: 512 }),
+        banner: guild.banner,
+        bannerURL: guild.bannerURL({ size: 1024 }),
+        memberCount: guild.memberCount,
+        approximateMemberCount: guild.approximateMemberCount,
+        ownerId: guild.ownerId,
+        verificationLevel: guild.verificationLevel,
+        explicitContentFilter: guild.explicitContentFilter,
+        defaultMessageNotifications: guild.defaultMessageNotifications,
+        mfaLevel: guild.mfaLevel,
+        nsfwLevel: guild.nsfwLevel,
+        premiumTier: guild.premiumTier,
+        premiumSubscriptionCount: guild.premiumSubscriptionCount,
+        preferredLocale: guild.preferredLocale,
+        createdAt: guild.createdAt,
+        features: guild.features,
+        systemChannelId: guild.systemChannelId,
+        rulesChannelId: guild.rulesChannelId,
+        publicUpdatesChannelId: guild.publicUpdatesChannelId,
+        afkChannelId: guild.afkChannelId,
+        afkTimeout: guild.afkTimeout
+    };
+}
+
+function serializeChannel(channel) {
+    return {
+        id: channel.id,
+        name: channel.name,
+        type: channel.type,
+        typeName: channel.constructor.name,
+        position: channel.position,
+        parentId: channel.parentId,
+        parent: channel.parent?.name,
+        topic: channel.topic,
+        nsfw: channel.nsfw,
+        bitrate: channel.bitrate,
+        userLimit: channel.userLimit,
+        rtcRegion: channel.rtcRegion,
+        rateLimitPerUser: channel.rateLimitPerUser,
+        defaultAutoArchiveDuration: channel.defaultAutoArchiveDuration,
+        permissionOverwrites: serializeOverwrites(channel),
+        createdAt: channel.createdAt,
+        manageable: channel.manageable,
+        deletable: channel.deletable,
+        viewable: channel.viewable,
+        // Forum and media channels only
+        forum: channel.availableTags ? serializeForumSettings(channel) : undefined
+    };
+}
+
+function serializeForumSettings(channel) {
+    return {
+        availableTags: channel.availableTags.map(tag => ({
+            id: tag.id,
+            name: tag.name,
+            moderated: tag.moderated,
+            emoji: tag.emoji
+        })),
+        defaultReactionEmoji: channel.defaultReactionEmoji,
+        defaultSortOrder: channel.defaultSortOrder,
+        // Media channels have no layout
+        defaultForumLayout: channel.defaultForumLayout,
+        defaultThreadRateLimitPerUser: channel.defaultThreadRateLimitPerUser,
+        defaultAutoArchiveDuration: channel.defaultAutoArchiveDuration
+    };
+}
+
+// The channel cache also holds threads, which have no overwrites; they are serialised
+// separately by serializeThread
+function getGuildChannels(guild) {
+    return guild.channels.cache.filter(channel => !channel.isThread());
+}
+
+// Categories embed their children, so they are always derived from the channel cache
+function serializeCategories(guild) {
+    const channels = getGuildChannels(guild);
+    return channels.filter(channel => channel.type === 4).map(category => ({
+        id: category.id,
+        name: category.name,
+        position: category.position,
+        children: channels.filter(channel => channel.parentId === category.id).map(child => ({
+            id: child.id,
+            name: child.name,
+            type: child.type
+        })),
+        permissionOverwrites: serializeOverwrites(category),
+        createdAt: category.createdAt
+    }));
+}
+
+function serializeRole(role) {
+    return {
+        id: role.id,
+        name: role.name,
+        color: role.color,
+        hexColor: role.hexColor,
+        position: role.position,
+        rawPosition: role.rawPosition,
+        hoist: role.hoist,
+        mentionable: role.mentionable,
+        managed: role.managed,
+        icon: role.icon,
+        iconURL: role.iconURL(),
+        unicodeEmoji: role.unicodeEmoji,
+        permissions: role.permissions.toArray(),
+        permissionsBitfield: role.permissions.bitfield.toString(),
+        createdAt: role.createdAt,
+        editable: role.editable,
+        memberCount: role.members.size
+    };
+}
+
+function serializeEmoji(emoji) {
+    return {
+        id: emoji.id,
+        name: emoji.name,
+        animated: emoji.animated,
+        available: emoji.available,
+        managed: emoji.managed,
+        requireColons: emoji.requireColons,
+        url: emoji.url,
+        roles: emoji.roles.cache.map(role => ({
+            id: role.id,
+            name: role.name
+        })),
+        createdAt: emoji.createdAt
+    };
+}
+
+function serializeSticker(sticker) {
+    return {
+        id: sticker.id,
+        name: sticker.name,
+        description: sticker.description,
+        type: sticker.type,
+        format: sticker.format,
+        available: sticker.available,
+        tags: sticker.tags,
+        url: sticker.url,
+        createdAt: sticker.createdAt
+    };
+}
+
+function serializeThread(thread) {
+    return {
+        id: thread.id,
+        name: thread.name,
+        type: thread.type,
+        parentId: thread.parentId,
+        parent: thread.parent?.name,
+        ownerId: thread.ownerId,
+        archived: thread.archived,
+        autoArchiveDuration: thread.autoArchiveDuration,
+        archiveTimestamp: thread.archiveTimestamp,
+        locked: thread.locked,
+        rateLimitPerUser: thread.rateLimitPerUser,
+        messageCount: thread.messageCount,
+        memberCount: thread.memberCount,
+        totalMessageSent: thread.totalMessageSent,
+        createdAt: thread.createdAt,
+        // Forum and media posts only
+        appliedTags: thread.parent?.availableTags ? serializeAppliedTags(thread) : undefined
+    };
+}
+
+// Tag names come from the parent channel, since threads only hold the IDs
+function serializeAppliedTags(thread) {
+    return (thread.appliedTags || []).map(tagId => ({
+        id: tagId,
+        name: thread.parent.availableTags.find(tag => tag.id === tagId)?.name ?? null
+    }));
+}
+
+function serializeScheduledEvent(event) {
+    return {
+        id: event.id,
+        name: event.name,
+        description: event.description,
+        status: event.status,
+        entityType: event.entityType,
+        privacyLevel: event.privacyLevel,
+        channelId: event.channelId,
+        location: event.entityMetadata?.location ?? null,
+        creatorId: event.creatorId,
+        scheduledStartAt: event.scheduledStartAt,
+        scheduledEndAt: event.scheduledEndAt,
+        userCount: event.userCount,
+        image: event.image,
+        recurrenceRule: event.recurrenceRule,
+        createdAt: event.createdAt
+    };
+}
+
+// Keyed by code, which is all an inviteDelete event carries
+function serializeInvite(invite) {
+    return {
+        id: invite.code,
+        code: invite.code,
+        channelId: invite.channelId,
+        inviterId: invite.inviterId ?? null,
+        inviter: invite.inviter?.tag ?? null,
+        uses: invite.uses,
+        maxUses: invite.maxUses,
+        maxAge: invite.maxAge,
+        temporary: invite.temporary,
+        expiresAt: invite.expiresAt,
+        createdAt: invite.createdAt
+    };
+}
+
+// Never includes the webhook token
+function serializeWebhook(webhook) {
+    return {
+        id: webhook.id,
+        name: webhook.name,
+        type: webhook.type,
+        channelId: webhook.channelId,
+        ownerId: webhook.owner?.id ?? null,
+        applicationId: webhook.applicationId,
+        sourceGuild: webhook.sourceGuild?.name ?? null,
+        sourceChannel: webhook.sourceChannel?.name ?? null,
+        createdAt: webhook.createdAt
+    };
+}
+
+function serializeAutoModerationRule(rule) {
+    return {
+        id: rule.id,
+        name: rule.name,
+        enabled: rule.enabled,
+        eventType: rule.eventType,
+        triggerType: rule.triggerType,
+        triggerMetadata: rule.triggerMetadata,
+        actions: rule.actions,
+        exemptRoles: [...rule.exemptRoles.keys()],
+        exemptChannels: [...rule.exemptChannels.keys()],
+        creatorId: rule.creatorId
+    };
+}
+
+// Bots added to the server show up as integrations of type "discord"
+function serializeIntegration(integration) {
+    return {
+        id: integration.id,
+        name: integration.name,
+        type: integration.type,
+        enabled: integration.enabled,
+        syncing: integration.syncing,
+        roleId: integration.role?.id ?? null,
+        account: integration.account,
+        application: integration.application ? {
+            id: integration.application.id,
+            name: integration.application.name,
+            botId: integration.application.bot?.id ?? null
+        } : null,
+        userId: integration.user?.id ?? null,
+        scopes: integration.scopes,
+        syncedAt: integration.syncedAt
+    };
+}
+
+function serializeWelcomeScreen(guild, welcomeScreen) {
+    return {
+        enabled: guild.features.includes('WELCOME_SCREEN_ENABLED'),
+        description: welcomeScreen.description,
+        welcomeChannels: welcomeScreen.welcomeChannels.map(channel => ({
+            channelId: channel.channelId,
+            description: channel.description,
+            emoji: channel.emoji?.name ?? null,
+            emojiId: channel.emoji?.id ?? null
+        }))
+    };
+}
+
+function serializeOnboarding(onboarding) {
+    return {
+        enabled: onboarding.enabled,
+        mode: onboarding.mode,
+        defaultChannelIds: [...onboarding.defaultChannels.keys()],
+        prompts: onboarding.prompts.map(prompt => ({
+            id: prompt.id,
+            title: prompt.title,
+            type: prompt.type,
+            singleSelect: prompt.singleSelect,
+            required: prompt.required,
+            inOnboarding: prompt.inOnboarding,
+            options: prompt.options.map(option => ({
+                id: option.id,
+                title: option.title,
+                description: option.description,
+                channelIds: [...option.channels.keys()],
+                roleIds: [...option.roles.keys()],
+                emoji: option.emoji?.name ?? null
+            }))
+        }))
+    };
+}
+
+// Keyed by sound ID so soundboard events can patch entries
+function serializeSoundboardSound(sound) {
+    return {
+        id: sound.soundId,
+        name: sound.name,
+        volume: sound.volume,
+        emoji: sound.emoji?.name ?? null,
+        available: sound.available,
+        userId: sound.user?.id ?? null,
+        createdAt: sound.createdAt
+    };
+}
+
+// Rate limits, Discord server errors and network failures, which are worth retrying
+function isTransientError(error) {
+    if (error instanceof RateLimitError || error instanceof HTTPError) return true;
+    if (error instanceof DiscordAPIError) return error.status === 429 || error.status >= 500;
+    return error?.name === 'AbortError' || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'].includes(error?.code);
+}
+
+const ARCHIVE_PAGE_SIZE = 100;
+
+// Archived thread kinds the bot may list in a channel, and why it cannot list the others.
+// Only text channels have private threads, and listing all of them needs Manage Threads.
+function getArchiveAccess(channel) {
+    const permissions = channel.permissionsFor(channel.guild.members.me);
+    const kinds = channel.type === ChannelType.GuildText ? ['public', 'private'] : ['public'];
+    if (!permissions?.has(PermissionFlagsBits.ViewChannel)) return { kinds: [], denied: { archivedThreads: 'Missing View Channel' } };
+    if (!permissions.has(PermissionFlagsBits.ReadMessageHistory)) return { kinds: [], denied: { archivedThreads: 'Missing Read Message History' } };
+    if (kinds.includes('private') && !permissions.has(PermissionFlagsBits.ManageThreads)) {
+        return { kinds: ['public'], denied: { privateArchivedThreads: 'Missing Manage Threads' } };
+    }
+    return { kinds, denied: {} };
+}
+
+// Page through one kind of archived thread, newest archive first
+async function fetchArchivedThreads(channel, type) {
+    const threads = new Map();
+    let before;
+    for (;;) {
+        const page = await channel.threads.fetchArchived({ type, fetchAll: true, before, limit: ARCHIVE_PAGE_SIZE }, false);
+        const added = [...page.threads.values()].filter(thread => !threads.has(thread.id));
+        added.forEach(thread => threads.set(thread.id, thread));
+        // Stop on a page with nothing new as well, in case threads share an archive time
+        if (!page.hasMore || added.length === 0) break;
+        before = Math.min(...added.map(thread => thread.archiveTimestamp));
+    }
+    return [...threads.values()];
+}
+
+// Fetch active and all archived threads, public and private where permitted. This pages
+// through every channel that can hold threads, so it is the expensive part of a full
+// snapshot build. Channels that could not be read are returned as `unreadable` entries.
+async function fetchAllThreads(guild) {
+    const archived = [];
+    const unreadable = [];
+    for (const channel of guild.channels.cache.values()) {
+        if (!channel.threads || channel.isThread()) continue;
+
+        const report = (scope, reason, code = null) => unreadable.push({ id: channel.id, name: channel.name, type: channel.type, scope, reason, code });
+        const { kinds, denied } = getArchiveAccess(channel);
+        Object.entries(denied).forEach(([scope, reason]) => report(scope, reason));
+        for (const kind of kinds) {
+            try {
+                archived.push(...await fetchArchivedThreads(channel, kind));
+            } catch (error) {
+                // A missing permission only loses that channel's threads; an outage fails the build so it is retried
+                if (isTransientError(error)) throw error;
+                report(`${kind}ArchivedThreads`, error.message, error.code ?? null);
+            }
+        }
+    }
+
+    const activeThreads = await guild.channels.fetchActiveThreads();
+    if (unreadable.length > 0) {
+        log.warn('Some archived threads could not be read', { guildId: guild.id, count: unreadable.length });
+    }
+    return { threads: [...activeThreads.threads.values(), ...archived], unreadable };
+}
+
+const BAN_PAGE_SIZE = 1000;
+
+async function countBans(guild) {
+    let count = 0;
+    let after;
+    for (;;) {
+        const page = await guild.bans.fetch({ limit: BAN_PAGE_SIZE, after, cache: false });
+        count += page.size;
+        if (page.size < BAN_PAGE_SIZE) return count;
+        after = [...page.keys()].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1)).pop();
+    }
+}
+
+const PERMISSION_LABELS = {
+    ManageGuild: 'Manage Server',
+    ManageWebhooks: 'Manage Webhooks',
+    BanMembers: 'Ban Members'
+};
+
+// Sections read with their own REST calls. The permission is checked first, so a
+// section the bot may not read is reported instead of costing a failed request.
+const EXTRA_SECTIONS = {
+    scheduledEvents: {
+        permission: null,
+        fetch: async guild => (await guild.scheduledEvents.fetch({ withUserCount: true })).map(serializeScheduledEvent)
+    },
+    invites: {
+        permission: 'ManageGuild',
+        fetch: async guild => (await guild.invites.fetch({ cache: false })).map(serializeInvite)
+    },
+    webhooks: {
+        permission: 'ManageWebhooks',
+        fetch: async guild => (await guild.fetchWebhooks()).map(serializeWebhook)
+    },
+    autoModerationRules: {
+        permission: 'ManageGuild',
+        fetch: async guild => (await guild.autoModerationRules.fetch({ cache: false })).map(serializeAutoModerationRule)
+    },
+    integrations: {
+        permission: 'ManageGuild',
+        fetch: async guild => (await guild.fetchIntegrations()).map(serializeIntegration)
+    },
+    welcomeScreen: {
+        permission: 'ManageGuild',
+        fetch: async guild => serializeWelcomeScreen(guild, await guild.fetchWelcomeScreen())
+    },
+    onboarding: {
+        permission: null,
+        fetch: async guild => serializeOnboarding(await guild.fetchOnboarding())
+    },
+    bans: {
+        permission: 'BanMembers',
+        fetch: async guild => ({ count: await countBans(guild) })
+    },
+    // Sent with the guild on connect and kept current by gateway events
+    soundboardSounds: {
+        permission: null,
+        fetch: async guild => guild.soundboardSounds.cache.map(serializeSoundboardSound)
+    }
+};
+
+// Read every extra section; unreadable ones are null and listed in `unavailable`
+async function fetchExtraSections(guild) {
+    const sections = {};
+    const unavailable = [];
+    const permissions = guild.members.me?.permissions;
+    for (const [section, { permission, fetch }] of Object.entries(EXTRA_SECTIONS)) {
+        sections[section] = null;
+        if (permission && !permissions?.has(PermissionFlagsBits[permission])) {
+            unavailable.push({ section, reason: `Missing ${PERMISSION_LABELS[permission]}`, code: null });
+            continue;
+        }
+        try {
+            sections[section] = await fetch(guild);
+        } catch (error) {
+            if (isTransientError(error)) throw error;
+            unavailable.push({ section, reason: error.message, code: error.code ?? null });
+        }
+    }
+    return { sections, unavailable };
+}
+
+// Snapshot from the client cache only (no REST calls); threads and the report of
+// unreadable channels are supplied by the caller
+function getCachedGuildInfo(guild, threads = [], unreadableChannels = []) {
+    return {
+        basicInfo: serializeBasicInfo(guild),
+        channels: getGuildChannels(guild).map(serializeChannel),
+        categories: serializeCategories(guild),
+        roles: guild.roles.cache.map(serializeRole),
+        emojis: guild.emojis.cache.map(serializeEmoji),
+        stickers: guild.stickers.cache.map(serializeSticker),
+        threads: threads.map(serializeThread),
+        unreadableChannels
+    };
+}
+
+// Build a full JSON-serialisable snapshot of a guild's structure; callers log failures
+async function getComprehensiveGuildInfo(guild) {
+    const { threads, unreadable } = await fetchAllThreads(guild);
+    const { sections, unavailable } = await fetchExtraSections(guild);
+    return {
+        ...getCachedGuildInfo(guild, threads, unreadable),
+        ...sections,
+        unavailableSections: unavailable
+    };
+}
+
+module.exports = {
+    serializeBasicInfo,
+    serializeChannel,
+    serializeCategories,
+    serializeRole,
+    serializeEmoji,
+    serializeSticker,
+    serializeThread,
+    serializeScheduledEvent,
+    serializeInvite,
+    serializeWebhook,
+    serializeAutoModerationRule,
+    serializeIntegration,
+    serializeSoundboardSound,
+    getCachedGuildInfo,
+    getComprehensiveGuildInfo,
+    isTransientError
+};
@@ -0,0 +1,59 @@
+const { getStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'settings' });
+
+// Per-guild settings, grouped by feature section: { [guildId]: { welcome: {...}, ... } }
+
+// Stored sections by `${guildId}:${section}`. Settings are read on hot paths (automod
+// runs on every message) and only change through updateGuildSettings, which refreshes
+// the entry; each guild is handled by a single shard, so no other process edits them.
+const sectionCache = new Map();
+
+// Load settings for every guild. Unreadable storage throws so that a following
+// update cannot overwrite every guild's settings with an empty object.
+function loadGuildSettings() {
+    return getStorage().loadGuildSettings();
+}
+
+// Save settings for every guild
+function saveGuildSettings(settings) {
+    sectionCache.clear();
+    try {
+        getStorage().saveGuildSettings(settings);
+    } catch (error) {
+        log.error('Error saving guild settings', { error });
+    }
+}
+
+function loadSection(guildId, section) {
+    const key = `${guildId}:${section}`;
+    if (!sectionCache.has(key)) {
+        sectionCache.set(key, getStorage().loadGuildSection(guildId, section) || {});
+    }
+    return sectionCache.get(key);
+}
+
+// Get one feature section for a guild, merged over its defaults. The result is a
+// copy, so callers can modify it without touching the cache
+function getGuildSettings(guildId, section, defaults = {}) {
+    return structuredClone({ ...defaults, ...loadSection(guildId, section) });
+}
+
+// Shallow-merge a patch into one feature section for a guild and persist it. Only
+// that section is rewritten, so updates to other guilds or sections are never lost
+function updateGuildSettings(guildId, section, patch, defaults = {}) {
+    const key = `${guildId}:${section}`;
+    sectionCache.delete(key);
+    const updated = getStorage().updateGuildSection(guildId, section, current => ({ ...defaults, ...(current || {}), ...patch }));
+    // Round-trip through JSON so the cache holds exactly what storage does (no undefined keys)
+    sectionCache.set(key, JSON.parse(JSON.stringify(updated)));
+    return updated;
+}
+
+module.exports = {
+    loadGuildSettings,
+    saveGuildSettings,
+    getGuildSettings,
+    updateGuildSettings
+};
@@ -0,0 +1,196 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadTrackedServers } = require('./tracking');
+const { listSnapshots, loadSnapshot, resolveSnapshotRef } = require('./snapshots');
+const { SECTIONS, FORMATS, renderExport } = require('./exporters');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { renderMetrics } = require('./metrics');
+
+const log = createLogger({ component: 'http' });
+
+// Optional read-only HTTP API over server_data/, enabled by setting HTTP_PORT.
+// When sharded, each shard process listens on HTTP_PORT + its first shard ID.
+// The API token is read per request, so a configuration reload can rotate it.
+
+const DASHBOARD_FILE = path.join(__dirname, '..', 'public', 'dashboard.html');
+
+const CONTENT_TYPES = {
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    markdown: 'text/markdown; charset=utf-8',
+    yaml: 'application/yaml; charset=utf-8'
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES.json });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+function isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer (.+)$/.exec(header);
+    const { httpApiToken } = getConfig();
+    if (!match || !httpApiToken) return false;
+    const provided = Buffer.from(match[1]);
+    const expected = Buffer.from(httpApiToken);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+function summarizeGuild(guildId, client) {
+    const latestId = resolveSnapshotRef(guildId, 'latest');
+    const latest = latestId ? loadSnapshot(guildId, latestId) : null;
+    return {
+        id: guildId,
+        name: client.guilds.cache.get(guildId)?.name || latest?.basicInfo?.name || null,
+        snapshotCount: listSnapshots(guildId).length,
+        lastUpdated: latest?.metadata?.lastUpdated || null
+    };
+}
+
+// Resolve ?at=<ref> (default latest) to a loaded snapshot, or null
+function loadRequestedSnapshot(guildId, searchParams) {
+    const snapshotId = resolveSnapshotRef(guildId, searchParams.get('at') || 'latest');
+    return snapshotId ? { snapshotId, snapshot: loadSnapshot(guildId, snapshotId) } : null;
+}
+
+function handleApiRequest(res, url, client) {
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    if (segments.length === 1) {
+        sendJson(res, 200, { guilds: loadTrackedServers().map(guildId => summarizeGuild(guildId, client)) });
+        return;
+    }
+
+    const guildId = segments[1];
+    if (!/^\d{17,20}$/.test(guildId)) {
+        sendJson(res, 400, { error: 'Invalid guild ID' });
+        return;
+    }
+
+    const resource = segments[2];
+    if (segments.length === 3 && resource === 'snapshots') {
+        sendJson(res, 200, { guildId, snapshots: listSnapshots(guildId) });
+        return;
+    }
+
+    const isSection = SECTIONS.includes(resource);
+    if (segments.length !== 3 || (resource !== 'snapshot' && !isSection)) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    const requested = loadRequestedSnapshot(guildId, url.searchParams);
+    if (!requested) {
+        sendJson(res, 404, { error: 'No snapshot found for this guild' });
+        return;
+    }
+
+    const format = url.searchParams.get('format') || 'json';
+    if (!FORMATS[format] || (format === 'csv' && !isSection)) {
+        sendJson(res, 400, { error: `Unsupported format: ${format}` });
+        return;
+    }
+
+    if (format === 'json') {
+        sendJson(res, 200, isSection ? requested.snapshot[resource] : requested.snapshot);
+        return;
+    }
+
+    const [output] = renderExport(requested.snapshot, isSection ? resource : 'all', format);
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[format] });
+    res.end(output.content);
+}
+
+async function sendHealth(res, client) {
+    const health = {
+        status: client.isReady() ? 'ok' : 'starting',
+        uptime: Math.round(process.uptime()),
+        guilds: client.guilds.cache.size,
+        ping: client.ws.ping
+    };
+    if (client.shard) {
+        health.shards = client.shard.ids;
+        // Other shards may still be starting, so the total is best effort
+        const counts = await client.shard.fetchClientValues('guilds.cache.size').catch(() => null);
+        health.totalGuilds = counts ? counts.reduce((sum, count) => sum + count, 0) : null;
+    }
+    sendJson(res, 200, health);
+}
+
+function handleRequest(req, res, client) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    if (url.pathname === '/health') {
+        sendHealth(res, client).catch(error => {
+            log.error('Error building health response', { error });
+            if (!res.headersSent) sendJson(res, 500, { error: 'Internal server error' });
+        });
+        return;
+    }
+
+    // Prometheus scrape endpoint; like /health it carries no guild data, so it needs no token
+    if (url.pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(renderMetrics());
+        return;
+    }
+
+    // The dashboard page holds no data itself; it calls the API with the user's token
+    if (url.pathname === '/' || url.pathname === '/dashboard') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        fs.createReadStream(DASHBOARD_FILE).pipe(res);
+        return;
+    }
+
+    if (url.pathname === '/guilds' || url.pathname.startsWith('/guilds/')) {
+        if (!isAuthorized(req)) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            sendJson(res, 401, { error: 'Unauthorized' });
+            return;
+        }
+        handleApiRequest(res, url, client);
+        return;
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+}
+
+function startHttpServer(client) {
+    const { httpPort, httpHost, httpApiToken } = getConfig();
+    if (!httpPort) return null;
+    if (!httpApiToken) {
+        log.warn('HTTP_PORT is set but HTTP_API_TOKEN is not; guild endpoints will reject every request');
+    }
+
+    const server = http.createServer((req, res) => {
+        try {
+            handleRequest(req, res, client);
+        } catch (error) {
+            log.error('Error handling HTTP request', { path: req.url, error });
+            if (!res.headersSent) sendJson(res, 500, { error: 'Internal server error' });
+            else res.end();
+        }
+    });
+
+    const port = httpPort + (client.shard?.ids[0] ?? 0);
+    server.listen(port, httpHost, () => {
+        log.info('HTTP API listening', { url: `http://${httpHost}:${port}` });
+    });
+    server.on('error', error => {
+        log.error('HTTP server error', { error });
+    });
+
+    return server;
+}
+
+module.exports = {
+    startHttpServer
+};
@@ -0,0 +1,75 @@
+// Leveled structured logger. Every entry is one JSON line on stdout (debug/info) or
+// stderr (warn/error) with `time`, `level`, `msg` and any fields such as guildId,
+// event, command or durationMs. The `logLevel` option sets the minimum level (default
+// info); `logFormat: text` prints a readable line instead, for local development.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Set from the configuration once it loads, and again on every reload
+let minLevel = LEVELS.info;
+let format = 'json';
+
+function configureLogger({ level, format: nextFormat }) {
+    minLevel = LEVELS[level] ?? LEVELS.info;
+    format = nextFormat;
+}
+
+// Called with (level, fields) for every entry written, e.g. to count errors
+const listeners = [];
+
+function onLog(listener) {
+    listeners.push(listener);
+}
+
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+function formatText(entry) {
+    const { time, level, msg, error, ...fields } = entry;
+    const extras = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    const line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extras.length > 0 ? ` ${extras.join(' ')}` : ''}`;
+    return error ? `${line}\n${error.stack || JSON.stringify(error)}` : line;
+}
+
+function write(level, bindings, msg, fields = {}) {
+    if (LEVELS[level] < minLevel) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...bindings, ...fields };
+    if (entry.error !== undefined) entry.error = serializeError(entry.error);
+
+    let line;
+    try {
+        line = format === 'text' ? formatText(entry) : JSON.stringify(entry);
+    } catch {
+        // Circular or otherwise unserialisable fields must not lose the message itself
+        line = JSON.stringify({ time: entry.time, level, msg, ...bindings });
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+
+    for (const listener of listeners) listener(level, entry);
+}
+
+// `bindings` are added to every entry, e.g. createLogger({ component: 'snapshots' })
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write('debug', bindings, msg, fields),
+        info: (msg, fields) => write('info', bindings, msg, fields),
+        warn: (msg, fields) => write('warn', bindings, msg, fields),
+        error: (msg, fields) => write('error', bindings, msg, fields),
+        child: extra => createLogger({ ...bindings, ...extra })
+    };
+}
+
+module.exports = {
+    logger: createLogger(),
+    createLogger,
+    configureLogger,
+    onLog
+};
@@ -0,0 +1,257 @@
+const { EmbedBuilder } = require('discord.js');
+const { getStorage } = require('./storage');
+const { isTrackedServer } = require('./tracking');
+const { getGuildSettings, updateGuildSettings } = require('./guildSettings');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'memberStats' });
+
+// Join/leave history for tracked guilds and the growth/retention reports built on it.
+// Events: { type: 'join' | 'leave', userId, tag, timestamp, accountCreatedAt, returning?, joinedAt? }
+
+const MEMBER_STATS_SECTION = 'memberStats';
+
+const DEFAULT_MEMBER_STATS_CONFIG = {
+    summaryChannelId: null,
+    lastSummaryAt: null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const MAX_PERIOD_DAYS = 365;
+const SUMMARY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+function getMemberStatsConfig(guildId) {
+    return getGuildSettings(guildId, MEMBER_STATS_SECTION, DEFAULT_MEMBER_STATS_CONFIG);
+}
+
+function updateMemberStatsConfig(guildId, patch) {
+    return updateGuildSettings(guildId, MEMBER_STATS_SECTION, patch, DEFAULT_MEMBER_STATS_CONFIG);
+}
+
+// "30d", "4w", "3m", "1y" or a bare number of days; null when invalid
+function parsePeriod(value) {
+    const match = /^(\d+)\s*([dwmy]?)$/i.exec(String(value).trim());
+    if (!match) return null;
+    const days = parseInt(match[1], 10) * { '': 1, d: 1, w: 7, m: 30, y: 365 }[match[2].toLowerCase()];
+    return days > 0 && days <= MAX_PERIOD_DAYS ? days : null;
+}
+
+// Users with any recorded event, per guild, so a join can tell whether it is a
+// returning member without re-reading the whole history. Loaded on first use.
+const knownMembers = new Map();
+
+function getKnownMembers(guildId) {
+    if (!knownMembers.has(guildId)) {
+        knownMembers.set(guildId, new Set(getStorage().loadMemberEvents(guildId).map(event => event.userId)));
+    }
+    return knownMembers.get(guildId);
+}
+
+function recordMemberJoin(member) {
+    if (!isTrackedServer(member.guild.id)) return;
+    const known = getKnownMembers(member.guild.id);
+    getStorage().appendMemberEvent(member.guild.id, {
+        type: 'join',
+        userId: member.id,
+        tag: member.user.tag,
+        timestamp: member.joinedTimestamp || Date.now(),
+        accountCreatedAt: member.user.createdTimestamp,
+        returning: known.has(member.id)
+    });
+    known.add(member.id);
+}
+
+// Members that were not cached arrive as partials, without a join date
+function recordMemberLeave(member) {
+    if (!isTrackedServer(member.guild.id)) return;
+    getKnownMembers(member.guild.id).add(member.id);
+    getStorage().appendMemberEvent(member.guild.id, {
+        type: 'leave',
+        userId: member.id,
+        tag: member.user?.tag ?? null,
+        timestamp: Date.now(),
+        accountCreatedAt: member.user?.createdTimestamp ?? null,
+        joinedAt: member.joinedTimestamp ?? null
+    });
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function percent(part, whole) {
+    return whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : 'n/a';
+}
+
+// Net growth and churn over the last `days`, with a per-day breakdown
+function computeGrowth(guild, days, now = Date.now()) {
+    const since = now - days * DAY_MS;
+    const events = getStorage().loadMemberEvents(guild.id, since);
+    const joins = events.filter(event => event.type === 'join');
+    const leaves = events.filter(event => event.type === 'leave');
+    const net = joins.length - leaves.length;
+    const startCount = Math.max(0, guild.memberCount - net);
+
+    const daily = new Map();
+    for (let time = since; formatDate(time) <= formatDate(now); time += DAY_MS) {
+        daily.set(formatDate(time), { joins: 0, leaves: 0 });
+    }
+    for (const event of events) {
+        const entry = daily.get(formatDate(event.timestamp));
+        if (entry) entry[event.type === 'join' ? 'joins' : 'leaves']++;
+    }
+
+    return {
+        days,
+        joins: joins.length,
+        leaves: leaves.length,
+        returning: joins.filter(event => event.returning).length,
+        net,
+        startCount,
+        endCount: guild.memberCount,
+        growthRate: percent(net, startCount),
+        churnRate: percent(leaves.length, startCount),
+        daily: [...daily].map(([date, counts]) => ({ date, ...counts, net: counts.joins - counts.leaves }))
+    };
+}
+
+// How many members who joined in the last `days` left again soon after
+function computeRetention(guildId, days, now = Date.now()) {
+    const events = getStorage().loadMemberEvents(guildId, now - days * DAY_MS);
+    // Leave times per user, oldest first (events come back in timestamp order)
+    const leaves = new Map();
+    for (const event of events) {
+        if (event.type !== 'leave') continue;
+        if (!leaves.has(event.userId)) leaves.set(event.userId, []);
+        leaves.get(event.userId).push(event.timestamp);
+    }
+    const cohort = events.filter(event => event.type === 'join').map(join => {
+        const leftAt = leaves.get(join.userId)?.find(timestamp => timestamp >= join.timestamp);
+        return { ...join, leftAt: leftAt ?? null };
+    });
+
+    const leftWithin = (window, joins) => joins.filter(join => join.leftAt !== null && join.leftAt - join.timestamp <= window).length;
+    const dayCohort = cohort.filter(join => now - join.timestamp >= DAY_MS);
+    const weekCohort = cohort.filter(join => now - join.timestamp >= WEEK_MS);
+
+    return {
+        days,
+        joins: cohort.length,
+        returning: cohort.filter(join => join.returning).length,
+        stillHere: cohort.filter(join => join.leftAt === null).length,
+        dayCohort: dayCohort.length,
+        leftWithinDay: leftWithin(DAY_MS, dayCohort),
+        weekCohort: weekCohort.length,
+        leftWithinWeek: leftWithin(WEEK_MS, weekCohort),
+        cohort
+    };
+}
+
+function toCsv(rows) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
+
+function growthToCsv(growth) {
+    return toCsv([
+        ['Date', 'Joins', 'Leaves', 'Net'],
+        ...growth.daily.map(day => [day.date, day.joins, day.leaves, day.net])
+    ]);
+}
+
+function retentionToCsv(retention) {
+    return toCsv([
+        ['Joined', 'User ID', 'Tag', 'Account Created', 'Returning', 'Left', 'Hours Stayed'],
+        ...retention.cohort.map(join => [
+            new Date(join.timestamp).toISOString(),
+            join.userId,
+            join.tag,
+            join.accountCreatedAt ? new Date(join.accountCreatedAt).toISOString() : null,
+            join.returning,
+            join.leftAt ? new Date(join.leftAt).toISOString() : null,
+            join.leftAt ? ((join.leftAt - join.timestamp) / (60 * 60 * 1000)).toFixed(1) : null
+        ])
+    ]);
+}
+
+function buildGrowthEmbed(guild, growth) {
+    return new EmbedBuilder()
+        .setColor(growth.net >= 0 ? '#2ecc71' : '#e74c3c')
+        .setTitle(`📈 Member growth for ${guild.name} (last ${growth.days} days)`)
+        .addFields(
+            { name: 'Joined', value: `${growth.joins}${growth.returning ? ` (${growth.returning} returning)` : ''}`, inline: true },
+            { name: 'Left', value: `${growth.leaves}`, inline: true },
+            { name: 'Net', value: `${growth.net >= 0 ? '+' : ''}${growth.net} (${growth.growthRate})`, inline: true },
+            { name: 'Members', value: `${growth.startCount} → ${growth.endCount}`, inline: true },
+            { name: 'Churn rate', value: growth.churnRate, inline: true }
+        )
+        .setTimestamp();
+}
+
+function buildRetentionEmbed(guild, retention) {
+    return new EmbedBuilder()
+        .setColor('#3498db')
+        .setTitle(`🔁 Member retention for ${guild.name} (joined in the last ${retention.days} days)`)
+        .addFields(
+            { name: 'New members', value: `${retention.joins}${retention.returning ? ` (${retention.returning} returning)` : ''}`, inline: true },
+            { name: 'Still here', value: `${retention.stillHere}`, inline: true },
+            { name: 'Left within 24h', value: `${retention.leftWithinDay} of ${retention.dayCohort} (${percent(retention.leftWithinDay, retention.dayCohort)})`, inline: true },
+            { name: 'Left within 7 days', value: `${retention.leftWithinWeek} of ${retention.weekCohort} (${percent(retention.leftWithinWeek, retention.weekCohort)})`, inline: true }
+        )
+        .setFooter({ text: 'Joins younger than the window are left out of each early-leave rate' })
+        .setTimestamp();
+}
+
+async function postWeeklySummary(guild, config) {
+    const channel = guild.channels.cache.get(config.summaryChannelId);
+    if (!channel) {
+        log.warn('Member stats summary channel not found', { guildId: guild.id, channelId: config.summaryChannelId });
+        return;
+    }
+    await channel.send({
+        content: '🗓️ **Weekly member summary**',
+        embeds: [buildGrowthEmbed(guild, computeGrowth(guild, 7)), buildRetentionEmbed(guild, computeRetention(guild.id, 7))]
+    });
+    log.info('Posted weekly member summary', { guildId: guild.id });
+}
+
+// Check hourly for tracked guilds whose weekly summary is due
+function startWeeklySummaries(client) {
+    const check = async () => {
+        for (const guild of client.guilds.cache.values()) {
+            const config = getMemberStatsConfig(guild.id);
+            if (!config.summaryChannelId || !isTrackedServer(guild.id)) continue;
+            if (config.lastSummaryAt && Date.now() - config.lastSummaryAt < WEEK_MS) continue;
+
+            try {
+                // The first summary after enabling waits a full week of data
+                if (config.lastSummaryAt) await postWeeklySummary(guild, config);
+                updateMemberStatsConfig(guild.id, { lastSummaryAt: Date.now() });
+            } catch (error) {
+                log.error('Error posting weekly member summary', { guildId: guild.id, error });
+            }
+        }
+    };
+    const runCheck = () => check().catch(error => log.error('Error checking weekly member summaries', { error }));
+    runCheck();
+    return setInterval(runCheck, SUMMARY_CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+    getMemberStatsConfig,
+    updateMemberStatsConfig,
+    parsePeriod,
+    recordMemberJoin,
+    recordMemberLeave,
+    computeGrowth,
+    computeRetention,
+    growthToCsv,
+    retentionToCsv,
+    buildGrowthEmbed,
+    buildRetentionEmbed,
+    startWeeklySummaries
+};
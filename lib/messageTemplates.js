@@ -0,0 +1,69 @@
+// Placeholder rendering for configurable member messages (welcome, DM, goodbye).
+// Unknown placeholders are left as typed so mistakes show up in `/welcome test`.
+
+const PLACEHOLDERS = {
+    'user': member => `<@${member.id}>`,
+    'user.name': member => member.user?.username ?? 'unknown user',
+    'user.tag': member => member.user?.tag ?? 'unknown user',
+    'user.id': member => member.id,
+    'user.displayName': member => member.displayName ?? member.user?.username ?? 'unknown user',
+    'guild': member => member.guild.name,
+    'guild.id': member => member.guild.id,
+    'memberCount': member => `${member.guild.memberCount}`,
+    'accountAge': member => member.user ? formatDuration(Date.now() - member.user.createdTimestamp) : 'unknown'
+};
+
+const PLACEHOLDER_PATTERN = /\{([\w.]+|channel:[^{}]+)\}/g;
+
+const DURATION_UNITS = [
+    ['year', 365 * 24 * 60 * 60 * 1000],
+    ['month', 30 * 24 * 60 * 60 * 1000],
+    ['day', 24 * 60 * 60 * 1000],
+    ['hour', 60 * 60 * 1000],
+    ['minute', 60 * 1000]
+];
+
+// Largest whole unit only, e.g. "3 months" or "12 days"
+function formatDuration(ms) {
+    for (const [unit, size] of DURATION_UNITS) {
+        const count = Math.floor(ms / size);
+        if (count >= 1) return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+    return 'less than a minute';
+}
+
+// `{channel:rules}` links the first channel named "rules" (case-insensitive, leading # optional),
+// falling back to plain "#rules" text when there is none
+function resolveChannelPlaceholder(guild, name) {
+    const wanted = name.trim().replace(/^#/, '');
+    const channel = guild.channels.cache.find(candidate => candidate.name.toLowerCase() === wanted.toLowerCase());
+    return channel ? `<#${channel.id}>` : `#${wanted}`;
+}
+
+function renderTemplate(template, member) {
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, key) => {
+        if (key.startsWith('channel:')) {
+            return resolveChannelPlaceholder(member.guild, key.slice('channel:'.length));
+        }
+        return PLACEHOLDERS[key] ? PLACEHOLDERS[key](member) : placeholder;
+    });
+}
+
+// Placeholders in a template that renderTemplate would leave untouched
+function findUnknownPlaceholders(template) {
+    return [...template.matchAll(PLACEHOLDER_PATTERN)]
+        .map(match => match[1])
+        .filter(key => !key.startsWith('channel:') && !PLACEHOLDERS[key])
+        .map(key => `{${key}}`);
+}
+
+function listPlaceholders() {
+    return [...Object.keys(PLACEHOLDERS).map(key => `{${key}}`), '{channel:name}'];
+}
+
+module.exports = {
+    formatDuration,
+    renderTemplate,
+    findUnknownPlaceholders,
+    listPlaceholders
+};
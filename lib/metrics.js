@@ -0,0 +1,122 @@
+const { createLogger, onLog } = require('./logger');
+
+// In-process Prometheus metrics, rendered in the text exposition format by /metrics.
+
+const METRIC_PREFIX = 'discord_bot_';
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, index) => `${name}="${values[index].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function createCounter(name, help, labelNames = []) {
+    const values = new Map();
+    const metric = {
+        name: METRIC_PREFIX + name,
+        inc(labels = {}, amount = 1) {
+            const key = labelKey(labelNames, labels);
+            values.set(key, (values.get(key) || 0) + amount);
+        },
+        render() {
+            const lines = [`# HELP ${metric.name} ${help}`, `# TYPE ${metric.name} counter`];
+            for (const [key, value] of values) {
+                lines.push(`${metric.name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+            }
+            return lines.join('\n');
+        }
+    };
+    registry.push(metric);
+    return metric;
+}
+
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    // key -> { counts per bucket, sum, count }
+    const series = new Map();
+    const metric = {
+        name: METRIC_PREFIX + name,
+        observe(labels, value) {
+            const key = labelKey(labelNames, labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        // Time an async function and observe its duration in seconds
+        async time(labels, fn) {
+            const startedAt = process.hrtime.bigint();
+            try {
+                return await fn();
+            } finally {
+                metric.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+            }
+        },
+        render() {
+            const lines = [`# HELP ${metric.name} ${help}`, `# TYPE ${metric.name} histogram`];
+            for (const [key, entry] of series) {
+                const values = JSON.parse(key);
+                buckets.forEach((bound, index) => {
+                    lines.push(`${metric.name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[index]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+                lines.push(`${metric.name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+            }
+            return lines.join('\n');
+        }
+    };
+    registry.push(metric);
+    return metric;
+}
+
+const eventsHandled = createCounter('events_handled_total', 'Gateway events handled, by event name', ['event']);
+const snapshotBuilds = createCounter('snapshot_builds_total', 'Snapshot builds, by kind (full or patch) and result', ['kind', 'result']);
+const snapshotBuildDuration = createHistogram('snapshot_build_duration_seconds', 'Time spent building and saving snapshots', ['kind']);
+const commandInvocations = createCounter('command_invocations_total', 'Command invocations, by command, source (slash or prefix) and result', ['command', 'source', 'result']);
+const commandDuration = createHistogram('command_duration_seconds', 'Time spent running commands', ['command']);
+const errorsTotal = createCounter('errors_total', 'Errors logged, by component', ['component']);
+const automodActions = createCounter('automod_actions_total', 'Messages removed by automod, by filter and action', ['filter', 'action']);
+const restRateLimits = createCounter('rest_rate_limits_total', 'Discord REST rate limits hit, by route', ['route', 'global']);
+
+// Every error that reaches the log is counted, so nothing has to remember to do both
+onLog((level, entry) => {
+    if (level === 'error') errorsTotal.inc({ component: entry.component || 'bot' });
+});
+
+// Count REST rate limits on a client's REST manager
+function trackRateLimits(client) {
+    const log = createLogger({ component: 'rest' });
+    client.rest.on('rateLimited', info => {
+        restRateLimits.inc({ route: info.route, global: info.global });
+        log.warn('REST rate limit hit', { route: info.route, method: info.method, global: info.global, retryAfterMs: info.retryAfter });
+    });
+}
+
+function renderMetrics() {
+    return `${registry.map(metric => metric.render()).join('\n')}\n`;
+}
+
+module.exports = {
+    eventsHandled,
+    snapshotBuilds,
+    snapshotBuildDuration,
+    commandInvocations,
+    commandDuration,
+    errorsTotal,
+    automodActions,
+    trackRateLimits,
+    renderMetrics
+};
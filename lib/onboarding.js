@@ -0,0 +1,243 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const { getGuildSettings, updateGuildSettings } = require('./guildSettings');
+const { sendWelcome } = require('./welcome');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'onboarding' });
+
+// Join gating: new members get the unverified role and a verification prompt,
+// and are given the member roles (and welcomed) once they press Verify.
+// The unverified role itself is the pending state, so a restart loses nothing.
+
+const ONBOARDING_SECTION = 'onboarding';
+
+const DEFAULT_ONBOARDING_CONFIG = {
+    enabled: false,
+    unverifiedRoleId: null,
+    channelId: null,
+    memberRoleIds: [],
+    minAccountAgeDays: 0,
+    challenge: false,
+    timeoutMinutes: 30,
+    timeoutAction: 'kick',
+    alertChannelId: null
+};
+
+const TIMEOUT_ACTIONS = ['kick', 'flag'];
+const COMPONENT_NAMESPACE = 'onboarding';
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Verification prompts and open challenges by `${guildId}:${userId}`. Both are
+// only conveniences: a lost prompt is left in the channel, a lost challenge is re-asked.
+const prompts = new Map();
+const challenges = new Map();
+// Members already reported by the `flag` timeout action
+const flagged = new Set();
+
+function getOnboardingConfig(guildId) {
+    return getGuildSettings(guildId, ONBOARDING_SECTION, DEFAULT_ONBOARDING_CONFIG);
+}
+
+function updateOnboardingConfig(guildId, patch) {
+    return updateGuildSettings(guildId, ONBOARDING_SECTION, patch, DEFAULT_ONBOARDING_CONFIG);
+}
+
+function isOnboardingActive(guildId) {
+    const config = getOnboardingConfig(guildId);
+    return config.enabled && Boolean(config.unverifiedRoleId && config.channelId);
+}
+
+function memberKey(member) {
+    return `${member.guild.id}:${member.id}`;
+}
+
+async function sendAlert(guild, config, content) {
+    const channel = config.alertChannelId ? guild.channels.cache.get(config.alertChannelId) : null;
+    if (!channel) {
+        log.info('Onboarding alert', { guildId: guild.id, alert: content });
+        return;
+    }
+    await channel.send({ content, allowedMentions: { parse: [] } })
+        .catch(error => log.error('Error posting onboarding alert', { guildId: guild.id, error }));
+}
+
+async function deletePrompt(member) {
+    const prompt = prompts.get(memberKey(member));
+    prompts.delete(memberKey(member));
+    if (prompt) await prompt.delete().catch(() => {});
+}
+
+// Hold a new member: add the unverified role and post their verification prompt
+async function startVerification(member) {
+    const config = getOnboardingConfig(member.guild.id);
+    await member.roles.add(config.unverifiedRoleId, 'Awaiting verification');
+
+    const channel = member.guild.channels.cache.get(config.channelId);
+    if (!channel) {
+        log.warn('Verification channel not found', { guildId: member.guild.id, channelId: config.channelId });
+        return;
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor('#f1c40f')
+        .setTitle(`Welcome to ${member.guild.name}!`)
+        .setDescription([
+            'Press **Verify** below to get access to the rest of the server.',
+            config.timeoutMinutes > 0
+                ? `Members who have not verified within ${config.timeoutMinutes} minutes are ${config.timeoutAction === 'kick' ? 'removed' : 'reported to the moderators'}.`
+                : null
+        ].filter(Boolean).join('\n'));
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${COMPONENT_NAMESPACE}:verify:${member.id}`)
+            .setLabel('Verify')
+            .setEmoji('✅')
+            .setStyle(ButtonStyle.Success)
+    );
+
+    const prompt = await channel.send({ content: `${member}`, embeds: [embed], components: [row] });
+    prompts.set(memberKey(member), prompt);
+    log.info('Holding member for verification', { guildId: member.guild.id, userId: member.id });
+}
+
+// Give the member roles, drop the unverified role, then run the normal welcome
+async function completeVerification(member, config) {
+    await member.roles.add(config.memberRoleIds.filter(roleId => member.guild.roles.cache.has(roleId)), 'Verified');
+    await member.roles.remove(config.unverifiedRoleId, 'Verified');
+    challenges.delete(memberKey(member));
+    flagged.delete(memberKey(member));
+    await deletePrompt(member);
+    log.info('Member verified', { guildId: member.guild.id, userId: member.id });
+
+    try {
+        await sendWelcome(member);
+    } catch (error) {
+        log.error('Error welcoming member', { guildId: member.guild.id, userId: member.id, error });
+    }
+}
+
+// A random "a + b" question with four answer buttons, one of them right
+function buildChallenge(member) {
+    const a = 1 + Math.floor(Math.random() * 9);
+    const b = 1 + Math.floor(Math.random() * 9);
+    const answer = a + b;
+    const options = new Set([answer]);
+    while (options.size < 4) {
+        options.add(Math.max(2, answer + Math.floor(Math.random() * 9) - 4));
+    }
+
+    challenges.set(memberKey(member), answer);
+    const row = new ActionRowBuilder().addComponents([...options]
+        .sort(() => Math.random() - 0.5)
+        .map(option => new ButtonBuilder()
+            .setCustomId(`${COMPONENT_NAMESPACE}:answer:${member.id}:${option}`)
+            .setLabel(`${option}`)
+            .setStyle(ButtonStyle.Secondary)));
+    return { content: `🧮 One last step: what is **${a} + ${b}**?`, components: [row], flags: MessageFlags.Ephemeral };
+}
+
+// Buttons on verification prompts and challenges: `onboarding:<verify|answer>:<userId>[:<answer>]`
+async function handleOnboardingComponent(interaction) {
+    const [, action, userId, value] = interaction.customId.split(':');
+    if (!interaction.inGuild() || interaction.user.id !== userId) {
+        await interaction.reply({ content: '❌ This verification prompt is for someone else.', flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const config = getOnboardingConfig(interaction.guildId);
+    const member = interaction.member;
+    if (!config.unverifiedRoleId || !member.roles.cache.has(config.unverifiedRoleId)) {
+        await interaction.reply({ content: '✅ You are already verified.', flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const accountAgeDays = (Date.now() - member.user.createdTimestamp) / DAY_MS;
+    if (accountAgeDays < config.minAccountAgeDays) {
+        await interaction.reply({
+            content: `⛔ Accounts must be at least ${config.minAccountAgeDays} days old to join this server.`,
+            flags: MessageFlags.Ephemeral
+        });
+        await sendAlert(member.guild, config, `⚠️ ${member.user.tag} (${member.id}) tried to verify with a ${Math.floor(accountAgeDays)} day old account.`);
+        return;
+    }
+
+    if (action === 'verify' && config.challenge) {
+        await interaction.reply(buildChallenge(member));
+        return;
+    }
+
+    if (action === 'answer') {
+        const expected = challenges.get(memberKey(member));
+        challenges.delete(memberKey(member));
+        if (expected === undefined || Number(value) !== expected) {
+            await interaction.update({ content: '❌ That was not right. Press **Verify** to try again.', components: [] });
+            return;
+        }
+        await interaction.deferUpdate();
+    } else {
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    }
+
+    await completeVerification(member, config);
+    await interaction.editReply({ content: '✅ You are verified, welcome!', components: [] });
+}
+
+// Kick or report members who are still unverified after the timeout
+async function sweepGuild(guild) {
+    const config = getOnboardingConfig(guild.id);
+    if (!isOnboardingActive(guild.id) || config.timeoutMinutes <= 0) return;
+
+    const role = guild.roles.cache.get(config.unverifiedRoleId);
+    if (!role) return;
+
+    const deadline = Date.now() - config.timeoutMinutes * 60 * 1000;
+    for (const member of role.members.values()) {
+        // Bots that got the role some other way are left alone rather than kicked
+        if (member.user.bot) continue;
+        if (!member.joinedTimestamp || member.joinedTimestamp > deadline || flagged.has(memberKey(member))) continue;
+
+        try {
+            if (config.timeoutAction === 'kick') {
+                await member.kick(`Did not verify within ${config.timeoutMinutes} minutes`);
+                await sendAlert(guild, config, `👢 Kicked ${member.user.tag} (${member.id}) for not verifying within ${config.timeoutMinutes} minutes.`);
+            } else {
+                flagged.add(memberKey(member));
+                await sendAlert(guild, config, `🚩 ${member.user.tag} (${member.id}) has not verified after ${config.timeoutMinutes} minutes.`);
+            }
+            challenges.delete(memberKey(member));
+            await deletePrompt(member);
+        } catch (error) {
+            log.error('Error applying verification timeout', { guildId: member.guild.id, userId: member.id, error });
+        }
+    }
+}
+
+// Load unverified members into the cache once, then sweep every minute
+async function startOnboardingSweeps(client) {
+    for (const guild of client.guilds.cache.values()) {
+        if (!isOnboardingActive(guild.id)) continue;
+        try {
+            await guild.members.fetch();
+        } catch (error) {
+            log.error('Error fetching members for onboarding', { guildId: guild.id, error });
+        }
+    }
+
+    return setInterval(async () => {
+        for (const guild of client.guilds.cache.values()) {
+            await sweepGuild(guild);
+        }
+    }, SWEEP_INTERVAL_MS);
+}
+
+module.exports = {
+    DEFAULT_ONBOARDING_CONFIG,
+    TIMEOUT_ACTIONS,
+    getOnboardingConfig,
+    updateOnboardingConfig,
+    isOnboardingActive,
+    startVerification,
+    handleOnboardingComponent,
+    startOnboardingSweeps
+};
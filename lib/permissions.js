@@ -0,0 +1,200 @@
+const { PermissionsBitField, PermissionFlagsBits, OverwriteType, ChannelType } = require('discord.js');
+
+// Effective permission calculation and risk audit over snapshot data
+// (the shape produced by getComprehensiveGuildInfo), following Discord's order:
+// base = @everyone | roles; then per channel @everyone overwrite, role overwrites
+// (denies then allows, combined), then the member overwrite.
+
+const ALL_PERMISSIONS = PermissionsBitField.All;
+
+// Permissions shown in channel and role reports, in display order
+const KEY_PERMISSIONS = [
+    ['ViewChannel', 'View'],
+    ['SendMessages', 'Send'],
+    ['ManageMessages', 'Manage Msgs'],
+    ['ManageChannels', 'Manage Channel'],
+    ['ManageRoles', 'Manage Perms'],
+    ['MentionEveryone', '@everyone'],
+    ['Connect', 'Connect'],
+    ['Speak', 'Speak']
+];
+
+// Permissions that are dangerous when granted to @everyone
+const DANGEROUS_EVERYONE_PERMISSIONS = [
+    'Administrator',
+    'ManageGuild',
+    'ManageRoles',
+    'ManageChannels',
+    'ManageMessages',
+    'ManageWebhooks',
+    'MentionEveryone',
+    'BanMembers',
+    'KickMembers'
+];
+
+// Without SendMessages these are implicitly denied in a channel
+const SEND_DEPENDENT_PERMISSIONS = PermissionFlagsBits.MentionEveryone | PermissionFlagsBits.SendTTSMessages
+    | PermissionFlagsBits.AttachFiles | PermissionFlagsBits.EmbedLinks;
+
+function toBits(names = []) {
+    return new PermissionsBitField(names).bitfield;
+}
+
+function getEveryoneRole(snapshot) {
+    return snapshot.roles.find(role => role.id === snapshot.basicInfo.id);
+}
+
+function computeBasePermissions(snapshot, roleIds) {
+    const everyone = getEveryoneRole(snapshot);
+    let permissions = everyone ? BigInt(everyone.permissionsBitfield) : 0n;
+    for (const role of snapshot.roles) {
+        if (roleIds.includes(role.id)) {
+            permissions |= BigInt(role.permissionsBitfield);
+        }
+    }
+    return (permissions & PermissionFlagsBits.Administrator) ? ALL_PERMISSIONS : permissions;
+}
+
+// Effective permissions in a channel for someone holding `roleIds` (plus @everyone)
+// and, optionally, a member overwrite for `memberId`
+function computeChannelPermissions(snapshot, channel, { roleIds = [], memberId = null } = {}) {
+    const base = computeBasePermissions(snapshot, roleIds);
+    if (base === ALL_PERMISSIONS) return ALL_PERMISSIONS;
+
+    let permissions = base;
+    const overwrites = channel.permissionOverwrites || [];
+
+    const everyoneOverwrite = overwrites.find(overwrite => overwrite.id === snapshot.basicInfo.id);
+    if (everyoneOverwrite) {
+        permissions &= ~toBits(everyoneOverwrite.deny);
+        permissions |= toBits(everyoneOverwrite.allow);
+    }
+
+    let roleAllow = 0n;
+    let roleDeny = 0n;
+    for (const overwrite of overwrites) {
+        if (overwrite.type === OverwriteType.Role && roleIds.includes(overwrite.id)) {
+            roleAllow |= toBits(overwrite.allow);
+            roleDeny |= toBits(overwrite.deny);
+        }
+    }
+    permissions &= ~roleDeny;
+    permissions |= roleAllow;
+
+    const memberOverwrite = memberId && overwrites.find(overwrite => overwrite.type === OverwriteType.Member && overwrite.id === memberId);
+    if (memberOverwrite) {
+        permissions &= ~toBits(memberOverwrite.deny);
+        permissions |= toBits(memberOverwrite.allow);
+    }
+
+    // Implicit denies: no view means nothing else applies, no send blocks send-dependent permissions
+    if (!(permissions & PermissionFlagsBits.ViewChannel)) return 0n;
+    if (!(permissions & PermissionFlagsBits.SendMessages)) permissions &= ~SEND_DEPENDENT_PERMISSIONS;
+
+    return permissions;
+}
+
+function rolePermissionsIn(snapshot, channel, role) {
+    const roleIds = role.id === snapshot.basicInfo.id ? [] : [role.id];
+    return computeChannelPermissions(snapshot, channel, { roleIds });
+}
+
+function summarizeKeyPermissions(permissions) {
+    return KEY_PERMISSIONS.filter(([flag]) => permissions & PermissionFlagsBits[flag]).map(([, label]) => label);
+}
+
+function sortedRoles(snapshot) {
+    return [...snapshot.roles].sort((a, b) => b.position - a.position);
+}
+
+function auditableChannels(snapshot) {
+    return snapshot.channels.filter(channel => channel.permissionOverwrites);
+}
+
+// Role × channel matrix of key permissions
+function buildPermissionMatrix(snapshot) {
+    const channels = [...auditableChannels(snapshot)].sort((a, b) => a.position - b.position);
+    return {
+        channels,
+        rows: sortedRoles(snapshot).map(role => ({
+            role,
+            cells: channels.map(channel => summarizeKeyPermissions(rolePermissionsIn(snapshot, channel, role)))
+        }))
+    };
+}
+
+function matrixToCsv(matrix) {
+    const escape = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const header = ['Role', ...matrix.channels.map(channel => channel.name)];
+    const rows = matrix.rows.map(row => [row.role.name, ...row.cells.map(cell => cell.join(' / '))]);
+    return [header, ...rows].map(row => row.map(value => escape(String(value))).join(',')).join('\n') + '\n';
+}
+
+// Find risky configurations, most severe first
+function auditPermissions(snapshot) {
+    const findings = [];
+    const everyone = getEveryoneRole(snapshot);
+    const everyoneId = snapshot.basicInfo.id;
+    const hierarchy = sortedRoles(snapshot).filter(role => role.id !== everyoneId);
+
+    hierarchy.forEach((role, index) => {
+        if (!role.permissions.includes('Administrator')) return;
+        if (role.mentionable) {
+            findings.push({ severity: 'high', message: `@${role.name} has Administrator and can be mentioned by anyone` });
+        }
+        // Lower half of the hierarchy, not owned by an integration
+        if (!role.managed && index >= Math.ceil(hierarchy.length / 2)) {
+            findings.push({ severity: 'high', message: `@${role.name} has Administrator but sits low in the role hierarchy (position ${role.position})` });
+        }
+    });
+
+    if (everyone) {
+        for (const permission of DANGEROUS_EVERYONE_PERMISSIONS) {
+            if (everyone.permissions.includes(permission)) {
+                findings.push({ severity: 'high', message: `@everyone has ${permission} server-wide` });
+            }
+        }
+    }
+
+    for (const channel of auditableChannels(snapshot)) {
+        const everyoneOverwrite = channel.permissionOverwrites.find(overwrite => overwrite.id === everyoneId);
+        const granted = (everyoneOverwrite?.allow || []).filter(permission => DANGEROUS_EVERYONE_PERMISSIONS.includes(permission));
+        if (granted.length > 0) {
+            findings.push({ severity: 'medium', message: `@everyone is granted ${granted.join(', ')} in #${channel.name}` });
+        }
+    }
+
+    // Private categories whose children are visible to roles that cannot see the category
+    const channelsById = new Map(snapshot.channels.map(channel => [channel.id, channel]));
+    for (const channel of auditableChannels(snapshot)) {
+        const category = channel.parentId && channelsById.get(channel.parentId);
+        if (!category || category.type !== ChannelType.GuildCategory) continue;
+
+        const everyoneCanSeeCategory = rolePermissionsIn(snapshot, category, everyone) & PermissionFlagsBits.ViewChannel;
+        if (everyoneCanSeeCategory) continue;
+
+        const leakedTo = [everyone, ...hierarchy].filter(role => role
+            && !(rolePermissionsIn(snapshot, category, role) & PermissionFlagsBits.ViewChannel)
+            && (rolePermissionsIn(snapshot, channel, role) & PermissionFlagsBits.ViewChannel));
+        if (leakedTo.length > 0) {
+            findings.push({
+                severity: leakedTo.includes(everyone) ? 'high' : 'medium',
+                message: `#${channel.name} in private category ${category.name} is visible to ${leakedTo.map(role => `@${role.name.replace(/^@/, '')}`).join(', ')}`
+            });
+        }
+    }
+
+    const order = { high: 0, medium: 1 };
+    return findings.sort((a, b) => order[a.severity] - order[b.severity]);
+}
+
+module.exports = {
+    KEY_PERMISSIONS,
+    computeChannelPermissions,
+    rolePermissionsIn,
+    summarizeKeyPermissions,
+    sortedRoles,
+    buildPermissionMatrix,
+    matrixToCsv,
+    auditPermissions
+};
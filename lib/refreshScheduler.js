@@ -0,0 +1,213 @@
+const { getGuildSettings, updateGuildSettings } = require('./guildSettings');
+const { loadTrackedServers, reloadTrackedServers, isTrackedServer } = require('./tracking');
+const { rebuildSnapshot, forgetSnapshot } = require('./snapshotUpdates');
+const { isTransientError } = require('./guildInfo');
+const { ownsGuild, evalOnShards } = require('./sharding');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'scheduler' });
+
+// Scheduled full rebuilds of tracked servers. Each guild has its own interval, due
+// guilds are rebuilt a few at a time and transient REST failures are retried with
+// exponential backoff. Only the interval is kept in guild settings; the outcome of
+// recent attempts is runtime status, held in memory by the process that ran them.
+// When sharded, each shard refreshes the tracked servers it owns.
+
+const REFRESH_SECTION = 'refresh';
+
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+// Runs land up to 10% either side of the interval, so guilds tracked together drift apart
+const JITTER_RATIO = 0.1;
+const RETRY_BASE_MS = 60 * 1000;
+const TICK_INTERVAL_MS = 30 * 1000;
+
+const DEFAULT_REFRESH_CONFIG = {
+    // null uses the refreshIntervalMinutes option
+    intervalMinutes: null
+};
+
+const DEFAULT_REFRESH_OUTCOME = {
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    consecutiveFailures: 0
+};
+
+// guildId -> when its next scheduled refresh is due
+const nextRuns = new Map();
+// Due guilds waiting for a free slot: [{ guildId, reason }]
+const queue = [];
+const running = new Set();
+// guildId -> outcome of its refreshes since this process started
+const outcomes = new Map();
+
+function getRefreshConfig(guildId) {
+    return getGuildSettings(guildId, REFRESH_SECTION, DEFAULT_REFRESH_CONFIG);
+}
+
+function updateRefreshConfig(guildId, patch) {
+    return updateGuildSettings(guildId, REFRESH_SECTION, patch, DEFAULT_REFRESH_CONFIG);
+}
+
+function getOutcome(guildId) {
+    return { ...DEFAULT_REFRESH_OUTCOME, ...outcomes.get(guildId) };
+}
+
+function recordOutcome(guildId, patch) {
+    outcomes.set(guildId, { ...getOutcome(guildId), ...patch });
+}
+
+function getIntervalMinutes(guildId) {
+    return getRefreshConfig(guildId).intervalMinutes || getConfig().refreshIntervalMinutes;
+}
+
+function withJitter(delayMs) {
+    return Math.round(delayMs * (1 + (Math.random() * 2 - 1) * JITTER_RATIO));
+}
+
+// 1, 2, 4, 8... minutes, capped at the guild's normal interval
+function getRetryDelay(guildId, failures) {
+    return Math.min(RETRY_BASE_MS * 2 ** (failures - 1), getIntervalMinutes(guildId) * 60 * 1000);
+}
+
+// Rebuild one guild and record the outcome; never throws
+async function refreshGuild(client, guildId, reason) {
+    running.add(guildId);
+    const startedAt = Date.now();
+    try {
+        const guild = client.guilds.cache.get(guildId);
+        if (!guild) throw new Error('Server not found in the bot\'s cache');
+        const { fileName } = await rebuildSnapshot(guild, reason);
+        if (!fileName) throw new Error('Could not save server info');
+
+        recordOutcome(guildId, { lastSuccessAt: Date.now(), lastError: null, consecutiveFailures: 0 });
+        nextRuns.set(guildId, Date.now() + withJitter(getIntervalMinutes(guildId) * 60 * 1000));
+        log.info('Refreshed server', { guildId, reason, durationMs: Date.now() - startedAt });
+        return { ok: true };
+    } catch (error) {
+        const failures = getOutcome(guildId).consecutiveFailures + 1;
+        const transient = isTransientError(error);
+        const delay = transient ? getRetryDelay(guildId, failures) : getIntervalMinutes(guildId) * 60 * 1000;
+        recordOutcome(guildId, { lastFailureAt: Date.now(), lastError: error.message, consecutiveFailures: failures });
+        nextRuns.set(guildId, Date.now() + withJitter(delay));
+
+        const fields = { guildId, reason, durationMs: Date.now() - startedAt, failures, retryInMs: delay, error };
+        if (transient) {
+            log.warn('Refresh failed, retrying with backoff', fields);
+        } else {
+            log.error('Refresh failed', fields);
+        }
+        return { ok: false, error };
+    } finally {
+        running.delete(guildId);
+    }
+}
+
+// Start queued refreshes while there are free slots
+function pump(client) {
+    while (running.size < getConfig().refreshConcurrency && queue.length > 0) {
+        const { guildId, reason } = queue.shift();
+        // Untracked while it waited
+        if (!isTrackedServer(guildId)) continue;
+        refreshGuild(client, guildId, reason).finally(() => pump(client));
+    }
+}
+
+function isPending(guildId) {
+    return running.has(guildId) || queue.some(entry => entry.guildId === guildId);
+}
+
+// Tracked servers this process refreshes
+function getOwnedTrackedServers(client, trackedServers = loadTrackedServers()) {
+    return trackedServers.filter(guildId => ownsGuild(client, guildId));
+}
+
+function queueDueGuilds(client, reason) {
+    let trackedServers;
+    try {
+        // Another shard may have tracked or untracked a server since the last check
+        trackedServers = getOwnedTrackedServers(client, reloadTrackedServers());
+    } catch (error) {
+        log.error('Could not load tracked servers', { error });
+        return;
+    }
+    const now = Date.now();
+
+    for (const guildId of nextRuns.keys()) {
+        if (trackedServers.includes(guildId)) continue;
+        nextRuns.delete(guildId);
+        outcomes.delete(guildId);
+        forgetSnapshot(guildId);
+    }
+    for (const guildId of trackedServers) {
+        // Newly tracked servers were just built by /track
+        if (!nextRuns.has(guildId)) nextRuns.set(guildId, now + withJitter(getIntervalMinutes(guildId) * 60 * 1000));
+        if (nextRuns.get(guildId) > now || isPending(guildId)) continue;
+        queue.push({ guildId, reason });
+    }
+    pump(client);
+}
+
+// Refresh every tracked server now, then keep checking for due ones
+function startRefreshScheduler(client) {
+    const trackedServers = getOwnedTrackedServers(client);
+    for (const guildId of trackedServers) nextRuns.set(guildId, Date.now());
+    if (trackedServers.length > 0) {
+        log.info('Refreshing tracked servers', { count: trackedServers.length, concurrency: getConfig().refreshConcurrency });
+    }
+    queueDueGuilds(client, 'Bot startup');
+
+    return setInterval(() => queueDueGuilds(client, 'Scheduled refresh'), TICK_INTERVAL_MS);
+}
+
+// Rebuild one server immediately, ahead of the queue; null when it is already being refreshed
+async function refreshNow(client, guildId, reason) {
+    if (running.has(guildId)) return null;
+    const index = queue.findIndex(entry => entry.guildId === guildId);
+    if (index !== -1) queue.splice(index, 1);
+    return refreshGuild(client, guildId, reason);
+}
+
+// Set a server's interval in minutes (null for the default) and reschedule it
+function setRefreshInterval(guildId, minutes) {
+    updateRefreshConfig(guildId, { intervalMinutes: minutes });
+    nextRuns.set(guildId, Date.now() + withJitter(getIntervalMinutes(guildId) * 60 * 1000));
+}
+
+function getRefreshStatus(guildId) {
+    return {
+        ...getOutcome(guildId),
+        intervalMinutes: getIntervalMinutes(guildId),
+        customInterval: getRefreshConfig(guildId).intervalMinutes !== null,
+        nextRunAt: nextRuns.get(guildId) ?? null,
+        running: running.has(guildId)
+    };
+}
+
+// Tracked servers owned by this process with their refresh status (called on every shard)
+function getLocalTrackedServers(client) {
+    return getOwnedTrackedServers(client, reloadTrackedServers()).map(guildId => ({
+        guildId,
+        name: client.guilds.cache.get(guildId)?.name ?? null,
+        status: getRefreshStatus(guildId)
+    }));
+}
+
+// Every tracked server across all shards, in the order each shard reports them
+async function listTrackedServers(client) {
+    const results = await evalOnShards(client, __filename, 'getLocalTrackedServers');
+    return results.flat();
+}
+
+module.exports = {
+    MIN_INTERVAL_MINUTES,
+    MAX_INTERVAL_MINUTES,
+    startRefreshScheduler,
+    refreshNow,
+    setRefreshInterval,
+    getRefreshStatus,
+    getLocalTrackedServers,
+    listTrackedServers
+};
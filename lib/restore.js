@@ -0,0 +1,324 @@
+const { ChannelType, OverwriteType, PermissionsBitField } = require('discord.js');
+
+// Rebuild a guild's roles, categories, channels and permission overwrites from a
+// snapshot. Entities are matched by name (channels by name, type and category), so
+// a snapshot from a template server can be applied to a different guild.
+
+const RESTORABLE_CHANNEL_TYPES = [
+    ChannelType.GuildText,
+    ChannelType.GuildVoice,
+    ChannelType.GuildAnnouncement,
+    ChannelType.GuildStageVoice,
+    ChannelType.GuildForum,
+    ChannelType.GuildMedia
+];
+
+function channelKey(name, type, parentName) {
+    return `${type}:${parentName || ''}:${name}`;
+}
+
+function targetChannelKey(channel) {
+    return channelKey(channel.name, channel.type, channel.parent?.name);
+}
+
+// Overwrites reference roles by ID; store the role name instead so they can be
+// remapped onto whichever role carries that name in the target guild
+function describeOverwrites(snapshot, overwrites = []) {
+    const roleNames = new Map(snapshot.roles.map(role => [role.id, role.name]));
+    const everyoneId = snapshot.basicInfo.id;
+
+    return overwrites.map(overwrite => {
+        if (overwrite.type === OverwriteType.Member) {
+            return { memberId: overwrite.id, allow: overwrite.allow, deny: overwrite.deny };
+        }
+        if (overwrite.id === everyoneId) {
+            return { everyone: true, allow: overwrite.allow, deny: overwrite.deny };
+        }
+        return { roleName: roleNames.get(overwrite.id) || null, allow: overwrite.allow, deny: overwrite.deny };
+    }).filter(overwrite => overwrite.memberId || overwrite.everyone || overwrite.roleName);
+}
+
+// Resolve described overwrites against the target guild, dropping unknown targets
+function resolveOverwrites(guild, overwrites) {
+    return overwrites.map(overwrite => {
+        let id = null;
+        let type = OverwriteType.Role;
+        if (overwrite.everyone) {
+            id = guild.id;
+        } else if (overwrite.roleName) {
+            id = guild.roles.cache.find(role => role.name === overwrite.roleName)?.id;
+        } else if (guild.members.cache.has(overwrite.memberId)) {
+            id = overwrite.memberId;
+            type = OverwriteType.Member;
+        }
+        return id ? { id, type, allow: overwrite.allow, deny: overwrite.deny } : null;
+    }).filter(Boolean);
+}
+
+function overwritesMatch(channel, resolved) {
+    const current = channel.permissionOverwrites.cache;
+    if (current.size !== resolved.length) return false;
+    return resolved.every(overwrite => {
+        const existing = current.get(overwrite.id);
+        return existing
+            && existing.allow.bitfield === new PermissionsBitField(overwrite.allow).bitfield
+            && existing.deny.bitfield === new PermissionsBitField(overwrite.deny).bitfield;
+    });
+}
+
+function roleChanges(existing, role) {
+    const changes = [];
+    if (existing.color !== role.color) changes.push('colour');
+    if (existing.hoist !== role.hoist) changes.push('hoist');
+    if (existing.mentionable !== role.mentionable) changes.push('mentionable');
+    if (existing.permissions.bitfield.toString() !== role.permissionsBitfield) changes.push('permissions');
+    return changes;
+}
+
+// Discord only lets the bot edit or move roles below its own highest role, and
+// integration roles not at all
+function canManageRole(guild, role) {
+    const highest = guild.members.me?.roles.highest;
+    return !role.managed && Boolean(highest) && role.position < highest.position;
+}
+
+// Whether the roles that already exist here (by name) are stacked as in the snapshot;
+// snapshotRoles is sorted lowest first
+function rolesInSnapshotOrder(guild, snapshotRoles) {
+    const roles = snapshotRoles
+        .filter(role => !role.managed)
+        .map(role => guild.roles.cache.find(candidate => candidate.name === role.name))
+        .filter(role => role && canManageRole(guild, role));
+    return roles.every((role, index) => index === 0 || roles[index - 1].position < role.position);
+}
+
+// Work out what applying a snapshot to a guild would change, without changing anything
+function buildRestorePlan(guild, snapshot) {
+    const plan = {
+        roles: { create: [], update: [], order: null, everyonePermissions: null },
+        categories: { create: [] },
+        channels: { create: [], overwrites: [], reorder: [] },
+        skipped: []
+    };
+
+    // Roles. Discord adds new roles at the bottom of the list whatever order they are
+    // created in, so the snapshot hierarchy is restored with one reorder afterwards
+    const everyoneRole = snapshot.roles.find(role => role.id === snapshot.basicInfo.id);
+    const restorableRoles = [...snapshot.roles]
+        .filter(role => role !== everyoneRole)
+        .sort((a, b) => a.position - b.position);
+    for (const role of restorableRoles) {
+        if (role.managed) {
+            plan.skipped.push(`Role @${role.name} is managed by an integration`);
+            continue;
+        }
+        const existing = guild.roles.cache.find(candidate => candidate.name === role.name);
+        if (!existing) {
+            plan.roles.create.push({
+                name: role.name,
+                color: role.color,
+                hoist: role.hoist,
+                mentionable: role.mentionable,
+                permissions: role.permissionsBitfield
+            });
+            continue;
+        }
+        if (existing.managed) {
+            plan.skipped.push(`Role @${role.name} exists here but is managed by an integration`);
+            continue;
+        }
+        if (!canManageRole(guild, existing)) {
+            plan.skipped.push(`Role @${role.name} is not below the bot's highest role, so it is neither updated nor moved`);
+            continue;
+        }
+
+        const changes = roleChanges(existing, role);
+        if (changes.length > 0) {
+            plan.roles.update.push({
+                id: existing.id,
+                name: existing.name,
+                changes,
+                color: role.color,
+                hoist: role.hoist,
+                mentionable: role.mentionable,
+                permissions: role.permissionsBitfield
+            });
+        }
+    }
+    if (everyoneRole && guild.roles.everyone.permissions.bitfield.toString() !== everyoneRole.permissionsBitfield) {
+        plan.roles.everyonePermissions = everyoneRole.permissionsBitfield;
+    }
+    if (plan.roles.create.length > 0 || !rolesInSnapshotOrder(guild, restorableRoles)) {
+        // Roles the bot cannot manage were skipped above and keep their place
+        const planned = new Set([...plan.roles.create, ...plan.roles.update].map(role => role.name));
+        plan.roles.order = restorableRoles
+            .filter(role => !role.managed)
+            .map(role => role.name)
+            .filter(name => planned.has(name) || canManageRole(guild, guild.roles.cache.find(candidate => candidate.name === name)));
+    }
+
+    // Categories
+    const snapshotCategories = snapshot.channels.filter(channel => channel.type === ChannelType.GuildCategory);
+    for (const category of snapshotCategories) {
+        const overwrites = describeOverwrites(snapshot, category.permissionOverwrites);
+        const existing = guild.channels.cache.find(channel => channel.type === ChannelType.GuildCategory && channel.name === category.name);
+        if (!existing) {
+            plan.categories.create.push({ name: category.name, position: category.position, overwrites });
+        } else if (!overwritesMatch(existing, resolveOverwrites(guild, overwrites))) {
+            plan.channels.overwrites.push({ id: existing.id, name: existing.name, overwrites });
+        }
+    }
+
+    // Channels
+    const targetChannels = new Map(guild.channels.cache.map(channel => [targetChannelKey(channel), channel]));
+    for (const channel of snapshot.channels) {
+        if (channel.type === ChannelType.GuildCategory) continue;
+        if (!RESTORABLE_CHANNEL_TYPES.includes(channel.type)) {
+            plan.skipped.push(`#${channel.name} has an unsupported channel type (${channel.type})`);
+            continue;
+        }
+
+        const overwrites = describeOverwrites(snapshot, channel.permissionOverwrites);
+        const existing = targetChannels.get(channelKey(channel.name, channel.type, channel.parent));
+        if (!existing) {
+            plan.channels.create.push({
+                name: channel.name,
+                type: channel.type,
+                parentName: channel.parent || null,
+                position: channel.position,
+                topic: channel.topic,
+                nsfw: channel.nsfw,
+                bitrate: channel.bitrate,
+                userLimit: channel.userLimit,
+                rateLimitPerUser: channel.rateLimitPerUser,
+                overwrites
+            });
+            continue;
+        }
+
+        if (!overwritesMatch(existing, resolveOverwrites(guild, overwrites))) {
+            plan.channels.overwrites.push({ id: existing.id, name: existing.name, overwrites });
+        }
+        if (existing.position !== channel.position) {
+            plan.channels.reorder.push({ id: existing.id, name: existing.name, from: existing.position, to: channel.position });
+        }
+    }
+
+    return plan;
+}
+
+function countPlanChanges(plan) {
+    return plan.roles.create.length + plan.roles.update.length
+        + (plan.roles.order ? 1 : 0) + (plan.roles.everyonePermissions ? 1 : 0)
+        + plan.categories.create.length + plan.channels.create.length
+        + plan.channels.overwrites.length + plan.channels.reorder.length;
+}
+
+// Arrange the named roles (lowest first) among the positions they hold right now. Only
+// those roles move, so roles outside the snapshot and roles the bot cannot manage keep
+// their place, and nothing is moved to or above the bot's highest role
+function buildRolePositions(guild, order) {
+    const roles = [];
+    for (const name of order) {
+        const role = guild.roles.cache.find(candidate => candidate.name === name && canManageRole(guild, candidate));
+        if (role && !roles.includes(role)) roles.push(role);
+    }
+    const positions = roles.map(role => role.position).sort((a, b) => a - b);
+    return roles.map((role, index) => ({ role: role.id, position: positions[index] }));
+}
+
+// Apply a plan step by step; failures are collected rather than aborting the restore
+async function applyRestorePlan(guild, plan, reason) {
+    const result = { applied: 0, errors: [] };
+    const attempt = async (label, action) => {
+        try {
+            await action();
+            result.applied++;
+        } catch (error) {
+            result.errors.push(`${label}: ${error.message}`);
+        }
+    };
+
+    for (const role of plan.roles.create) {
+        await attempt(`Create role @${role.name}`, () => guild.roles.create({
+            name: role.name,
+            color: role.color,
+            hoist: role.hoist,
+            mentionable: role.mentionable,
+            permissions: BigInt(role.permissions),
+            reason
+        }));
+    }
+    for (const role of plan.roles.update) {
+        const target = guild.roles.cache.get(role.id);
+        if (!target) continue;
+        await attempt(`Update role @${role.name} (${role.changes.join(', ')})`, () => target.edit({
+            color: role.color,
+            hoist: role.hoist,
+            mentionable: role.mentionable,
+            permissions: BigInt(role.permissions),
+            reason
+        }));
+    }
+    if (plan.roles.order) {
+        await attempt('Reorder roles', async () => {
+            // Creating roles shifts the others, so start from their current positions
+            await guild.roles.fetch();
+            await guild.roles.setPositions(buildRolePositions(guild, plan.roles.order));
+        });
+    }
+    if (plan.roles.everyonePermissions) {
+        await attempt('Update @everyone permissions', () => guild.roles.everyone.setPermissions(BigInt(plan.roles.everyonePermissions), reason));
+    }
+
+    for (const category of plan.categories.create) {
+        await attempt(`Create category ${category.name}`, () => guild.channels.create({
+            name: category.name,
+            type: ChannelType.GuildCategory,
+            position: category.position,
+            permissionOverwrites: resolveOverwrites(guild, category.overwrites),
+            reason
+        }));
+    }
+
+    for (const channel of plan.channels.create) {
+        const parent = channel.parentName
+            ? guild.channels.cache.find(existing => existing.type === ChannelType.GuildCategory && existing.name === channel.parentName)
+            : null;
+        const isVoice = [ChannelType.GuildVoice, ChannelType.GuildStageVoice].includes(channel.type);
+
+        await attempt(`Create channel #${channel.name}`, () => guild.channels.create({
+            name: channel.name,
+            type: channel.type,
+            parent: parent?.id,
+            position: channel.position,
+            topic: isVoice ? undefined : channel.topic ?? undefined,
+            nsfw: channel.nsfw ?? undefined,
+            bitrate: isVoice ? channel.bitrate ?? undefined : undefined,
+            userLimit: isVoice ? channel.userLimit ?? undefined : undefined,
+            rateLimitPerUser: channel.rateLimitPerUser ?? undefined,
+            permissionOverwrites: resolveOverwrites(guild, channel.overwrites),
+            reason
+        }));
+    }
+
+    for (const channel of plan.channels.overwrites) {
+        const target = guild.channels.cache.get(channel.id);
+        if (!target) continue;
+        await attempt(`Update overwrites on #${channel.name}`, () => target.permissionOverwrites.set(resolveOverwrites(guild, channel.overwrites), reason));
+    }
+
+    if (plan.channels.reorder.length > 0) {
+        await attempt(`Reorder ${plan.channels.reorder.length} channel(s)`, () => guild.channels.setPositions(
+            plan.channels.reorder.map(channel => ({ channel: channel.id, position: channel.to }))
+        ));
+    }
+
+    return result;
+}
+
+module.exports = {
+    buildRestorePlan,
+    countPlanChanges,
+    applyRestorePlan
+};
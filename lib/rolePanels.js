@@ -0,0 +1,216 @@
+const {
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    StringSelectMenuBuilder,
+    MessageFlags
+} = require('discord.js');
+const { getGuildSettings, updateGuildSettings } = require('./guildSettings');
+
+// Self-assignable role panels: a message with one button per role or a select menu.
+// Panel definitions live in guild settings and every component carries the panel ID,
+// so panels keep working after a restart.
+// Panel: { id, title, description, style, exclusive, channelId, messageId, roles: [{ roleId, label, emoji, requiredRoleId }] }
+
+const ROLE_PANELS_SECTION = 'rolePanels';
+
+const DEFAULT_ROLE_PANELS_CONFIG = {
+    panels: {}
+};
+
+const PANEL_STYLES = ['buttons', 'select'];
+// 5 rows of 5 buttons, or the 25 options of one select menu
+const MAX_PANEL_ROLES = 25;
+const COMPONENT_NAMESPACE = 'roles';
+
+function getRolePanels(guildId) {
+    return getGuildSettings(guildId, ROLE_PANELS_SECTION, DEFAULT_ROLE_PANELS_CONFIG).panels;
+}
+
+function getRolePanel(guildId, panelId) {
+    return getRolePanels(guildId)[panelId] || null;
+}
+
+// Create or replace a panel definition
+function saveRolePanel(guildId, panel) {
+    const panels = { ...getRolePanels(guildId), [panel.id]: panel };
+    updateGuildSettings(guildId, ROLE_PANELS_SECTION, { panels }, DEFAULT_ROLE_PANELS_CONFIG);
+    return panel;
+}
+
+function deleteRolePanel(guildId, panelId) {
+    const { [panelId]: removed, ...panels } = getRolePanels(guildId);
+    updateGuildSettings(guildId, ROLE_PANELS_SECTION, { panels }, DEFAULT_ROLE_PANELS_CONFIG);
+    return removed || null;
+}
+
+// "Colour Roles!" -> "colour-roles"
+function toPanelId(name) {
+    return name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+}
+
+// Why the bot cannot hand out a role, or null when it can. Also used by /onboarding
+function describeRoleProblem(role) {
+    if (role.id === role.guild.id) return '@everyone cannot be handed out.';
+    if (role.managed) return `**${role.name}** is managed by an integration.`;
+    if (!role.editable) return `**${role.name}** is above the bot's highest role (or the bot lacks **Manage Roles**).`;
+    return null;
+}
+
+function buildPanelMessage(guild, panel) {
+    const lines = panel.roles.map(entry => {
+        const requirement = entry.requiredRoleId ? ` (requires <@&${entry.requiredRoleId}>)` : '';
+        return `${entry.emoji ? `${entry.emoji} ` : ''}<@&${entry.roleId}>${requirement}`;
+    });
+    const embed = new EmbedBuilder()
+        .setColor('#5865f2')
+        .setTitle(panel.title)
+        .setDescription([
+            panel.description,
+            panel.exclusive ? '_Pick one; choosing another replaces it._' : '_Pick a role again to remove it._',
+            lines.join('\n') || '_No roles yet._'
+        ].filter(Boolean).join('\n\n'));
+
+    const entries = panel.roles.filter(entry => guild.roles.cache.has(entry.roleId));
+    if (entries.length === 0) return { embeds: [embed], components: [] };
+
+    const label = entry => (entry.label || guild.roles.cache.get(entry.roleId).name).slice(0, 80);
+    if (panel.style === 'select') {
+        const menu = new StringSelectMenuBuilder()
+            .setCustomId(`${COMPONENT_NAMESPACE}:select:${panel.id}`)
+            .setPlaceholder(panel.exclusive ? 'Choose a role' : 'Choose roles to add or remove')
+            .setMinValues(1)
+            .setMaxValues(panel.exclusive ? 1 : entries.length)
+            .addOptions(entries.map(entry => ({
+                label: label(entry),
+                value: entry.roleId,
+                ...(entry.emoji ? { emoji: entry.emoji } : {}),
+                ...(entry.requiredRoleId ? { description: `Requires ${guild.roles.cache.get(entry.requiredRoleId)?.name ?? 'a removed role'}`.slice(0, 100) } : {})
+            })));
+        return { embeds: [embed], components: [new ActionRowBuilder().addComponents(menu)] };
+    }
+
+    const rows = [];
+    for (let i = 0; i < entries.length; i += 5) {
+        rows.push(new ActionRowBuilder().addComponents(entries.slice(i, i + 5).map(entry => {
+            const button = new ButtonBuilder()
+                .setCustomId(`${COMPONENT_NAMESPACE}:toggle:${panel.id}:${entry.roleId}`)
+                .setLabel(label(entry))
+                .setStyle(ButtonStyle.Secondary);
+            if (entry.emoji) button.setEmoji(entry.emoji);
+            return button;
+        })));
+    }
+    return { embeds: [embed], components: rows };
+}
+
+// Post the panel, or edit its existing message when it is already in the target channel
+async function publishRolePanel(guild, panel, channel) {
+    const payload = { ...buildPanelMessage(guild, panel), allowedMentions: { parse: [] } };
+    const oldChannel = panel.channelId ? guild.channels.cache.get(panel.channelId) : null;
+    const oldMessage = oldChannel && panel.messageId
+        ? await oldChannel.messages.fetch(panel.messageId).catch(() => null)
+        : null;
+
+    if (oldMessage && oldChannel.id === channel.id) {
+        await oldMessage.edit(payload);
+        return panel;
+    }
+
+    const message = await channel.send(payload);
+    if (oldMessage) await oldMessage.delete().catch(() => {});
+    return saveRolePanel(guild.id, { ...panel, channelId: channel.id, messageId: message.id });
+}
+
+// Bring an already published panel in line with its definition
+async function refreshRolePanel(guild, panel) {
+    const channel = panel.channelId ? guild.channels.cache.get(panel.channelId) : null;
+    if (!channel || !panel.messageId) return false;
+    const message = await channel.messages.fetch(panel.messageId).catch(() => null);
+    if (!message) return false;
+    await message.edit({ ...buildPanelMessage(guild, panel), allowedMentions: { parse: [] } });
+    return true;
+}
+
+// Work out which of the requested panel roles a member may have, returning the
+// roles to add and remove plus a line for each one that was refused
+function planRoleChanges(member, panel, wantedRoleIds) {
+    const add = [];
+    const remove = [];
+    const refused = [];
+
+    for (const entry of panel.roles) {
+        const role = member.guild.roles.cache.get(entry.roleId);
+        if (!role) continue;
+        const wanted = wantedRoleIds.includes(entry.roleId);
+        const has = member.roles.cache.has(entry.roleId);
+        if (wanted === has) continue;
+
+        const problem = describeRoleProblem(role);
+        if (problem) {
+            refused.push(`❌ ${problem}`);
+        } else if (wanted && entry.requiredRoleId && !member.roles.cache.has(entry.requiredRoleId)) {
+            refused.push(`⛔ **${role.name}** requires <@&${entry.requiredRoleId}>.`);
+        } else {
+            (wanted ? add : remove).push(role);
+        }
+    }
+    // On exclusive panels a refused pick must not cost the member their current role
+    if (panel.exclusive && refused.length > 0) remove.length = 0;
+    return { add, remove, refused };
+}
+
+function describeRoleChanges({ add, remove, refused }) {
+    const lines = [
+        ...add.map(role => `✅ Added ${role}`),
+        ...remove.map(role => `➖ Removed ${role}`),
+        ...refused
+    ];
+    return lines.length > 0 ? lines.join('\n') : 'No changes.';
+}
+
+// Buttons and select menus on role panels: `roles:toggle:<panelId>:<roleId>` and `roles:select:<panelId>`
+async function handleRolePanelComponent(interaction) {
+    const [, action, panelId, roleId] = interaction.customId.split(':');
+    const panel = interaction.inGuild() ? getRolePanel(interaction.guildId, panelId) : null;
+    if (!panel) {
+        await interaction.reply({ content: '❌ This role panel no longer exists.', flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    // The panel message is shared, so it cannot show each member's roles: picking a
+    // role toggles it, and on exclusive panels picking a new role replaces the old one
+    const member = interaction.member;
+    const panelRoleIds = panel.roles.map(entry => entry.roleId);
+    const picked = (action === 'select' ? interaction.values : [roleId]).filter(id => panelRoleIds.includes(id));
+    if (picked.length === 0) {
+        await interaction.reply({ content: '❌ That role is no longer on this panel.', flags: MessageFlags.Ephemeral });
+        return;
+    }
+    const current = panelRoleIds.filter(id => member.roles.cache.has(id));
+    const wanted = panel.exclusive
+        ? picked.filter(id => !current.includes(id)).slice(0, 1)
+        : [...current.filter(id => !picked.includes(id)), ...picked.filter(id => !current.includes(id))];
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const changes = planRoleChanges(member, panel, wanted);
+    // Remove first so an exclusive panel never leaves the member with two of its roles
+    if (changes.remove.length > 0) await member.roles.remove(changes.remove, `Role panel ${panel.id}`);
+    if (changes.add.length > 0) await member.roles.add(changes.add, `Role panel ${panel.id}`);
+    await interaction.editReply({ content: describeRoleChanges(changes), allowedMentions: { parse: [] } });
+}
+
+module.exports = {
+    PANEL_STYLES,
+    MAX_PANEL_ROLES,
+    getRolePanels,
+    getRolePanel,
+    saveRolePanel,
+    deleteRolePanel,
+    toPanelId,
+    describeRoleProblem,
+    publishRolePanel,
+    refreshRolePanel,
+    handleRolePanelComponent
+};
@@ -0,0 +1,33 @@
+const { ShardClientUtil } = require('discord.js');
+
+// Helpers for running under the sharded launcher (shard.js). Without a
+// ShardingManager `client.shard` is null and this process owns every guild.
+
+// Whether `guildId` is handled by one of this process's shards
+function ownsGuild(client, guildId) {
+    if (!client.shard) return true;
+    return client.shard.ids.includes(ShardClientUtil.shardIdForGuildId(guildId, client.shard.count));
+}
+
+// Shard 0 does the once-per-bot work, such as registering slash commands
+function isPrimaryShard(client) {
+    return !client.shard || client.shard.ids.includes(0);
+}
+
+// Call `require(modulePath)[functionName](client, context)` on every shard and
+// collect the results, one per shard. Results must be JSON-serialisable.
+async function evalOnShards(client, modulePath, functionName, context = null) {
+    if (!client.shard) {
+        return [await require(modulePath)[functionName](client, context)];
+    }
+    return client.shard.broadcastEval(
+        (shardClient, { modulePath, functionName, context }) => require(modulePath)[functionName](shardClient, context),
+        { context: { modulePath, functionName, context } }
+    );
+}
+
+module.exports = {
+    ownsGuild,
+    isPrimaryShard,
+    evalOnShards
+};
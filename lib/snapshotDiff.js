@@ -0,0 +1,169 @@
+// Structured differences between two snapshots produced by getComprehensiveGuildInfo
+
+function indexById(items = []) {
+    return new Map(items.map(item => [item.id, item]));
+}
+
+function arrayChanges(before = [], after = []) {
+    return {
+        added: after.filter(value => !before.includes(value)),
+        removed: before.filter(value => !after.includes(value))
+    };
+}
+
+// Added / removed / renamed entries of one snapshot section, matched by ID
+function diffCollection(before, after) {
+    const beforeById = indexById(before);
+    const afterById = indexById(after);
+    const result = { added: [], removed: [], renamed: [] };
+
+    for (const [id, item] of afterById) {
+        const previous = beforeById.get(id);
+        if (!previous) {
+            result.added.push({ id, name: item.name });
+        } else if (previous.name !== item.name) {
+            result.renamed.push({ id, from: previous.name, to: item.name });
+        }
+    }
+    for (const [id, item] of beforeById) {
+        if (!afterById.has(id)) {
+            result.removed.push({ id, name: item.name });
+        }
+    }
+
+    return result;
+}
+
+// Permission overwrite changes on channels present in both snapshots
+function diffOverwrites(beforeChannels, afterChannels) {
+    const beforeById = indexById(beforeChannels);
+    const changes = [];
+
+    for (const channel of afterChannels || []) {
+        const previous = beforeById.get(channel.id);
+        if (!previous) continue;
+
+        const beforeOverwrites = indexById(previous.permissionOverwrites);
+        const afterOverwrites = indexById(channel.permissionOverwrites);
+        const targetIds = new Set([...beforeOverwrites.keys(), ...afterOverwrites.keys()]);
+
+        for (const targetId of targetIds) {
+            const oldOverwrite = beforeOverwrites.get(targetId);
+            const newOverwrite = afterOverwrites.get(targetId);
+            const allow = arrayChanges(oldOverwrite?.allow, newOverwrite?.allow);
+            const deny = arrayChanges(oldOverwrite?.deny, newOverwrite?.deny);
+
+            const changed = !oldOverwrite || !newOverwrite
+                || allow.added.length || allow.removed.length || deny.added.length || deny.removed.length;
+            if (!changed) continue;
+
+            changes.push({
+                channelId: channel.id,
+                channelName: channel.name,
+                targetId,
+                targetType: (newOverwrite || oldOverwrite).type,
+                status: !oldOverwrite ? 'added' : !newOverwrite ? 'removed' : 'changed',
+                allow,
+                deny
+            });
+        }
+    }
+
+    return changes;
+}
+
+// Role permission changes on roles present in both snapshots
+function diffRolePermissions(beforeRoles, afterRoles) {
+    const beforeById = indexById(beforeRoles);
+    const changes = [];
+
+    for (const role of afterRoles || []) {
+        const previous = beforeById.get(role.id);
+        if (!previous) continue;
+        const permissions = arrayChanges(previous.permissions, role.permissions);
+        if (permissions.added.length || permissions.removed.length) {
+            changes.push({ roleId: role.id, roleName: role.name, ...permissions });
+        }
+    }
+
+    return changes;
+}
+
+function diffSnapshots(before, after) {
+    return {
+        channels: diffCollection(before.channels, after.channels),
+        roles: diffCollection(before.roles, after.roles),
+        emojis: diffCollection(before.emojis, after.emojis),
+        permissionOverwrites: diffOverwrites(before.channels, after.channels),
+        rolePermissions: diffRolePermissions(before.roles, after.roles)
+    };
+}
+
+function countChanges(diff) {
+    const collectionCount = section => section.added.length + section.removed.length + section.renamed.length;
+    return collectionCount(diff.channels) + collectionCount(diff.roles) + collectionCount(diff.emojis)
+        + diff.permissionOverwrites.length + diff.rolePermissions.length;
+}
+
+// Name an overwrite target using whichever snapshot still knows the role
+function describeTarget(change, roleNames) {
+    if (change.targetType === 1) return `member ${change.targetId}`;
+    return `@${roleNames.get(change.targetId) || change.targetId}`;
+}
+
+function formatPermissionList(changes) {
+    const parts = [];
+    if (changes.added.length) parts.push(`+${changes.added.join(', +')}`);
+    if (changes.removed.length) parts.push(`-${changes.removed.join(', -')}`);
+    return parts.join(' ');
+}
+
+// Human-readable lines per section, shared by the embed and markdown renderers
+function describeDiff(diff, before, after) {
+    const roleNames = new Map([...(before.roles || []), ...(after.roles || [])].map(role => [role.id, role.name]));
+    const collectionLines = section => [
+        ...section.added.map(item => `+ ${item.name}`),
+        ...section.removed.map(item => `- ${item.name}`),
+        ...section.renamed.map(item => `~ ${item.from} → ${item.to}`)
+    ];
+
+    return {
+        Channels: collectionLines(diff.channels),
+        Roles: [
+            ...collectionLines(diff.roles),
+            ...diff.rolePermissions.map(change => `~ @${change.roleName}: ${formatPermissionList(change)}`)
+        ],
+        Emojis: collectionLines(diff.emojis),
+        'Permission Overwrites': diff.permissionOverwrites.map(change => {
+            const target = describeTarget(change, roleNames);
+            if (change.status === 'added') return `+ #${change.channelName} ${target}`;
+            if (change.status === 'removed') return `- #${change.channelName} ${target}`;
+            const allow = formatPermissionList(change.allow);
+            const deny = formatPermissionList(change.deny);
+            return `~ #${change.channelName} ${target}: ${[allow && `allow ${allow}`, deny && `deny ${deny}`].filter(Boolean).join('; ')}`;
+        })
+    };
+}
+
+function formatDiffMarkdown(diff, before, after, fromId, toId) {
+    const sections = describeDiff(diff, before, after);
+    const lines = [`# Server diff: ${after.basicInfo?.name || ''}`, '', `From \`${fromId}\` to \`${toId}\``, ''];
+
+    for (const [title, entries] of Object.entries(sections)) {
+        lines.push(`## ${title}`, '');
+        if (entries.length === 0) {
+            lines.push('_No changes_', '');
+            continue;
+        }
+        lines.push('```diff', ...entries, '```', '');
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    diffSnapshots,
+    countChanges,
+    describeDiff,
+    formatDiffMarkdown
+};
@@ -0,0 +1,206 @@
+const {
+    serializeBasicInfo,
+    serializeChannel,
+    serializeCategories,
+    serializeRole,
+    serializeEmoji,
+    serializeSticker,
+    serializeThread,
+    serializeScheduledEvent,
+    serializeInvite,
+    serializeAutoModerationRule,
+    serializeSoundboardSound,
+    getComprehensiveGuildInfo
+} = require('./guildInfo');
+const { loadTrackedServers, saveServerInfoToFile } = require('./tracking');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { snapshotBuilds, snapshotBuildDuration } = require('./metrics');
+
+const log = createLogger({ component: 'snapshots' });
+
+// In-memory snapshot per tracked guild, patched by gateway events between full builds
+const liveSnapshots = new Map();
+// guildId -> { guild, timer, reasons }
+const pendingFlushes = new Map();
+
+const SERIALIZERS = {
+    channels: serializeChannel,
+    roles: serializeRole,
+    emojis: serializeEmoji,
+    stickers: serializeSticker,
+    threads: serializeThread,
+    scheduledEvents: serializeScheduledEvent,
+    invites: serializeInvite,
+    autoModerationRules: serializeAutoModerationRule,
+    soundboardSounds: serializeSoundboardSound
+};
+
+function upsertEntry(entries, entry) {
+    const index = entries.findIndex(existing => existing.id === entry.id);
+    if (index === -1) {
+        entries.push(entry);
+    } else {
+        entries[index] = entry;
+    }
+}
+
+// Apply one event to a snapshot. Only the affected entry is re-serialised, plus
+// sections that embed it (categories list their children, emojis name their roles).
+// Events that only say "something changed" carry already serialised `entries`
+// replacing the whole section, or just one channel's part of it.
+function applyPatch(guild, snapshot, { section, entity, removed = false, entries, channelId, delta }) {
+    if (section === 'basicInfo') {
+        snapshot.basicInfo = serializeBasicInfo(guild);
+        return;
+    }
+    // Sections the bot could not read stay empty until the next full build
+    if (!snapshot[section]) return;
+
+    if (entries) {
+        snapshot[section] = channelId
+            ? [...snapshot[section].filter(entry => entry.channelId !== channelId), ...entries]
+            : entries;
+        return;
+    }
+    if (section === 'bans') {
+        snapshot.bans.count = Math.max(0, snapshot.bans.count + delta);
+        return;
+    }
+
+    if (removed) {
+        snapshot[section] = snapshot[section].filter(entry => entry.id !== entity.id);
+    } else {
+        upsertEntry(snapshot[section], SERIALIZERS[section](entity));
+    }
+
+    if (section === 'channels') {
+        snapshot.categories = serializeCategories(guild);
+    }
+    if (section === 'roles') {
+        snapshot.emojis = guild.emojis.cache.map(serializeEmoji);
+    }
+}
+
+// Count and time one snapshot build and save; `kind` is "full" for a fresh
+// getComprehensiveGuildInfo build and "patch" for writing the patched in-memory copy
+async function measureSnapshotBuild(guild, kind, build) {
+    const startedAt = Date.now();
+    try {
+        const result = await snapshotBuildDuration.time({ kind }, build);
+        snapshotBuilds.inc({ kind, result: 'success' });
+        log.debug('Built snapshot', { guildId: guild.id, kind, durationMs: Date.now() - startedAt });
+        return result;
+    } catch (error) {
+        snapshotBuilds.inc({ kind, result: 'error' });
+        throw error;
+    }
+}
+
+async function flushSnapshot(guildId) {
+    const pending = pendingFlushes.get(guildId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingFlushes.delete(guildId);
+
+    const { guild, reasons } = pending;
+    const updateReason = `Real-time update (${[...reasons].join(', ')})`;
+
+    // No baseline to patch yet, so this window pays for one full build
+    const kind = liveSnapshots.has(guildId) ? 'patch' : 'full';
+    try {
+        await measureSnapshotBuild(guild, kind, async () => {
+            let snapshot = liveSnapshots.get(guildId);
+            if (!snapshot) {
+                snapshot = await getComprehensiveGuildInfo(guild);
+                liveSnapshots.set(guildId, snapshot);
+            }
+            await saveServerInfoToFile(guild, snapshot, updateReason);
+        });
+    } catch (error) {
+        log.error('Error flushing snapshot', { guildId, error });
+    }
+}
+
+// Record a change for a tracked guild and schedule a write at the end of the window
+function queueSnapshotUpdate(guild, patch, reason) {
+    const snapshot = liveSnapshots.get(guild.id);
+    if (snapshot) {
+        try {
+            applyPatch(guild, snapshot, patch);
+        } catch (error) {
+            // Fall back to a full build on the next flush rather than saving a bad patch
+            log.error('Error patching snapshot', { guildId: guild.id, event: reason, error });
+            liveSnapshots.delete(guild.id);
+        }
+    }
+
+    let pending = pendingFlushes.get(guild.id);
+    if (!pending) {
+        pending = {
+            guild,
+            reasons: new Set(),
+            // Events for a guild are coalesced for `snapshotDebounceMs` and then written once
+            timer: setTimeout(() => flushSnapshot(guild.id), getConfig().snapshotDebounceMs)
+        };
+        pendingFlushes.set(guild.id, pending);
+    }
+    pending.guild = guild;
+    pending.reasons.add(reason);
+}
+
+// Full build including the archived thread crawl; replaces the in-memory snapshot
+async function rebuildSnapshot(guild, updateReason = 'Automatic update') {
+    const pending = pendingFlushes.get(guild.id);
+    if (pending) {
+        clearTimeout(pending.timer);
+        pendingFlushes.delete(guild.id);
+    }
+
+    return measureSnapshotBuild(guild, 'full', async () => {
+        const snapshot = await getComprehensiveGuildInfo(guild);
+        liveSnapshots.set(guild.id, snapshot);
+        const fileName = await saveServerInfoToFile(guild, snapshot, updateReason);
+        return { snapshot, fileName };
+    });
+}
+
+// Drop in-memory state for a guild that is no longer tracked
+function forgetSnapshot(guildId) {
+    const pending = pendingFlushes.get(guildId);
+    if (pending) clearTimeout(pending.timer);
+    pendingFlushes.delete(guildId);
+    liveSnapshots.delete(guildId);
+}
+
+// Write out every pending window immediately, e.g. before shutdown
+async function flushAllSnapshots() {
+    await Promise.all([...pendingFlushes.keys()].map(flushSnapshot));
+}
+
+// Update server info for all tracked servers
+async function updateAllTrackedServers(client, reason = 'Scheduled update') {
+    const trackedServers = loadTrackedServers();
+    log.info('Updating tracked servers', { count: trackedServers.length, reason });
+
+    for (const guildId of trackedServers) {
+        try {
+            const guild = client.guilds.cache.get(guildId);
+            if (guild) {
+                await rebuildSnapshot(guild, reason);
+            } else {
+                log.warn('Tracked guild not found in cache', { guildId });
+            }
+        } catch (error) {
+            log.error('Error updating server', { guildId, error });
+        }
+    }
+}
+
+module.exports = {
+    queueSnapshotUpdate,
+    rebuildSnapshot,
+    forgetSnapshot,
+    flushAllSnapshots,
+    updateAllTrackedServers
+};
@@ -0,0 +1,93 @@
+const { getStorage } = require('./storage');
+const { getConfig } = require('./config');
+
+// Timestamped snapshot history, kept by the storage backend (with the file
+// backend: server_data/snapshots/{guildId}/{timestamp}.json)
+
+// Retention: keep at most `snapshotRetention` snapshots per guild, and optionally
+// drop anything older than `snapshotMaxAgeDays` (0 disables the age limit)
+
+// ISO timestamp made filesystem-safe, e.g. 2025-01-08T12-00-00-000Z
+function toSnapshotId(date) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function snapshotIdToDate(id) {
+    const match = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(id);
+    return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+}
+
+// List snapshot IDs for a guild, oldest first
+function listSnapshots(guildId) {
+    return getStorage().listSnapshotIds(guildId)
+        .filter(id => snapshotIdToDate(id))
+        .sort();
+}
+
+function loadSnapshot(guildId, snapshotId) {
+    return getStorage().loadSnapshot(guildId, snapshotId);
+}
+
+function withoutMetadata(snapshot) {
+    const { metadata, ...data } = snapshot;
+    return data;
+}
+
+// Resolve a user-supplied reference into a snapshot ID. Accepts `latest`,
+// `previous`, `~N` (N snapshots before the latest) or an ID / ID prefix such as
+// a date (`2025-01-08`), in which case the newest match wins.
+function resolveSnapshotRef(guildId, ref) {
+    const snapshots = listSnapshots(guildId);
+    if (snapshots.length === 0) return null;
+
+    const normalized = (ref || 'latest').trim();
+    if (normalized === 'latest') return snapshots[snapshots.length - 1];
+    if (normalized === 'previous') return snapshots[snapshots.length - 2] || null;
+
+    const offset = /^~(\d+)$/.exec(normalized);
+    if (offset) return snapshots[snapshots.length - 1 - parseInt(offset[1], 10)] || null;
+
+    const matches = snapshots.filter(id => id.startsWith(normalized.replace(/[:.]/g, '-')));
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+// Drop snapshots beyond the retention count or older than the maximum age
+function pruneSnapshots(guildId) {
+    const { snapshotRetention, snapshotMaxAgeDays } = getConfig();
+    const snapshots = listSnapshots(guildId);
+    const cutoff = snapshotMaxAgeDays > 0 ? Date.now() - snapshotMaxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const excess = Math.max(0, snapshots.length - snapshotRetention);
+
+    snapshots.forEach((id, index) => {
+        const expired = cutoff !== null && snapshotIdToDate(id).getTime() < cutoff;
+        // Never prune the newest snapshot, it is the baseline for the next diff
+        if ((index < excess || expired) && index !== snapshots.length - 1) {
+            getStorage().deleteSnapshot(guildId, id);
+        }
+    });
+}
+
+// Store a new snapshot unless nothing but the metadata changed since the latest one
+function saveSnapshot(guildId, dataWithMetadata) {
+    const latestId = resolveSnapshotRef(guildId, 'latest');
+    if (latestId) {
+        const latest = loadSnapshot(guildId, latestId);
+        if (JSON.stringify(withoutMetadata(latest)) === JSON.stringify(withoutMetadata(dataWithMetadata))) {
+            return latestId;
+        }
+    }
+
+    const snapshotId = toSnapshotId(new Date());
+    getStorage().saveSnapshot(guildId, snapshotId, dataWithMetadata);
+    pruneSnapshots(guildId);
+    return snapshotId;
+}
+
+module.exports = {
+    listSnapshots,
+    loadSnapshot,
+    saveSnapshot,
+    resolveSnapshotRef,
+    pruneSnapshots,
+    snapshotIdToDate
+};
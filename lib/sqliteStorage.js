@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { createFileStorage } = require('./fileStorage');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'storage' });
+
+// SQLite storage backend (requires the optional better-sqlite3 dependency).
+// Tracked guilds, guild settings, snapshot history, member events and warnings live in one database file.
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS tracked_guilds (
+        guild_id TEXT PRIMARY KEY,
+        position INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS guild_settings (
+        guild_id TEXT NOT NULL,
+        section TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (guild_id, section)
+    );
+    CREATE TABLE IF NOT EXISTS snapshots (
+        guild_id TEXT NOT NULL,
+        snapshot_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (guild_id, snapshot_id)
+    );
+    CREATE TABLE IF NOT EXISTS member_events (
+        guild_id TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS member_events_by_guild ON member_events (guild_id, timestamp);
+    CREATE TABLE IF NOT EXISTS warnings (
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS warnings_by_member ON warnings (guild_id, user_id);
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+function openDatabase(databaseFile) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error(`STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+    }
+    const db = new Database(databaseFile);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+    return db;
+}
+
+// One-shot import of the JSON files in server_data/, recorded in the meta table
+function migrateFromFiles(db, storage, dataDir) {
+    if (db.prepare('SELECT value FROM meta WHERE key = ?').get('migrated_from_files')) return;
+
+    const files = createFileStorage(dataDir);
+    let snapshotCount = 0;
+    db.transaction(() => {
+        storage.saveTrackedServers(files.loadTrackedServers());
+        storage.saveGuildSettings(files.loadGuildSettings());
+        for (const guildId of files.listMemberEventGuilds()) {
+            files.loadMemberEvents(guildId).forEach(event => storage.appendMemberEvent(guildId, event));
+        }
+        for (const guildId of files.listWarningGuilds()) {
+            for (const [userId, warnings] of Object.entries(files.loadGuildWarnings(guildId))) {
+                warnings.forEach(warning => storage.addWarning(guildId, userId, warning));
+            }
+        }
+        for (const guildId of files.listSnapshotGuilds()) {
+            for (const snapshotId of files.listSnapshotIds(guildId)) {
+                storage.saveSnapshot(guildId, snapshotId, files.loadSnapshot(guildId, snapshotId));
+                snapshotCount++;
+            }
+        }
+        db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)').run('migrated_from_files', new Date().toISOString());
+    })();
+
+    log.info('Migrated server_data/ into SQLite', { trackedServers: storage.loadTrackedServers().length, snapshots: snapshotCount });
+}
+
+function createSqliteStorage(dataDir, databaseFile = path.join(dataDir, 'storage.db')) {
+    fs.mkdirSync(path.dirname(databaseFile), { recursive: true });
+    const db = openDatabase(databaseFile);
+
+    const statements = {
+        selectTracked: db.prepare('SELECT guild_id FROM tracked_guilds ORDER BY position'),
+        deleteTracked: db.prepare('DELETE FROM tracked_guilds'),
+        insertTracked: db.prepare('INSERT INTO tracked_guilds (guild_id, position) VALUES (?, ?)'),
+        selectSettings: db.prepare('SELECT guild_id, section, data FROM guild_settings'),
+        deleteSettings: db.prepare('DELETE FROM guild_settings'),
+        insertSettings: db.prepare('INSERT INTO guild_settings (guild_id, section, data) VALUES (?, ?, ?)'),
+        selectSection: db.prepare('SELECT data FROM guild_settings WHERE guild_id = ? AND section = ?'),
+        upsertSection: db.prepare(`INSERT INTO guild_settings (guild_id, section, data) VALUES (?, ?, ?)
+            ON CONFLICT (guild_id, section) DO UPDATE SET data = excluded.data`),
+        selectSnapshotIds: db.prepare('SELECT snapshot_id FROM snapshots WHERE guild_id = ?'),
+        selectSnapshot: db.prepare('SELECT data FROM snapshots WHERE guild_id = ? AND snapshot_id = ?'),
+        upsertSnapshot: db.prepare('INSERT OR REPLACE INTO snapshots (guild_id, snapshot_id, data) VALUES (?, ?, ?)'),
+        deleteSnapshot: db.prepare('DELETE FROM snapshots WHERE guild_id = ? AND snapshot_id = ?'),
+        selectSnapshotGuilds: db.prepare('SELECT DISTINCT guild_id FROM snapshots'),
+        insertMemberEvent: db.prepare('INSERT INTO member_events (guild_id, timestamp, data) VALUES (?, ?, ?)'),
+        selectMemberEvents: db.prepare('SELECT data FROM member_events WHERE guild_id = ? AND timestamp >= ? ORDER BY timestamp, rowid'),
+        selectMemberEventGuilds: db.prepare('SELECT DISTINCT guild_id FROM member_events'),
+        insertWarning: db.prepare('INSERT INTO warnings (guild_id, user_id, timestamp, data) VALUES (?, ?, ?, ?)'),
+        selectWarnings: db.prepare('SELECT data FROM warnings WHERE guild_id = ? AND user_id = ? ORDER BY timestamp, rowid'),
+        deleteWarnings: db.prepare('DELETE FROM warnings WHERE guild_id = ? AND user_id = ?')
+    };
+
+    const storage = {
+        name: 'sqlite',
+
+        loadTrackedServers() {
+            return statements.selectTracked.all().map(row => row.guild_id);
+        },
+
+        saveTrackedServers: db.transaction(trackedServers => {
+            statements.deleteTracked.run();
+            trackedServers.forEach((guildId, index) => statements.insertTracked.run(guildId, index));
+        }),
+
+        loadGuildSettings() {
+            const settings = {};
+            for (const row of statements.selectSettings.all()) {
+                settings[row.guild_id] = settings[row.guild_id] || {};
+                settings[row.guild_id][row.section] = JSON.parse(row.data);
+            }
+            return settings;
+        },
+
+        saveGuildSettings: db.transaction(settings => {
+            statements.deleteSettings.run();
+            for (const [guildId, sections] of Object.entries(settings)) {
+                for (const [section, data] of Object.entries(sections)) {
+                    statements.insertSettings.run(guildId, section, JSON.stringify(data));
+                }
+            }
+        }),
+
+        loadGuildSection(guildId, section) {
+            const row = statements.selectSection.get(guildId, section);
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        // Read-modify-write of one section under the database write lock, so shard
+        // processes updating other guilds or sections never overwrite each other
+        updateGuildSection(guildId, section, update) {
+            return db.transaction(() => {
+                const row = statements.selectSection.get(guildId, section);
+                const data = update(row ? JSON.parse(row.data) : null);
+                statements.upsertSection.run(guildId, section, JSON.stringify(data));
+                return data;
+            }).immediate();
+        },
+
+        listSnapshotIds(guildId) {
+            return statements.selectSnapshotIds.all(guildId).map(row => row.snapshot_id);
+        },
+
+        loadSnapshot(guildId, snapshotId) {
+            const row = statements.selectSnapshot.get(guildId, snapshotId);
+            if (!row) throw new Error(`Snapshot ${snapshotId} not found for guild ${guildId}`);
+            return JSON.parse(row.data);
+        },
+
+        saveSnapshot(guildId, snapshotId, data) {
+            statements.upsertSnapshot.run(guildId, snapshotId, JSON.stringify(data));
+        },
+
+        deleteSnapshot(guildId, snapshotId) {
+            statements.deleteSnapshot.run(guildId, snapshotId);
+        },
+
+        listSnapshotGuilds() {
+            return statements.selectSnapshotGuilds.all().map(row => row.guild_id);
+        },
+
+        appendMemberEvent(guildId, event) {
+            statements.insertMemberEvent.run(guildId, event.timestamp, JSON.stringify(event));
+        },
+
+        loadMemberEvents(guildId, since = 0) {
+            return statements.selectMemberEvents.all(guildId, since).map(row => JSON.parse(row.data));
+        },
+
+        listMemberEventGuilds() {
+            return statements.selectMemberEventGuilds.all().map(row => row.guild_id);
+        },
+
+        addWarning(guildId, userId, warning) {
+            statements.insertWarning.run(guildId, userId, warning.timestamp, JSON.stringify(warning));
+        },
+
+        loadWarnings(guildId, userId) {
+            return statements.selectWarnings.all(guildId, userId).map(row => JSON.parse(row.data));
+        },
+
+        clearWarnings(guildId, userId) {
+            return statements.deleteWarnings.run(guildId, userId).changes;
+        },
+
+        close() {
+            db.close();
+        }
+    };
+
+    migrateFromFiles(db, storage, dataDir);
+    return storage;
+}
+
+module.exports = {
+    createSqliteStorage
+};
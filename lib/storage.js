@@ -0,0 +1,44 @@
+const fs = require('fs');
+const { createFileStorage } = require('./fileStorage');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'storage' });
+
+// Storage backend for tracked servers, guild settings and snapshot history.
+// `storageBackend` selects `file` (JSON files in server_data/, the default) or `sqlite`.
+// `serverDataDir` can point somewhere else, e.g. so a replay doesn't touch live data
+const { serverDataDir: SERVER_DATA_DIR, storageBackend: STORAGE_BACKEND, sqliteFile } = getConfig();
+
+// Ensure server data directory exists
+if (!fs.existsSync(SERVER_DATA_DIR)) {
+    fs.mkdirSync(SERVER_DATA_DIR, { recursive: true });
+    log.info('Created server data directory', { dir: SERVER_DATA_DIR });
+}
+
+let storage = null;
+
+function getStorage() {
+    if (storage) return storage;
+
+    switch (STORAGE_BACKEND) {
+        case 'file':
+            storage = createFileStorage(SERVER_DATA_DIR);
+            break;
+        case 'sqlite': {
+            const { createSqliteStorage } = require('./sqliteStorage');
+            storage = createSqliteStorage(SERVER_DATA_DIR, sqliteFile || undefined);
+            break;
+        }
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected "file" or "sqlite")`);
+    }
+
+    log.info('Using storage backend', { backend: storage.name });
+    return storage;
+}
+
+module.exports = {
+    SERVER_DATA_DIR,
+    getStorage
+};
@@ -0,0 +1,100 @@
+const path = require('path');
+const { getComprehensiveGuildInfo } = require('./guildInfo');
+const { saveSnapshot } = require('./snapshots');
+const { renderExport } = require('./exporters');
+const { SERVER_DATA_DIR, getStorage } = require('./storage');
+const { writeFileAtomic } = require('./fileStorage');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'tracking' });
+
+// Tracked servers list, read from storage once and kept in sync by saveTrackedServers
+let trackedServersCache = null;
+
+// Load tracked servers list. Unreadable storage throws rather than returning an
+// empty list, which the next save would persist and untrack every server.
+function loadTrackedServers() {
+    if (!trackedServersCache) {
+        trackedServersCache = getStorage().loadTrackedServers();
+    }
+    return [...trackedServersCache];
+}
+
+// Re-read the list from storage, e.g. to pick up servers tracked or untracked on another shard
+function reloadTrackedServers() {
+    trackedServersCache = getStorage().loadTrackedServers();
+    return [...trackedServersCache];
+}
+
+function isTrackedServer(guildId) {
+    return loadTrackedServers().includes(guildId);
+}
+
+// Save tracked servers list. A storage error is thrown and leaves the cache as it was.
+function saveTrackedServers(trackedServers) {
+    getStorage().saveTrackedServers(trackedServers);
+    trackedServersCache = [...trackedServers];
+}
+
+// Start or stop tracking one server. The list is re-read first so shards sharing
+// the storage do not overwrite each other's changes. Returns false if nothing changed;
+// throws if the list could not be saved.
+function setServerTracked(guildId, tracked) {
+    const trackedServers = reloadTrackedServers();
+    if (trackedServers.includes(guildId) === tracked) return false;
+    saveTrackedServers(tracked ? [...trackedServers, guildId] : trackedServers.filter(id => id !== guildId));
+    return true;
+}
+
+// Save server info to JSON file
+async function saveServerInfoToFile(guild, serverInfo = null, updateReason = 'Automatic update') {
+    try {
+        const fileName = `${guild.id}_${guild.name.replace(/[^a-zA-Z0-9]/g, '_')}_server_info.json`;
+        const filePath = path.join(SERVER_DATA_DIR, fileName);
+
+        if (!serverInfo) {
+            serverInfo = await getComprehensiveGuildInfo(guild);
+        }
+
+        // Add metadata
+        const dataWithMetadata = {
+            ...serverInfo,
+            metadata: {
+                lastUpdated: new Date().toISOString(),
+                guildId: guild.id,
+                guildName: guild.name,
+                updateReason
+            }
+        };
+
+        writeFileAtomic(filePath, JSON.stringify(dataWithMetadata, null, 2));
+        log.info('Saved server info', { guildId: guild.id, file: fileName });
+
+        // Extra formats written next to the JSON file, e.g. csv and markdown
+        for (const format of getConfig().serverInfoExportFormats) {
+            for (const output of renderExport(dataWithMetadata, 'all', format)) {
+                const exportName = fileName.replace(/\.json$/, `${output.suffix}.${output.extension}`);
+                writeFileAtomic(path.join(SERVER_DATA_DIR, exportName), output.content);
+            }
+        }
+
+        // Keep a timestamped copy for history and /serverdiff
+        saveSnapshot(guild.id, dataWithMetadata);
+
+        return fileName;
+    } catch (error) {
+        log.error('Error saving server info', { guildId: guild.id, error });
+        return null;
+    }
+}
+
+module.exports = {
+    SERVER_DATA_DIR,
+    loadTrackedServers,
+    reloadTrackedServers,
+    isTrackedServer,
+    saveTrackedServers,
+    setServerTracked,
+    saveServerInfoToFile
+};
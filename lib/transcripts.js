@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const { ChannelType, GatewayIntentBits } = require('discord.js');
+const { SERVER_DATA_DIR } = require('./storage');
+const { getConfig } = require('./config');
+const { writeFileAtomic } = require('./fileStorage');
+const { getGuildSettings, updateGuildSettings } = require('./guildSettings');
+const { isTrackedServer } = require('./tracking');
+const { parsePeriod } = require('./memberActivity');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'transcripts' });
+
+// Channel transcripts: message history written as JSON plus a self-contained HTML page
+// to server_data/transcripts/{guildId}/{channelId}_{exportedAt}.{json,html}, whichever
+// storage backend is used. With auto-archive on, tracked servers get a transcript when a
+// thread is archived or locked, and again on delete from what the bot still has cached.
+
+const TRANSCRIPTS_SECTION = 'transcripts';
+const TRANSCRIPTS_DIR = path.join(SERVER_DATA_DIR, 'transcripts');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Warning shown wherever a transcript is made without message text
+const NO_CONTENT_WARNING = 'The bot runs without the Message Content intent (PREFIX_COMMANDS=false), so transcripts have no message text, only attachments and embeds.';
+
+const DEFAULT_TRANSCRIPT_CONFIG = {
+    autoArchive: false
+};
+
+function getTranscriptConfig(guildId) {
+    return getGuildSettings(guildId, TRANSCRIPTS_SECTION, DEFAULT_TRANSCRIPT_CONFIG);
+}
+
+function updateTranscriptConfig(guildId, patch) {
+    return updateGuildSettings(guildId, TRANSCRIPTS_SECTION, patch, DEFAULT_TRANSCRIPT_CONFIG);
+}
+
+function isAutoArchiveEnabled(guildId) {
+    return isTrackedServer(guildId) && getTranscriptConfig(guildId).autoArchive;
+}
+
+// Without the privileged MessageContent intent Discord sends messages with empty content
+function hasMessageContent(client) {
+    return client.options.intents.has(GatewayIntentBits.MessageContent);
+}
+
+// "2025-01-08" (or anything Date.parse accepts) or a period such as "7d"; null when invalid
+function parseSince(value) {
+    const days = parsePeriod(value);
+    if (days) return Date.now() - days * DAY_MS;
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+function serializeMessage(message) {
+    return {
+        id: message.id,
+        type: message.type,
+        author: {
+            id: message.author.id,
+            tag: message.author.tag,
+            displayName: message.member?.displayName ?? message.author.displayName,
+            bot: message.author.bot,
+            avatarUrl: message.author.displayAvatarURL({ size: 64 })
+        },
+        content: message.content,
+        createdAt: message.createdTimestamp,
+        editedAt: message.editedTimestamp,
+        pinned: message.pinned,
+        replyTo: message.reference?.messageId ?? null,
+        attachments: message.attachments.map(attachment => ({
+            id: attachment.id,
+            name: attachment.name,
+            url: attachment.url,
+            size: attachment.size,
+            contentType: attachment.contentType
+        })),
+        embeds: message.embeds.map(embed => embed.toJSON()),
+        stickers: message.stickers.map(sticker => ({ id: sticker.id, name: sticker.name }))
+    };
+}
+
+// Page back through history, newest first, until `since` or the message limit
+async function fetchMessages(channel, since) {
+    const limit = getConfig().transcriptMaxMessages;
+    const messages = [];
+    let before;
+    while (messages.length < limit) {
+        const batch = await channel.messages.fetch({ limit: 100, before, cache: false });
+        for (const message of batch.values()) {
+            if (message.createdTimestamp < since) return { messages, truncated: false };
+            messages.push(message);
+        }
+        if (batch.size < 100) return { messages, truncated: false };
+        before = batch.lastKey();
+    }
+    return { messages: messages.slice(0, limit), truncated: true };
+}
+
+function buildTranscript(channel, messages, { since = null, reason, partial = false, truncated = false }) {
+    return {
+        guild: { id: channel.guild.id, name: channel.guild.name },
+        channel: {
+            id: channel.id,
+            name: channel.name,
+            type: ChannelType[channel.type],
+            parentId: channel.parentId ?? null,
+            parentName: channel.parent?.name ?? null,
+            isThread: channel.isThread()
+        },
+        exportedAt: Date.now(),
+        reason,
+        since,
+        // Rebuilt from cache after the channel was deleted
+        partial,
+        // Stopped at the transcriptMaxMessages limit
+        truncated,
+        // False when the bot ran without the MessageContent intent and every `content` is empty
+        messageContent: hasMessageContent(channel.client),
+        messageCount: messages.length,
+        lastMessageId: messages.length > 0 ? messages[messages.length - 1].id : null,
+        messages
+    };
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[char]);
+}
+
+const formatTime = timestamp => new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19);
+
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} B`;
+}
+
+function renderEmbed(embed) {
+    const color = embed.color !== undefined ? `#${embed.color.toString(16).padStart(6, '0')}` : '#4f545c';
+    const title = embed.title
+        ? `<div class="embed-title">${embed.url ? `<a href="${escapeHtml(embed.url)}">${escapeHtml(embed.title)}</a>` : escapeHtml(embed.title)}</div>`
+        : '';
+    const fields = (embed.fields || []).map(field =>
+        `<div class="embed-field"><b>${escapeHtml(field.name)}</b><div>${escapeHtml(field.value)}</div></div>`).join('');
+    return `<div class="embed" style="border-color:${color}">${
+        embed.author?.name ? `<div class="embed-author">${escapeHtml(embed.author.name)}</div>` : ''}${title}${
+        embed.description ? `<div class="text">${escapeHtml(embed.description)}</div>` : ''}${fields}${
+        embed.image?.url ? `<img class="attachment-image" src="${escapeHtml(embed.image.url)}" alt="">` : ''}${
+        embed.footer?.text ? `<div class="embed-footer">${escapeHtml(embed.footer.text)}</div>` : ''}</div>`;
+}
+
+function renderAttachment(attachment) {
+    const link = `<a href="${escapeHtml(attachment.url)}">📎 ${escapeHtml(attachment.name)}</a> <span class="muted">(${formatSize(attachment.size)})</span>`;
+    return attachment.contentType?.startsWith('image/')
+        ? `<div>${link}<br><img class="attachment-image" src="${escapeHtml(attachment.url)}" alt="${escapeHtml(attachment.name)}"></div>`
+        : `<div>${link}</div>`;
+}
+
+function renderMessage(message, messagesById) {
+    let reply = '';
+    if (message.replyTo) {
+        const original = messagesById.get(message.replyTo);
+        reply = original
+            ? `<a class="reply" href="#m-${original.id}">↪ ${escapeHtml(original.author.displayName)}: ${escapeHtml(original.content.slice(0, 100) || '(attachment)')}</a>`
+            : '<div class="reply">↪ Reply to a message not in this transcript</div>';
+    }
+    return `<div class="message" id="m-${message.id}">
+${reply}<img class="avatar" src="${escapeHtml(message.author.avatarUrl)}" alt="">
+<div class="body">
+<div><span class="author">${escapeHtml(message.author.displayName)}</span> <span class="muted">${escapeHtml(message.author.tag)}${message.author.bot ? ' · BOT' : ''} · ${formatTime(message.createdAt)}${message.editedAt ? ' (edited)' : ''}${message.pinned ? ' · 📌' : ''}</span></div>
+${message.content ? `<div class="text">${escapeHtml(message.content)}</div>` : ''}
+${message.attachments.map(renderAttachment).join('')}
+${message.embeds.map(renderEmbed).join('')}
+${message.stickers.map(sticker => `<div class="muted">[sticker: ${escapeHtml(sticker.name)}]</div>`).join('')}
+</div>
+</div>`;
+}
+
+// One HTML file with inline styles; images and avatars still load from Discord's CDN
+function renderTranscriptHtml(transcript) {
+    const messagesById = new Map(transcript.messages.map(message => [message.id, message]));
+    const notes = [
+        `${transcript.messageCount} message(s)`,
+        `exported ${formatTime(transcript.exportedAt)} UTC`,
+        transcript.since ? `since ${formatTime(transcript.since)} UTC` : null,
+        transcript.partial ? 'partial: rebuilt after the channel was deleted' : null,
+        transcript.truncated ? 'truncated at the message limit' : null,
+        transcript.messageContent === false ? 'no message text: exported without the Message Content intent' : null
+    ].filter(Boolean).join(' · ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>#${escapeHtml(transcript.channel.name)} - ${escapeHtml(transcript.guild.name)}</title>
+<style>
+body { background: #313338; color: #dbdee1; font-family: 'gg sans', 'Helvetica Neue', Helvetica, Arial, sans-serif; margin: 0; padding: 24px; }
+header { border-bottom: 1px solid #3f4147; margin-bottom: 16px; padding-bottom: 12px; }
+h1 { font-size: 20px; margin: 0 0 4px; color: #f2f3f5; }
+a { color: #00a8fc; }
+.muted { color: #949ba4; font-size: 12px; }
+.message { display: flex; flex-wrap: wrap; padding: 6px 0; }
+.reply { display: block; width: 100%; margin-left: 52px; font-size: 12px; color: #949ba4; text-decoration: none; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+.avatar { width: 40px; height: 40px; border-radius: 50%; margin-right: 12px; }
+.body { flex: 1; min-width: 0; }
+.author { font-weight: 600; color: #f2f3f5; }
+.text { white-space: pre-wrap; word-wrap: break-word; }
+.embed { border-left: 4px solid; background: #2b2d31; border-radius: 4px; padding: 8px 12px; margin-top: 4px; max-width: 520px; }
+.embed-title { font-weight: 600; }
+.embed-author, .embed-footer { font-size: 12px; }
+.embed-field { margin-top: 6px; }
+.attachment-image { max-width: 400px; max-height: 300px; border-radius: 4px; margin-top: 4px; }
+</style>
+</head>
+<body>
+<header>
+<h1>#${escapeHtml(transcript.channel.name)}</h1>
+<div class="muted">${escapeHtml(transcript.guild.name)}${transcript.channel.parentName ? ` · ${escapeHtml(transcript.channel.parentName)}` : ''} · ${escapeHtml(notes)}</div>
+</header>
+${transcript.messages.map(message => renderMessage(message, messagesById)).join('\n')}
+</body>
+</html>
+`;
+}
+
+function saveTranscript(transcript) {
+    const dir = path.join(TRANSCRIPTS_DIR, transcript.guild.id);
+    const baseName = `${transcript.channel.id}_${new Date(transcript.exportedAt).toISOString().replace(/[:.]/g, '-')}`;
+    fs.mkdirSync(dir, { recursive: true });
+    const jsonPath = path.join(dir, `${baseName}.json`);
+    const htmlPath = path.join(dir, `${baseName}.html`);
+    writeFileAtomic(jsonPath, JSON.stringify(transcript, null, 2));
+    writeFileAtomic(htmlPath, renderTranscriptHtml(transcript));
+    return { jsonPath, htmlPath };
+}
+
+// The most recent saved transcript of a channel, or null
+function loadLatestTranscript(guildId, channelId) {
+    const dir = path.join(TRANSCRIPTS_DIR, guildId);
+    if (!fs.existsSync(dir)) return null;
+    const latest = fs.readdirSync(dir)
+        .filter(name => name.startsWith(`${channelId}_`) && name.endsWith('.json'))
+        .sort()
+        .pop();
+    return latest ? JSON.parse(fs.readFileSync(path.join(dir, latest), 'utf8')) : null;
+}
+
+// Fetch a channel's history (from `since`, a timestamp) and save it
+async function archiveChannel(channel, { since = 0, reason }) {
+    const startedAt = Date.now();
+    const { messages, truncated } = await fetchMessages(channel, since);
+    const transcript = buildTranscript(channel, messages.reverse().map(serializeMessage), { since: since || null, reason, truncated });
+    const files = saveTranscript(transcript);
+    log.info('Archived channel', {
+        guildId: channel.guild.id,
+        channelId: channel.id,
+        reason,
+        messages: transcript.messageCount,
+        truncated,
+        messageContent: transcript.messageContent,
+        durationMs: Date.now() - startedAt
+    });
+    return { transcript, ...files };
+}
+
+// Thread archived or locked: capture its history while it can still be read
+async function handleThreadClosed(oldThread, newThread) {
+    const archived = !oldThread.archived && newThread.archived;
+    const locked = !oldThread.locked && newThread.locked;
+    if ((!archived && !locked) || !isAutoArchiveEnabled(newThread.guild.id)) return;
+    await archiveChannel(newThread, { reason: locked ? 'Thread locked' : 'Thread archived' });
+}
+
+// Deleted channels can no longer be fetched, so add what the bot still has cached
+// to the last transcript; nothing is written when that transcript is already complete
+async function handleChannelDeleted(channel) {
+    if (!channel.guild || !channel.isTextBased() || !isAutoArchiveEnabled(channel.guild.id)) return;
+
+    const latest = loadLatestTranscript(channel.guild.id, channel.id);
+    if (latest && latest.lastMessageId === channel.lastMessageId) return;
+
+    const known = new Set(latest?.messages.map(message => message.id));
+    const cached = [...channel.messages.cache.values()]
+        .filter(message => !known.has(message.id))
+        .map(serializeMessage);
+    if (cached.length === 0) {
+        log.info('No messages left to archive for deleted channel', { guildId: channel.guild.id, channelId: channel.id });
+        return;
+    }
+
+    const messages = [...(latest?.messages || []), ...cached].sort((a, b) => a.createdAt - b.createdAt);
+    const transcript = buildTranscript(channel, messages, { reason: 'Channel deleted', partial: true });
+    saveTranscript(transcript);
+    log.info('Archived deleted channel from cache', { guildId: channel.guild.id, channelId: channel.id, messages: transcript.messageCount });
+}
+
+module.exports = {
+    NO_CONTENT_WARNING,
+    hasMessageContent,
+    getTranscriptConfig,
+    updateTranscriptConfig,
+    parseSince,
+    renderTranscriptHtml,
+    archiveChannel,
+    handleThreadClosed,
+    handleChannelDeleted
+};
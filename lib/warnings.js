@@ -0,0 +1,36 @@
+const { getStorage } = require('./storage');
+
+// Warnings ledger, kept per member until a moderator clears it.
+// Warning: { reason, moderatorId, source: 'manual' | 'automod', filter?, timestamp }
+
+function addWarning(guildId, userId, { reason, moderatorId, source = 'manual', filter = null }) {
+    const warning = { reason, moderatorId, source, ...(filter ? { filter } : {}), timestamp: Date.now() };
+    getStorage().addWarning(guildId, userId, warning);
+    return getWarnings(guildId, userId);
+}
+
+function getWarnings(guildId, userId) {
+    return getStorage().loadWarnings(guildId, userId);
+}
+
+// Returns how many warnings were removed
+function clearWarnings(guildId, userId) {
+    return getStorage().clearWarnings(guildId, userId);
+}
+
+// DM the member about a warning; members with DMs closed are expected
+async function notifyWarned(member, reason, count) {
+    try {
+        await member.send(`⚠️ You have been warned in **${member.guild.name}**: ${reason}\nYou now have ${count} warning(s).`);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+module.exports = {
+    addWarning,
+    getWarnings,
+    clearWarnings,
+    notifyWarned
+};
@@ -0,0 +1,189 @@
+const { EmbedBuilder } = require('discord.js');
+const { loadGuildSettings, getGuildSettings, updateGuildSettings } = require('./guildSettings');
+const { renderTemplate } = require('./messageTemplates');
+const { addWelcomeCard } = require('./welcomeCard');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'welcome' });
+
+const WELCOME_SECTION = 'welcome';
+
+const DEFAULT_WELCOME_CONFIG = {
+    enabled: false,
+    channelId: null,
+    redirectChannelId: null,
+    color: '#2ecc71',
+    customText: null,
+    // Introduction when there is no custom text and the server has no description
+    fallbackText: 'Glad to have you here!',
+    // Completes "Head over to #channel to say ...!"
+    greeting: 'hello',
+    title: 'Welcome to {guild}! 🧠✨',
+    description: 'Hello {user}!',
+    message: '🎉 Everyone, please welcome {user} to **{guild}**!',
+    dmEnabled: false,
+    dmMessage: 'Welcome to **{guild}**, {user.name}! We are glad to have you.',
+    goodbyeChannelId: null,
+    goodbyeMessage: '👋 **{user.tag}** has left the server. We are now {memberCount} members.'
+};
+
+// Template targets accepted by `/welcome set-template`, mapped to their config keys
+const WELCOME_TEMPLATES = {
+    message: 'message',
+    title: 'title',
+    description: 'description',
+    text: 'customText',
+    fallback: 'fallbackText',
+    greeting: 'greeting',
+    dm: 'dmMessage',
+    goodbye: 'goodbyeMessage'
+};
+
+// Discord rejects embed titles over 256 characters
+const MAX_TITLE_LENGTH = 256;
+
+function getWelcomeConfig(guildId) {
+    return getGuildSettings(guildId, WELCOME_SECTION, DEFAULT_WELCOME_CONFIG);
+}
+
+function updateWelcomeConfig(guildId, patch) {
+    return updateGuildSettings(guildId, WELCOME_SECTION, patch, DEFAULT_WELCOME_CONFIG);
+}
+
+// Texts the hard-coded welcome used, kept for the server it was written for
+const LEGACY_WELCOME_TEXT = {
+    fallbackText: 'four synapses firing in harmony',
+    greeting: 'Annyong'
+};
+
+// Welcome setup that used to be hard-coded for Big Brain Energy, now the `legacyWelcome`
+// option, seeded once into guild settings
+function migrateLegacyWelcomeConfig() {
+    const seed = getConfig().legacyWelcome;
+    if (!seed) return;
+    const { guildId, channelId, redirectChannelId } = seed;
+    const stored = loadGuildSettings()[guildId]?.[WELCOME_SECTION];
+    if (!stored) {
+        updateWelcomeConfig(guildId, { enabled: true, channelId, redirectChannelId, ...LEGACY_WELCOME_TEXT });
+        log.info('Migrated hard-coded welcome configuration', { guildId });
+        return;
+    }
+
+    // Seeded before these texts were configurable, when it silently got the new defaults
+    if (!('fallbackText' in stored) && !('greeting' in stored)) {
+        updateWelcomeConfig(guildId, LEGACY_WELCOME_TEXT);
+        log.info('Restored hard-coded welcome texts', { guildId });
+    }
+}
+
+// Normalise "#abc123" / "abc123" into "#abc123", or null when it is not a hex colour
+function parseHexColor(value) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(value.trim());
+    return match ? `#${match[1].toLowerCase()}` : null;
+}
+
+// Build the welcome message payload for a member using the guild's welcome config
+function buildWelcomeMessage(member, config) {
+    const { guild } = member;
+    const redirectChannel = config.redirectChannelId ? guild.channels.cache.get(config.redirectChannelId) : null;
+
+    const fields = [
+        {
+            name: '🎯 About Our Server',
+            value: `**${guild.name}** – ${config.customText ? renderTemplate(config.customText, member) : guild.description || renderTemplate(config.fallbackText, member)}\n\n`,
+            inline: false
+        }
+    ];
+
+    if (redirectChannel) {
+        fields.push({
+            name: '🚀 Getting Started',
+            value: `Ready to join the conversation? Head over to <#${redirectChannel.id}> to say ${renderTemplate(config.greeting, member)}!\n`,
+            inline: false
+        });
+    }
+
+    fields.push(
+        {
+            name: '📊 Member Info',
+            value: `**Username:** ${member.user.tag}\n**Member #:** ${guild.memberCount}`,
+            inline: true
+        },
+        {
+            name: '📅 Join Date',
+            value: new Date().toDateString(),
+            inline: true
+        }
+    );
+
+    const welcomeEmbed = new EmbedBuilder()
+        .setColor(config.color)
+        .setTitle(renderTemplate(config.title, member).slice(0, MAX_TITLE_LENGTH))
+        .setDescription(renderTemplate(config.description, member))
+        .setThumbnail(member.user.displayAvatarURL({ size: 256 }))
+        .addFields(fields)
+        .setFooter({
+            text: `Welcome to ${guild.name}`,
+            iconURL: guild.iconURL()
+        })
+        .setTimestamp();
+
+    return {
+        content: renderTemplate(config.message, member),
+        embeds: [welcomeEmbed]
+    };
+}
+
+function buildWelcomeDm(member, config) {
+    return { content: renderTemplate(config.dmMessage, member) };
+}
+
+// The member has already left, so nobody is pinged
+function buildGoodbyeMessage(member, config) {
+    return {
+        content: renderTemplate(config.goodbyeMessage, member),
+        allowedMentions: { parse: [] }
+    };
+}
+
+// Post the welcome message and send the welcome DM, as configured for the member's guild
+async function sendWelcome(member) {
+    const config = getWelcomeConfig(member.guild.id);
+
+    if (!config.enabled || !config.channelId) {
+        log.debug('Welcome messages not configured', { guildId: member.guild.id });
+    } else {
+        const welcomeChannel = member.guild.channels.cache.get(config.channelId);
+        if (!welcomeChannel) {
+            log.warn('Welcome channel not found', { guildId: member.guild.id, channelId: config.channelId });
+        } else {
+            await welcomeChannel.send(await addWelcomeCard(member, buildWelcomeMessage(member, config)));
+            log.info('Sent welcome message', { guildId: member.guild.id, userId: member.id });
+        }
+    }
+
+    if (config.dmEnabled) {
+        try {
+            await member.send(buildWelcomeDm(member, config));
+            log.info('Sent welcome DM', { guildId: member.guild.id, userId: member.id });
+        } catch (error) {
+            // Members with DMs closed are expected
+            log.info('Could not send welcome DM', { guildId: member.guild.id, userId: member.id, reason: error.message });
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_WELCOME_CONFIG,
+    WELCOME_TEMPLATES,
+    MAX_TITLE_LENGTH,
+    getWelcomeConfig,
+    updateWelcomeConfig,
+    migrateLegacyWelcomeConfig,
+    parseHexColor,
+    buildWelcomeMessage,
+    buildWelcomeDm,
+    buildGoodbyeMessage,
+    sendWelcome
+};
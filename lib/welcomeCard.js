@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { getGuildSettings, updateGuildSettings } = require('./guildSettings');
+const { SERVER_DATA_DIR } = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'welcomeCard' });
+
+// PNG welcome cards drawn in-process (requires the optional @napi-rs/canvas dependency).
+// Backgrounds are downloaded once into server_data/card_cache/, keyed by guild and URL,
+// and each guild keeps only the file for its current background.
+
+const WELCOME_CARD_SECTION = 'welcomeCard';
+
+const DEFAULT_WELCOME_CARD_CONFIG = {
+    enabled: false,
+    layout: 'classic',
+    backgroundUrl: null,
+    backgroundColor: '#23272a',
+    accentColor: '#2ecc71',
+    textColor: '#ffffff'
+};
+
+const CARD_LAYOUTS = ['classic', 'centered'];
+const CARD_WIDTH = 1024;
+const CARD_HEIGHT = 400;
+const AVATAR_SIZE = 200;
+const CARD_FILE_NAME = 'welcome-card.png';
+
+const CACHE_DIR = path.join(SERVER_DATA_DIR, 'card_cache');
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+// Avatars are fetched on every join, so they get a tighter budget than backgrounds
+const AVATAR_MAX_BYTES = 1024 * 1024;
+const AVATAR_TIMEOUT_MS = 3000;
+
+// Backgrounds are fetched from admin-supplied URLs, so never let them reach the host
+// itself, the private network or cloud metadata endpoints
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+let canvasModule = null;
+
+function loadCanvas() {
+    if (canvasModule) return canvasModule;
+    try {
+        canvasModule = require('@napi-rs/canvas');
+    } catch (error) {
+        throw new Error(`Welcome cards need the @napi-rs/canvas package (npm install @napi-rs/canvas): ${error.message}`);
+    }
+    return canvasModule;
+}
+
+function getWelcomeCardConfig(guildId) {
+    return getGuildSettings(guildId, WELCOME_CARD_SECTION, DEFAULT_WELCOME_CARD_CONFIG);
+}
+
+function updateWelcomeCardConfig(guildId, patch) {
+    const config = updateGuildSettings(guildId, WELCOME_CARD_SECTION, patch, DEFAULT_WELCOME_CARD_CONFIG);
+    // Drop the previous background's file; a cached banner goes too and is downloaded again when used
+    if ('backgroundUrl' in patch) pruneCachedBackgrounds(guildId, config.backgroundUrl);
+    return config;
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+function isBlockedAddress(address) {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that refuses non-public addresses. Used as the socket's lookup, so the
+// address that is checked is the one connected to, even if the DNS answer changes
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (addresses.some(isBlockedAddress)) {
+            return callback(new Error(`${hostname} resolves to a non-public address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+// GET an image over http(s), following a few redirects, and stop reading once it
+// grows past maxBytes. Error messages may name internal hosts, so they are only
+// meant for logs.
+function downloadImage(url, { maxBytes = MAX_IMAGE_BYTES, timeoutMs = DOWNLOAD_TIMEOUT_MS, redirectsLeft = MAX_REDIRECTS } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        if (!['http:', 'https:'].includes(target.protocol)) {
+            return reject(new Error(`Unsupported protocol ${target.protocol}`));
+        }
+        // IP literals never go through lookup
+        const host = target.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && isBlockedAddress(host)) {
+            return reject(new Error(`${host} is not a public address`));
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const request = client.get(target, { lookup: publicLookup, signal: AbortSignal.timeout(timeoutMs) }, response => {
+            const { statusCode, headers } = response;
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                response.resume();
+                if (redirectsLeft === 0) return reject(new Error(`Too many redirects fetching ${url}`));
+                return resolve(downloadImage(new URL(headers.location, target).href, { maxBytes, timeoutMs, redirectsLeft: redirectsLeft - 1 }));
+            }
+            if (statusCode !== 200) {
+                response.resume();
+                return reject(new Error(`HTTP ${statusCode} fetching ${url}`));
+            }
+            if (!headers['content-type']?.startsWith('image/')) {
+                response.resume();
+                return reject(new Error(`${url} is not an image`));
+            }
+            const tooLarge = new Error(`${url} is larger than ${maxBytes / 1024 / 1024} MB`);
+            if (Number(headers['content-length']) > maxBytes) {
+                request.destroy();
+                return reject(tooLarge);
+            }
+
+            const chunks = [];
+            let size = 0;
+            response.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    request.destroy();
+                    reject(tooLarge);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => resolve(Buffer.concat(chunks)));
+            response.on('error', reject);
+        });
+        request.on('error', reject);
+    });
+}
+
+function getCacheFileName(guildId, url) {
+    return `${guildId}_${crypto.createHash('sha1').update(url).digest('hex')}.img`;
+}
+
+// Delete a guild's cached backgrounds other than the one for keepUrl (all of them when null)
+function pruneCachedBackgrounds(guildId, keepUrl) {
+    const keep = keepUrl ? getCacheFileName(guildId, keepUrl) : null;
+    let files;
+    try {
+        files = fs.readdirSync(CACHE_DIR);
+    } catch (error) {
+        if (error.code !== 'ENOENT') log.warn('Could not read card cache', { guildId, reason: error.message });
+        return;
+    }
+    for (const file of files) {
+        if (!file.startsWith(`${guildId}_`) || file === keep) continue;
+        try {
+            fs.unlinkSync(path.join(CACHE_DIR, file));
+        } catch (error) {
+            log.warn('Could not delete cached background', { guildId, file, reason: error.message });
+        }
+    }
+}
+
+// A guild's background bytes from the disk cache, downloading them on first use (or
+// when `refresh` is set). Downloading a new background drops the guild's previous one.
+async function getCachedBackground(guildId, url, { refresh = false } = {}) {
+    const cacheFile = path.join(CACHE_DIR, getCacheFileName(guildId, url));
+    if (!refresh && fs.existsSync(cacheFile)) {
+        return fs.readFileSync(cacheFile);
+    }
+
+    const data = await downloadImage(url);
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(cacheFile, data);
+    pruneCachedBackgrounds(guildId, url);
+    return data;
+}
+
+// Configured background first, then the server banner; null means a plain colour
+function resolveBackgroundUrl(guild, config) {
+    return config.backgroundUrl || guild.bannerURL({ extension: 'png', size: 1024 }) || null;
+}
+
+// Scale an image to cover the whole card, cropping the overflow evenly
+function drawCover(ctx, image) {
+    const scale = Math.max(CARD_WIDTH / image.width, CARD_HEIGHT / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    ctx.drawImage(image, (CARD_WIDTH - width) / 2, (CARD_HEIGHT - height) / 2, width, height);
+}
+
+function drawAvatar(ctx, avatar, x, y, accentColor) {
+    const radius = AVATAR_SIZE / 2;
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x + radius, y + radius, radius + 6, 0, Math.PI * 2);
+    ctx.fillStyle = accentColor;
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(x + radius, y + radius, radius, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.drawImage(avatar, x, y, AVATAR_SIZE, AVATAR_SIZE);
+    ctx.restore();
+}
+
+// Shorten text with an ellipsis until it fits in maxWidth at the current font
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
+
+function drawText(ctx, lines, x, y, align, maxWidth) {
+    ctx.textAlign = align;
+    ctx.textBaseline = 'middle';
+    for (const line of lines) {
+        ctx.font = line.font;
+        ctx.fillStyle = line.color;
+        ctx.fillText(fitText(ctx, line.text, maxWidth), x, y + line.offset);
+    }
+}
+
+// Render the card for a member as a PNG buffer
+async function renderWelcomeCard(member, config) {
+    const { createCanvas, loadImage } = loadCanvas();
+    const { guild } = member;
+    const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = config.backgroundColor;
+    ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+    const backgroundUrl = resolveBackgroundUrl(guild, config);
+    if (backgroundUrl) {
+        try {
+            drawCover(ctx, await loadImage(await getCachedBackground(guild.id, backgroundUrl)));
+            // Darken the background so the text stays readable
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+            ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+        } catch (error) {
+            log.warn('Welcome card background unavailable', { guildId: guild.id, reason: error.message });
+        }
+    }
+
+    ctx.fillStyle = config.accentColor;
+    ctx.fillRect(0, CARD_HEIGHT - 12, CARD_WIDTH, 12);
+
+    const avatarUrl = member.user.displayAvatarURL({ extension: 'png', size: 256 });
+    const avatar = await loadImage(await downloadImage(avatarUrl, { maxBytes: AVATAR_MAX_BYTES, timeoutMs: AVATAR_TIMEOUT_MS }));
+    const textColor = config.textColor;
+    const lines = [
+        { text: `Welcome, ${member.user.username}!`, font: 'bold 52px sans-serif', color: textColor, offset: 0 },
+        { text: `Member #${guild.memberCount} of ${guild.name}`, font: '30px sans-serif', color: textColor, offset: 56 }
+    ];
+
+    if (config.layout === 'centered') {
+        drawAvatar(ctx, avatar, (CARD_WIDTH - AVATAR_SIZE) / 2, 36, config.accentColor);
+        drawText(ctx, lines, CARD_WIDTH / 2, 290, 'center', CARD_WIDTH - 80);
+    } else {
+        const avatarX = 70;
+        drawAvatar(ctx, avatar, avatarX, (CARD_HEIGHT - AVATAR_SIZE) / 2, config.accentColor);
+        const textX = avatarX + AVATAR_SIZE + 50;
+        drawText(ctx, lines, textX, CARD_HEIGHT / 2 - 28, 'left', CARD_WIDTH - textX - 40);
+    }
+
+    return canvas.toBuffer('image/png');
+}
+
+// Attach the guild's welcome card to a welcome payload, leaving the payload
+// text-only when cards are disabled or rendering fails
+async function addWelcomeCard(member, payload) {
+    const config = getWelcomeCardConfig(member.guild.id);
+    if (!config.enabled) return payload;
+
+    try {
+        const card = await renderWelcomeCard(member, config);
+        // The card already shows the avatar
+        payload.embeds[0].setThumbnail(null).setImage(`attachment://${CARD_FILE_NAME}`);
+        return { ...payload, files: [{ attachment: card, name: CARD_FILE_NAME }] };
+    } catch (error) {
+        log.error('Error rendering welcome card', { guildId: member.guild.id, userId: member.id, error });
+        return payload;
+    }
+}
+
+module.exports = {
+    DEFAULT_WELCOME_CARD_CONFIG,
+    CARD_LAYOUTS,
+    getWelcomeCardConfig,
+    updateWelcomeCardConfig,
+    getCachedBackground,
+    renderWelcomeCard,
+    addWelcomeCard
+};
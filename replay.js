@@ -0,0 +1,186 @@
+// Replays a gateway recording (see GATEWAY_RECORD_FILE) through the bot's event
+// handlers without logging in, then optionally compares the output with golden files.
+//
+//   node replay.js <recording.jsonl> [--out dir] [--force] [--golden dir] [--update-golden]
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = 'Usage: node replay.js <recording.jsonl> [--out dir] [--force] [--golden dir] [--update-golden]';
+
+// Left in every output directory so a later replay knows it may clear it
+const OUTPUT_MARKER = '.replay-output';
+
+function parseArgs(argv) {
+    const args = { recording: null, out: null, golden: null, updateGolden: false, force: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out' || arg === '--golden') {
+            if (!argv[i + 1]) throw new Error(`Missing value for ${arg}`);
+            args[arg.slice(2)] = argv[++i];
+        } else if (arg === '--update-golden') {
+            args.updateGolden = true;
+        } else if (arg === '--force') {
+            args.force = true;
+        } else if (!arg.startsWith('--') && !args.recording) {
+            args.recording = arg;
+        } else {
+            throw new Error(`Unexpected argument ${arg}`);
+        }
+    }
+    if (!args.recording) throw new Error('Missing recording file');
+    if (args.updateGolden && !args.golden) throw new Error('--update-golden needs --golden <dir>');
+    return args;
+}
+
+let args;
+try {
+    args = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`❌ ${error.message}\n${USAGE}`);
+    process.exit(1);
+}
+
+// Replay output goes to its own data directory, set before any storage module loads
+const liveDataDir = path.join(__dirname, 'server_data');
+const outDir = path.resolve(args.out || path.join(liveDataDir, 'replay', path.basename(args.recording, path.extname(args.recording))));
+if (outDir === liveDataDir || liveDataDir.startsWith(`${outDir}${path.sep}`)) {
+    console.error('❌ --out must not be the live server_data directory');
+    process.exit(1);
+}
+// The directory is wiped before replaying, so only clear one an earlier replay wrote
+const outDirEntries = fs.existsSync(outDir) ? fs.readdirSync(outDir) : [];
+if (outDirEntries.length > 0 && !outDirEntries.includes(OUTPUT_MARKER) && !args.force) {
+    console.error(`❌ ${outDir} is not empty and was not written by a replay; pass --force to overwrite it`);
+    process.exit(1);
+}
+fs.rmSync(outDir, { recursive: true, force: true });
+fs.mkdirSync(outDir, { recursive: true });
+fs.writeFileSync(path.join(outDir, OUTPUT_MARKER), '');
+process.env.SERVER_DATA_DIR = outDir;
+process.env.STORAGE_BACKEND = 'file';
+
+const { Client, GatewayIntentBits, Partials } = require('discord.js');
+const { saveTrackedServers } = require('./lib/tracking');
+const { flushAllSnapshots, updateAllTrackedServers } = require('./lib/snapshotUpdates');
+const { registerEventHandlers } = require('./lib/eventHandlers');
+const { readRecording, createReplayClient } = require('./lib/gatewayReplay');
+
+// Long enough for handlers waiting on audit log lookups to finish
+const REPLAY_SETTLE_MS = 2000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+function withoutMetadata(snapshot) {
+    const { metadata, ...data } = snapshot;
+    return data;
+}
+
+function listServerInfoFiles(dir) {
+    return fs.existsSync(dir) ? fs.readdirSync(dir).filter(name => name.endsWith('_server_info.json')).sort() : [];
+}
+
+// Compare every generated server info file with its golden copy, ignoring metadata
+function compareWithGolden(goldenDir) {
+    const actualFiles = listServerInfoFiles(outDir);
+    const goldenFiles = listServerInfoFiles(goldenDir);
+    const failures = [];
+
+    for (const name of new Set([...actualFiles, ...goldenFiles])) {
+        if (!actualFiles.includes(name)) {
+            failures.push(`${name}: missing from replay output`);
+            continue;
+        }
+        if (!goldenFiles.includes(name)) {
+            failures.push(`${name}: not in golden files`);
+            continue;
+        }
+        const actual = withoutMetadata(JSON.parse(fs.readFileSync(path.join(outDir, name), 'utf8')));
+        const golden = withoutMetadata(JSON.parse(fs.readFileSync(path.join(goldenDir, name), 'utf8')));
+        const changedSections = Object.keys({ ...actual, ...golden })
+            .filter(section => JSON.stringify(actual[section]) !== JSON.stringify(golden[section]));
+        if (changedSections.length > 0) {
+            failures.push(`${name}: differs in ${changedSections.join(', ')}`);
+        }
+    }
+
+    return failures;
+}
+
+async function replay() {
+    const packets = readRecording(args.recording);
+    console.log(`▶️  Replaying ${packets.length} packets from ${args.recording} into ${outDir}`);
+
+    // Track every guild in the recording so all snapshot handlers run
+    const guildIds = new Set();
+    for (const packet of packets) {
+        if (packet.t === 'READY') packet.d.guilds.forEach(guild => guildIds.add(guild.id));
+        if (packet.t === 'GUILD_CREATE') guildIds.add(packet.d.id);
+    }
+    saveTrackedServers([...guildIds]);
+
+    const client = new Client({
+        intents: [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMessages,
+            GatewayIntentBits.GuildMembers,
+            GatewayIntentBits.GuildEmojisAndStickers,
+            GatewayIntentBits.GuildModeration,
+            GatewayIntentBits.GuildInvites,
+            GatewayIntentBits.GuildWebhooks,
+            GatewayIntentBits.GuildIntegrations,
+            GatewayIntentBits.GuildScheduledEvents,
+            GatewayIntentBits.AutoModerationConfiguration,
+        ],
+        partials: [Partials.GuildMember],
+    });
+    registerEventHandlers(client);
+    const dispatch = createReplayClient(client);
+
+    let startupDone = false;
+    for (const packet of packets) {
+        dispatch(packet);
+        await nextTick();
+        // Mirror the bot's startup rebuild as soon as the client turns ready
+        if (!startupDone && client.isReady()) {
+            startupDone = true;
+            await updateAllTrackedServers(client, 'Replay startup');
+        }
+    }
+    if (!startupDone) {
+        console.log('⚠️  The recording never made the client ready (no READY packet or missing GUILD_CREATEs)');
+    }
+
+    await sleep(REPLAY_SETTLE_MS);
+    await flushAllSnapshots();
+    console.log(`✅ Replay finished, output in ${outDir}`);
+
+    if (!args.golden) return 0;
+
+    if (args.updateGolden) {
+        fs.mkdirSync(args.golden, { recursive: true });
+        for (const name of listServerInfoFiles(args.golden)) {
+            fs.unlinkSync(path.join(args.golden, name));
+        }
+        for (const name of listServerInfoFiles(outDir)) {
+            fs.copyFileSync(path.join(outDir, name), path.join(args.golden, name));
+        }
+        console.log(`📝 Updated golden files in ${args.golden}`);
+        return 0;
+    }
+
+    const failures = compareWithGolden(args.golden);
+    if (failures.length > 0) {
+        console.error(`❌ Replay output does not match golden files:\n${failures.map(failure => `  - ${failure}`).join('\n')}`);
+        return 1;
+    }
+    console.log('✅ Replay output matches golden files');
+    return 0;
+}
+
+replay()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('Error replaying recording:', error);
+        process.exit(1);
+    });
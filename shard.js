@@ -0,0 +1,47 @@
+const path = require('path');
+const { ShardingManager } = require('discord.js');
+const { ConfigError, loadConfig } = require('./lib/config');
+const { logger } = require('./lib/logger');
+
+// Sharded launcher: runs index.js once per shard, each with its own share of the guilds.
+// TOTAL_SHARDS sets the shard count (default: Discord's recommendation for this bot).
+let config;
+try {
+    config = loadConfig({ requireToken: true });
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    logger.error('Invalid configuration', { errors: error.errors });
+    process.exit(1);
+}
+
+// File storage rewrites whole JSON files, so several shard processes would overwrite
+// each other's changes. A single shard is fine; anything else needs SQLite
+if (config.storageBackend === 'file' && config.totalShards !== 1) {
+    logger.error('Sharding needs the sqlite storage backend; file storage is only safe with one shard', { totalShards: config.totalShards || 'auto' });
+    process.exit(1);
+}
+
+const manager = new ShardingManager(path.join(__dirname, 'index.js'), {
+    token: config.token,
+    totalShards: config.totalShards || 'auto',
+    respawn: true
+});
+
+// Each shard process reloads its own configuration on SIGHUP
+process.on('SIGHUP', () => {
+    for (const shard of manager.shards.values()) {
+        shard.process?.kill('SIGHUP');
+    }
+});
+
+manager.on('shardCreate', shard => {
+    logger.info('Launched shard', { shard: shard.id });
+    shard.on('death', child => {
+        logger.error('Shard process exited', { shard: shard.id, exitCode: child.exitCode });
+    });
+});
+
+manager.spawn().catch(error => {
+    logger.error('Could not spawn shards', { error });
+    process.exit(1);
+});
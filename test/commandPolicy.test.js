@@ -0,0 +1,148 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PermissionsBitField, PermissionFlagsBits } = require('discord.js');
+
+// Settings go to a throwaway data directory, set before any storage module loads
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'command-policy-'));
+process.env.SERVER_DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'file';
+process.env.OWNER_IDS = '900000000000000001';
+
+const { ALL_COMMANDS, editCommandPolicy, getEffectivePolicy, checkCommandPolicy } = require('../lib/commandPolicy');
+
+const OWNER_ID = '900000000000000001';
+let nextGuild = 100;
+
+// A fresh guild per test keeps stored policies and cooldowns apart
+function newGuildId() {
+    return `1000000000000${nextGuild++}`;
+}
+
+function setPolicy(guildId, commandName, policy) {
+    editCommandPolicy(guildId, commandName, current => ({ ...current, ...policy }));
+}
+
+function stubCommand(name, extra = {}) {
+    return { data: { name, default_member_permissions: extra.permissions }, cooldown: { user: 0, guild: 0 }, ...extra };
+}
+
+function stubCtx({ guildId, userId = '500000000000000001', roleIds = [], channelId = 'c1', parentId = null, permissions = [] } = {}) {
+    return {
+        client: { application: null },
+        user: { id: userId },
+        guild: guildId ? { id: guildId } : null,
+        member: guildId ? { roles: roleIds } : null,
+        permissions: guildId ? new PermissionsBitField(permissions) : null,
+        channel: { id: channelId, parentId }
+    };
+}
+
+after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('deny lists from * and the command add up', () => {
+    const guildId = newGuildId();
+    setPolicy(guildId, ALL_COMMANDS, { denyRoles: ['r1'], denyChannels: ['c1'] });
+    setPolicy(guildId, 'ping', { denyRoles: ['r2', 'r1'], denyChannels: ['c2'] });
+
+    const policy = getEffectivePolicy(guildId, 'ping');
+    assert.deepEqual(policy.denyRoles, ['r1', 'r2']);
+    assert.deepEqual(policy.denyChannels, ['c1', 'c2']);
+});
+
+test('a command allow list replaces the * one, otherwise * applies', () => {
+    const guildId = newGuildId();
+    setPolicy(guildId, ALL_COMMANDS, { allowRoles: ['r1'], allowChannels: ['c1'] });
+    setPolicy(guildId, 'ping', { allowRoles: ['r2'] });
+
+    const ping = getEffectivePolicy(guildId, 'ping');
+    assert.deepEqual(ping.allowRoles, ['r2']);
+    assert.deepEqual(ping.allowChannels, ['c1']);
+
+    const other = getEffectivePolicy(guildId, 'stats');
+    assert.deepEqual(other.allowRoles, ['r1']);
+});
+
+test('denied and not-allowed roles are refused', () => {
+    const guildId = newGuildId();
+    setPolicy(guildId, 'ping', { denyRoles: ['r1'] });
+    setPolicy(guildId, 'stats', { allowRoles: ['r2'] });
+
+    assert.equal(checkCommandPolicy(stubCommand('ping'), stubCtx({ guildId, roleIds: ['r1'] })), 'not available to your roles');
+    assert.equal(checkCommandPolicy(stubCommand('ping'), stubCtx({ guildId, roleIds: ['r3'] })), null);
+    assert.equal(checkCommandPolicy(stubCommand('stats'), stubCtx({ guildId, roleIds: ['r3'] })), 'not available to your roles');
+    assert.equal(checkCommandPolicy(stubCommand('stats'), stubCtx({ guildId, roleIds: ['r2'] })), null);
+});
+
+test('cached members are read through their role cache', () => {
+    const guildId = newGuildId();
+    setPolicy(guildId, 'ping', { denyRoles: ['r1'] });
+    const ctx = stubCtx({ guildId });
+    ctx.member = { roles: { cache: new Map([['r1', {}]]) } };
+
+    assert.equal(checkCommandPolicy(stubCommand('ping'), ctx), 'not available to your roles');
+});
+
+test('threads follow the policy of their parent channel', () => {
+    const guildId = newGuildId();
+    setPolicy(guildId, 'ping', { denyChannels: ['parent'] });
+    setPolicy(guildId, 'stats', { allowChannels: ['parent'] });
+
+    const inThread = stubCtx({ guildId, channelId: 'thread', parentId: 'parent' });
+    assert.equal(checkCommandPolicy(stubCommand('ping'), inThread), 'not enabled in this channel');
+    assert.equal(checkCommandPolicy(stubCommand('stats'), inThread), null);
+    assert.equal(checkCommandPolicy(stubCommand('stats'), stubCtx({ guildId, channelId: 'elsewhere' })), 'not enabled in this channel');
+});
+
+test('Manage Server bypasses allow and deny lists but not required permissions', () => {
+    const guildId = newGuildId();
+    setPolicy(guildId, ALL_COMMANDS, { denyRoles: ['r1'], denyChannels: ['c1'] });
+    const admin = stubCtx({ guildId, roleIds: ['r1'], channelId: 'c1', permissions: [PermissionFlagsBits.ManageGuild] });
+
+    assert.equal(checkCommandPolicy(stubCommand('ping'), admin), null);
+
+    const banCommand = stubCommand('ban', { permissions: PermissionFlagsBits.BanMembers.toString() });
+    assert.match(checkCommandPolicy(banCommand, admin), /^requires \*\*Ban Members\*\*$/);
+});
+
+test('owner-only commands are refused for everyone but the owner', () => {
+    const command = stubCommand('reload-config', { ownerOnly: true });
+    assert.equal(checkCommandPolicy(command, stubCtx()), 'only the bot owner can use it');
+    assert.equal(checkCommandPolicy(command, stubCtx({ userId: OWNER_ID })), null);
+});
+
+test('policies do not apply outside guilds', () => {
+    assert.equal(checkCommandPolicy(stubCommand('ping'), stubCtx()), null);
+});
+
+test('user cooldowns are per command and per user', () => {
+    const guildId = newGuildId();
+    const command = stubCommand('cooldown-user', { cooldown: { user: 60, guild: 0 } });
+
+    assert.equal(checkCommandPolicy(command, stubCtx({ guildId, userId: 'u1' })), null);
+    assert.match(checkCommandPolicy(command, stubCtx({ guildId, userId: 'u1' })), /^on cooldown for you, try again in 1m$/);
+    assert.equal(checkCommandPolicy(command, stubCtx({ guildId, userId: 'u2' })), null);
+    assert.equal(checkCommandPolicy(stubCommand('other', { cooldown: { user: 60, guild: 0 } }), stubCtx({ guildId, userId: 'u1' })), null);
+});
+
+test('guild cooldowns are shared by every member of that guild only', () => {
+    const guildId = newGuildId();
+    const command = stubCommand('cooldown-guild', { cooldown: { user: 0, guild: 30 } });
+
+    assert.equal(checkCommandPolicy(command, stubCtx({ guildId, userId: 'u1' })), null);
+    assert.match(checkCommandPolicy(command, stubCtx({ guildId, userId: 'u2' })), /^on cooldown for this server, try again in 30s$/);
+    assert.equal(checkCommandPolicy(command, stubCtx({ guildId: newGuildId(), userId: 'u2' })), null);
+});
+
+test('refused commands do not start a cooldown', () => {
+    const guildId = newGuildId();
+    setPolicy(guildId, 'cooldown-denied', { denyRoles: ['r1'] });
+    const command = stubCommand('cooldown-denied', { cooldown: { user: 60, guild: 0 } });
+
+    assert.equal(checkCommandPolicy(command, stubCtx({ guildId, userId: 'u1', roleIds: ['r1'] })), 'not available to your roles');
+    assert.equal(checkCommandPolicy(command, stubCtx({ guildId, userId: 'u1' })), null);
+});